@@ -389,15 +389,18 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({
+          url,
+          ...(window.recordingOptions ? window.recordingOptions.getOptions() : {})
+        })
       });
       
+      const data = await response.json();
+      
       if (!response.ok) {
-        throw new Error(`Failed to start recording: ${response.status}`);
+        throw new Error(data.message || `Failed to start recording: ${response.status}`);
       }
       
-      const data = await response.json();
-      
       if (!data.success) {
         throw new Error(data.message || 'Failed to start recording');
       }
@@ -426,8 +429,8 @@ document.addEventListener('DOMContentLoaded', () => {
         showToast('Recording started successfully', 'success');
         announceForScreenReaders('Recording started. Navigate the website to record your actions.');
         
-        // Start polling for recording status to keep UI in sync with backend
-        startRecordingStatusPolling(data.processId);
+        // Stream recording logs and status to keep UI in sync with backend
+        startRecordingStatusStream(data.processId);
         
         // Save recording process ID to localStorage to recover on page refresh
         localStorage.setItem('currentRecordingProcess', data.processId);
@@ -452,12 +455,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // Connection and status management variables
   let currentRecordingPid = null;
   let isRecording = false;
-  let recordingStatusPollingInterval = null;
+  let processEventSource = null;
   let errorCount = 0;
   const MAX_ERROR_COUNT = 5; // Number of consecutive errors before showing warning
   let reconnectAttempts = 0;
   const MAX_RECONNECT_ATTEMPTS = 3;
-  const CONNECTION_CHECK_DELAY = 2000; // 2 seconds between status checks
   let lastKnownStatus = null;
   let isReconnecting = false;
 
@@ -568,138 +570,107 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   /**
-   * Start polling for recording status to keep UI in sync
+   * Stream logs and status changes of a recording process to keep UI in sync
    * @param {string} pid - The process ID to monitor
    */
-  async function startRecordingStatusPolling(pid) {
+  function startRecordingStatusStream(pid) {
     if (!pid) return;
     
     // Save the current recording PID to localStorage for session recovery
     localStorage.setItem('currentRecordingPid', pid);
     currentRecordingPid = pid;
     
-    clearInterval(recordingStatusPollingInterval);
+    closeProcessStream();
     errorCount = 0;
     reconnectAttempts = 0;
     isReconnecting = false;
     
-    // Initial status check
-    try {
-      const status = await checkRecordingStatus(pid);
-      logMessage('info', `Recording session started with process ID: ${pid}`);
-      updateConnectionStatus('connected');
+    logMessage('info', `Recording session started with process ID: ${pid}`);
+    
+    // The server sends the logs captured so far, then pushes new entries as they happen
+    processEventSource = new EventSource(`/api/recording/stream/${pid}`);
+    
+    processEventSource.addEventListener('open', () => {
+      if (errorCount > 0) {
+        showToast('Connection restored', 'success');
+        logMessage('success', 'Connection to recording process restored');
+      }
+      errorCount = 0;
+    });
+    
+    processEventSource.addEventListener('log', (event) => {
+      const entry = JSON.parse(event.data);
+      logMessage(entry.type, entry.message);
+    });
+    
+    processEventSource.addEventListener('status', (event) => {
+      applyProcessStatus(pid, JSON.parse(event.data));
+    });
+    
+    // EventSource reconnects on its own; escalate only if errors keep coming
+    processEventSource.addEventListener('error', async () => {
+      if (isReconnecting) return;
       
-      // Start polling for status updates
-      recordingStatusPollingInterval = setInterval(async () => {
-        if (isReconnecting) return; // Skip polling if already reconnecting
-        
-        try {
-          const status = await checkRecordingStatus(pid);
-          
-          // Process crash detection - if status was recording but now stopped
-          if (lastKnownStatus === 'recording' && status.status === 'stopped') {
-            handleProcessCrash(pid);
-            return;
-          }
-          
-          // If we get here, reset error count
-          if (errorCount > 0) {
-            showToast('Connection restored', 'success');
-            logMessage('success', 'Connection to recording process restored');
-          }
-          errorCount = 0;
-        } catch (error) {
-          errorCount++;
-          console.error(`Status check failed (${errorCount}/${MAX_ERROR_COUNT}):`, error);
-          
-          if (errorCount === 1) {
-            // First error, show a warning
-            showToast('Connection issue detected', 'warning');
-          } else if (errorCount === 3) {
-            // After a few errors, update status to warning
-            updateConnectionStatus('warning', 'Connection unstable');
-          } else if (errorCount >= MAX_ERROR_COUNT) {
-            // After MAX_ERROR_COUNT errors, try to reconnect
-            await tryReconnectToRecording(pid);
-          }
-        }
-      }, CONNECTION_CHECK_DELAY);
+      errorCount++;
+      console.error(`Process stream error (${errorCount}/${MAX_ERROR_COUNT})`);
       
-      return status;
-    } catch (error) {
-      console.error('Initial status check failed:', error);
-      updateConnectionStatus('disconnected');
-      showToast('Failed to connect to recording session.', 'error');
-      logMessage('error', `Failed to connect to recording session: ${error.message || error}`);
-      return null;
+      if (errorCount === 1) {
+        // First error, show a warning
+        showToast('Connection issue detected', 'warning');
+      } else if (errorCount === 3) {
+        // After a few errors, update status to warning
+        updateConnectionStatus('warning', 'Connection unstable');
+      } else if (errorCount >= MAX_ERROR_COUNT) {
+        // After MAX_ERROR_COUNT errors, try to reconnect
+        await tryReconnectToRecording(pid);
+      }
+    });
+  }
+  
+  /**
+   * Close the process event stream if one is open
+   */
+  function closeProcessStream() {
+    if (processEventSource) {
+      processEventSource.close();
+      processEventSource = null;
     }
   }
   
   /**
-   * Check the status of a recording or replay process
-   * @param {string} pid - The process ID to check
-   * @returns {Promise<object>} - The status response data
+   * Update the UI from a recording or replay process status
+   * @param {string} pid - The process ID the status belongs to
+   * @param {object} data - Status pushed by the process stream
    */
-  async function checkRecordingStatus(pid) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5-second timeout
-      
-      const response = await fetch(`/api/recording/status/${pid}`, {
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`Status check failed: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error(data.message || 'Failed to get recording status');
-      }
-      
-      const statusText = document.getElementById('statusText');
-      const recordingStatusIndicator = document.getElementById('recordingStatus');
-      
-      if (data.status === 'recording' && data.isRunning) {
-        statusText.textContent = 'Recording';
-        recordingStatusIndicator.classList.add('active');
-        isRecording = true;
-        updateConnectionStatus('connected');
-      } else if (data.status === 'replaying' && data.isRunning) {
-        statusText.textContent = 'Replaying';
-        recordingStatusIndicator.classList.add('active');
-        document.getElementById('stopReplayBtn').disabled = false;
-        updateConnectionStatus('connected');
-      } else {
-        statusText.textContent = 'Ready';
-        recordingStatusIndicator.classList.remove('active');
-        isRecording = false;
-        updateConnectionStatus('idle');
-        clearInterval(recordingStatusPollingInterval);
-        recordingStatusPollingInterval = null;
-        localStorage.removeItem('currentRecordingPid');
-        
-        // If the process stopped unexpectedly and wasn't a user-initiated stop
-        if ((data.status === 'stopped' || data.status === 'replay_stopped') && 
-            currentRecordingPid === pid) {
-          currentRecordingPid = null;
-          showToast('Recording session ended unexpectedly', 'warning');
-          logMessage('warning', `Process ${pid} ended with status: ${data.status}`);
-        }
-      }
+  function applyProcessStatus(pid, data) {
+    const statusText = document.getElementById('statusText');
+    const recordingStatusIndicator = document.getElementById('recordingStatus');
+    
+    if (data.status === 'recording' && data.isRunning) {
+      statusText.textContent = 'Recording';
+      recordingStatusIndicator.classList.add('active');
+      isRecording = true;
+      updateConnectionStatus('connected');
+    } else if ((data.status === 'replaying' || data.status === 'queued') && data.isRunning) {
+      statusText.textContent = data.status === 'queued' ? 'Queued' : 'Replaying';
+      recordingStatusIndicator.classList.add('active');
+      document.getElementById('stopReplayBtn').disabled = false;
+      updateConnectionStatus('connected');
+    } else {
+      statusText.textContent = 'Ready';
+      recordingStatusIndicator.classList.remove('active');
+      isRecording = false;
+      updateConnectionStatus('idle');
+      closeProcessStream();
+      localStorage.removeItem('currentRecordingPid');
       
-      return data;
-    } catch (error) {
-      // Handle AbortController timeout
-      if (error.name === 'AbortError') {
-        throw new Error('Connection timed out');
+      // If the process stopped unexpectedly and wasn't a user-initiated stop
+      if ((data.status === 'stopped' || data.status === 'replay_stopped') && 
+          currentRecordingPid === pid) {
+        currentRecordingPid = null;
+        showToast('Recording session ended unexpectedly', 'warning');
+        logMessage('warning', `Process ${pid} ended with status: ${data.status}`);
       }
-      
-      throw error;
     }
   }
 
@@ -837,7 +808,7 @@ document.addEventListener('DOMContentLoaded', () => {
       console.error('Failed to clean up crashed process:', error);
     }
     
-    clearInterval(recordingStatusPollingInterval);
+    closeProcessStream();
   }
 
   /**
@@ -893,8 +864,7 @@ document.addEventListener('DOMContentLoaded', () => {
     recordingStatusIndicator.classList.remove('active');
     isRecording = false;
     currentRecordingPid = null;
-    clearInterval(recordingStatusPollingInterval);
-    recordingStatusPollingInterval = null;
+    closeProcessStream();
     localStorage.removeItem('currentRecordingPid');
     
     // Re-enable start button
@@ -1032,8 +1002,8 @@ window.addEventListener('load', async () => {
             connectionStatus.className = 'connection-status connected';
             reconnectBtn.style.display = 'none';
             
-            // Start the polling for status updates
-            startRecordingStatusPolling(savedRecordingProcess);
+            // Start streaming status updates
+            startRecordingStatusStream(savedRecordingProcess);
             
             showToast('Reconnected to active recording session', 'success');
             announceForScreenReaders('Recording session is still active');
@@ -438,12 +438,17 @@ const ComponentIntegration = (function() {
      * Handle replay status changes
      */
     function _handleReplayStatusChange(data) {
-        const { isReplaying } = data;
+        const { isReplaying, replayData } = data;
         
         // Update stop replay button
         if (components.stopReplayBtn) {
             components.stopReplayBtn.disabled = !isReplaying;
         }
+        
+        // Follow the replay's logs as the server pushes them
+        if (isReplaying && replayData && replayData.processId && window.replayControls) {
+            window.replayControls.streamProcessLogs(replayData.processId, replayData.runId);
+        }
     }
     
     /**
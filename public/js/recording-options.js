@@ -0,0 +1,118 @@
+/**
+ * recording-options.js
+ * Emulation settings (device, viewport, locale, ...) and auth states sent with a new recording
+ */
+
+(function() {
+    // DOM elements
+    const deviceInput = document.getElementById('recordDevice');
+    const deviceList = document.getElementById('recordDeviceList');
+    const viewportWidthInput = document.getElementById('recordViewportWidth');
+    const viewportHeightInput = document.getElementById('recordViewportHeight');
+    const langInput = document.getElementById('recordLang');
+    const timezoneInput = document.getElementById('recordTimezone');
+    const latitudeInput = document.getElementById('recordLatitude');
+    const longitudeInput = document.getElementById('recordLongitude');
+    const colorSchemeSelect = document.getElementById('recordColorScheme');
+    const userAgentInput = document.getElementById('recordUserAgent');
+    const authStateSelect = document.getElementById('recordAuthState');
+    const saveAuthStateInput = document.getElementById('recordSaveAuthState');
+    const optionsPanel = document.querySelector('.recording-options');
+    
+    // Initialize module
+    function init() {
+        if (deviceList) loadDevices();
+        if (authStateSelect) {
+            loadAuthStates();
+            // States are saved when a recording's browser closes, so refresh on every open
+            optionsPanel.addEventListener('toggle', () => {
+                if (optionsPanel.open) loadAuthStates();
+            });
+        }
+    }
+    
+    /**
+     * Fill the device suggestions with the devices the server can emulate
+     */
+    async function loadDevices() {
+        try {
+            const response = await fetch('/api/recording/devices');
+            if (!response.ok) {
+                throw new Error(`Failed to load devices: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            data.devices.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                deviceList.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading emulated devices:', error);
+        }
+    }
+    
+    /**
+     * Fill the auth state select with the saved states, keeping the current choice
+     */
+    async function loadAuthStates() {
+        try {
+            const response = await fetch('/api/auth-states');
+            if (!response.ok) {
+                throw new Error(`Failed to load auth states: ${response.status}`);
+            }
+            
+            const states = await response.json();
+            const selected = authStateSelect.value;
+            authStateSelect.length = 1;
+            states.forEach(state => {
+                const option = document.createElement('option');
+                option.value = state.name;
+                option.textContent = state.domains.length ? `${state.name} (${state.domains.join(', ')})` : state.name;
+                authStateSelect.appendChild(option);
+            });
+            authStateSelect.value = states.some(state => state.name === selected) ? selected : '';
+        } catch (error) {
+            console.error('Error loading auth states:', error);
+        }
+    }
+    
+    /**
+     * Get the recording options entered in the form, leaving out empty fields
+     * @returns {Object} Options to send with POST /api/recording/start
+     */
+    function getOptions() {
+        const options = {};
+        const text = input => (input && input.value.trim()) || '';
+        
+        if (text(deviceInput)) options.device = text(deviceInput);
+        if (text(viewportWidthInput) && text(viewportHeightInput)) {
+            options.viewport = {
+                width: parseInt(viewportWidthInput.value, 10),
+                height: parseInt(viewportHeightInput.value, 10)
+            };
+        }
+        if (text(langInput)) options.lang = text(langInput);
+        if (text(timezoneInput)) options.timezone = text(timezoneInput);
+        if (text(latitudeInput) && text(longitudeInput)) {
+            options.geolocation = {
+                latitude: parseFloat(latitudeInput.value),
+                longitude: parseFloat(longitudeInput.value)
+            };
+        }
+        if (colorSchemeSelect && colorSchemeSelect.value) options.colorScheme = colorSchemeSelect.value;
+        if (text(userAgentInput)) options.userAgent = text(userAgentInput);
+        if (authStateSelect && authStateSelect.value) options.authState = authStateSelect.value;
+        if (text(saveAuthStateInput)) options.saveAuthState = text(saveAuthStateInput);
+        
+        return options;
+    }
+    
+    // Expose public API
+    window.recordingOptions = {
+        getOptions
+    };
+    
+    // Initialize on DOM ready
+    document.addEventListener('DOMContentLoaded', init);
+})();
@@ -10,6 +10,12 @@
     const clearLogsBtn = document.getElementById('clearLogsBtn');
     const stopReplayBtn = document.getElementById('stopReplayBtn');
     
+    // Event stream of the replay process currently shown in the logs panel
+    let replayEventSource = null;
+    
+    // Session selected for replay through the session list
+    let selectedSessionId = null;
+    
     // Initialize module
     function init() {
         // Add event listeners
@@ -50,6 +56,14 @@
         restartBtn.innerHTML = '<i class="fas fa-redo-alt btn-icon"></i> Restart';
         restartBtn.setAttribute('aria-label', 'Restart replay from beginning');
         
+        // Add step button
+        const stepBtn = document.createElement('button');
+        stepBtn.id = 'stepReplayBtn';
+        stepBtn.className = 'btn secondary';
+        stepBtn.disabled = true; // Initially disabled
+        stepBtn.innerHTML = '<i class="fas fa-step-forward btn-icon"></i> Step';
+        stepBtn.setAttribute('aria-label', 'Execute the next step and pause');
+        
         // Speed control dropdown
         const speedControl = document.createElement('select');
         speedControl.id = 'replaySpeedControl';
@@ -73,17 +87,101 @@
             speedControl.appendChild(option);
         });
         
+        // Browser and window mode selectors, left empty to use the session defaults
+        const browserControl = createOptionSelect('replayBrowserControl', 'Replay browser', [
+            { value: '', text: 'Default browser' },
+            { value: 'chromium', text: 'Chromium' },
+            { value: 'firefox', text: 'Firefox' },
+            { value: 'webkit', text: 'WebKit' }
+        ]);
+        const headlessControl = createOptionSelect('replayHeadlessControl', 'Replay window mode', [
+            { value: '', text: 'Default window' },
+            { value: 'false', text: 'Headed' },
+            { value: 'true', text: 'Headless' }
+        ]);
+        const environmentControl = createOptionSelect('replayEnvironmentControl', 'Replay environment', [
+            { value: '', text: 'Default environment' }
+        ]);
+        loadEnvironments(environmentControl);
+        
         // Add event listeners
         playPauseBtn.addEventListener('click', togglePlayPause);
         restartBtn.addEventListener('click', restartReplay);
+        stepBtn.addEventListener('click', stepReplay);
         speedControl.addEventListener('change', changeReplaySpeed);
         
         // Insert buttons at the beginning of the controls container
+        replayControlsContainer.insertBefore(environmentControl, replayControlsContainer.firstChild);
+        replayControlsContainer.insertBefore(headlessControl, replayControlsContainer.firstChild);
+        replayControlsContainer.insertBefore(browserControl, replayControlsContainer.firstChild);
         replayControlsContainer.insertBefore(speedControl, replayControlsContainer.firstChild);
+        replayControlsContainer.insertBefore(stepBtn, replayControlsContainer.firstChild);
         replayControlsContainer.insertBefore(restartBtn, replayControlsContainer.firstChild);
         replayControlsContainer.insertBefore(playPauseBtn, replayControlsContainer.firstChild);
     }
     
+    /**
+     * Create a select for a replay option
+     * @param {string} id - Element ID
+     * @param {string} label - Accessible label
+     * @param {Array<{value: string, text: string}>} options - Options, the first one selected
+     */
+    function createOptionSelect(id, label, options) {
+        const select = document.createElement('select');
+        select.id = id;
+        select.className = 'replay-speed-control';
+        select.setAttribute('aria-label', label);
+        
+        options.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.value;
+            option.textContent = item.text;
+            select.appendChild(option);
+        });
+        
+        return select;
+    }
+    
+    /**
+     * Add the environment profiles to the environment selector
+     * @param {HTMLSelectElement} select - Environment selector
+     */
+    async function loadEnvironments(select) {
+        try {
+            const response = await fetch('/api/environments');
+            if (!response.ok) {
+                throw new Error(`Failed to load environments: ${response.status}`);
+            }
+            
+            const environments = await response.json();
+            environments.forEach(environment => {
+                const option = document.createElement('option');
+                option.value = environment.name;
+                option.textContent = `${environment.name} (${new URL(environment.baseUrl).host})`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading environments:', error);
+        }
+    }
+    
+    /**
+     * Get the browser settings chosen for the next replay
+     * @returns {Object} Options to send with the replay request
+     */
+    function getReplayOptions() {
+        const options = {};
+        const browserControl = document.getElementById('replayBrowserControl');
+        const headlessControl = document.getElementById('replayHeadlessControl');
+        const environmentControl = document.getElementById('replayEnvironmentControl');
+        
+        if (browserControl && browserControl.value) options.browser = browserControl.value;
+        if (headlessControl && headlessControl.value) options.headless = headlessControl.value === 'true';
+        if (environmentControl && environmentControl.value) options.environment = environmentControl.value;
+        
+        return options;
+    }
+    
     /**
      * Add log filter controls to the DOM
      */
@@ -212,41 +310,105 @@
     /**
      * Toggle between play and pause states
      */
-    function togglePlayPause() {
+    async function togglePlayPause() {
         const playPauseBtn = document.getElementById('playPauseReplayBtn');
         if (!playPauseBtn) return;
         
         const isPlaying = playPauseBtn.classList.contains('playing');
         
         if (isPlaying) {
-            // Change to pause state
-            playPauseBtn.classList.remove('playing');
-            playPauseBtn.innerHTML = '<i class="fas fa-play btn-icon"></i> Play';
-            pauseReplay();
+            await pauseReplay();
+        } else if (isReplayActive()) {
+            await resumeReplay();
         } else {
-            // Change to play state
-            playPauseBtn.classList.add('playing');
-            playPauseBtn.innerHTML = '<i class="fas fa-pause btn-icon"></i> Pause';
-            startReplay();
+            await startReplay();
+        }
+    }
+    
+    /**
+     * Whether a replay is in progress on the server
+     */
+    function isReplayActive() {
+        return !!(window.AppState && window.AppState.getState().isReplaying);
+    }
+    
+    /**
+     * Show the play/pause button in its playing or paused state
+     * @param {boolean} playing - Whether the replay is playing
+     */
+    function setPlayingState(playing) {
+        const playPauseBtn = document.getElementById('playPauseReplayBtn');
+        if (!playPauseBtn) return;
+        
+        playPauseBtn.classList.toggle('playing', playing);
+        playPauseBtn.innerHTML = playing
+            ? '<i class="fas fa-pause btn-icon"></i> Pause'
+            : '<i class="fas fa-play btn-icon"></i> Play';
+    }
+    
+    /**
+     * Send a playback command for the current replay, logging failures
+     * @param {string} command - One of pause, resume, step or speed
+     * @param {Object} [body] - Command parameters
+     * @returns {Promise<Object|null>} Playback state of the replay
+     */
+    async function sendReplayCommand(command, body) {
+        try {
+            return await window.AppState.controlReplay(command, body);
+        } catch (error) {
+            addLogEntry('System', `Unable to ${command} replay: ${error.message}`, 'error');
+            return null;
         }
     }
     
     /**
      * Start the session replay
      */
-    function startReplay() {
+    async function startReplay() {
+        const sessionId = selectedSessionId || (window.AppState && window.AppState.getState().selectedSessionId);
+        if (!window.AppState || !sessionId) {
+            addLogEntry('System', 'Select a session to replay first', 'warning');
+            return;
+        }
+        
         addLogEntry('System', 'Starting replay', 'action');
-        // This would connect to the backend replay functionality
-        // For now, simulate with sample logs
-        addDemoLogs();
+        
+        try {
+            await window.AppState.selectSession(sessionId);
+            await window.AppState.startReplay(getReplayOptions());
+            setPlayingState(true);
+        } catch (error) {
+            addLogEntry('System', `Unable to start replay: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Pause the session replay before its next step
+     */
+    async function pauseReplay() {
+        const result = await sendReplayCommand('pause');
+        if (result) setPlayingState(false);
+    }
+    
+    /**
+     * Resume a paused session replay
+     */
+    async function resumeReplay() {
+        const result = await sendReplayCommand('resume');
+        if (result) setPlayingState(true);
     }
     
     /**
-     * Pause the session replay
+     * Execute the next step of the replay and pause again
      */
-    function pauseReplay() {
-        addLogEntry('System', 'Replay paused', 'info');
-        // This would pause the backend replay
+    async function stepReplay() {
+        if (!isReplayActive()) {
+            addLogEntry('System', 'No replay in progress', 'warning');
+            return;
+        }
+        
+        const result = await sendReplayCommand('step');
+        if (result) setPlayingState(false);
     }
     
     /**
@@ -254,58 +416,56 @@
      */
     function stopReplay() {
         addLogEntry('System', 'Replay stopped', 'info');
-        
-        // Reset play/pause button
-        const playPauseBtn = document.getElementById('playPauseReplayBtn');
-        if (playPauseBtn) {
-            playPauseBtn.classList.remove('playing');
-            playPauseBtn.innerHTML = '<i class="fas fa-play btn-icon"></i> Play';
-        }
-        
-        // This would stop the backend replay
+        setPlayingState(false);
     }
     
     /**
      * Restart the session replay from the beginning
      */
-    function restartReplay() {
+    async function restartReplay() {
         addLogEntry('System', 'Replay restarted', 'action');
         
-        // Reset play/pause button to playing state
-        const playPauseBtn = document.getElementById('playPauseReplayBtn');
-        if (playPauseBtn) {
-            playPauseBtn.classList.add('playing');
-            playPauseBtn.innerHTML = '<i class="fas fa-pause btn-icon"></i> Pause';
+        if (window.AppState && isReplayActive()) {
+            closeProcessLogStream();
+            await window.AppState.stopReplay();
         }
         
-        // This would restart the backend replay
+        await startReplay();
     }
     
     /**
      * Change the replay speed
      */
-    function changeReplaySpeed() {
+    async function changeReplaySpeed() {
         const speedControl = document.getElementById('replaySpeedControl');
-        if (!speedControl) return;
+        if (!speedControl || !window.AppState) return;
         
-        const speed = speedControl.value;
+        const speed = parseFloat(speedControl.value);
         addLogEntry('System', `Replay speed changed to ${speed}x`, 'info');
         
-        // This would set the backend replay speed
+        try {
+            await window.AppState.setReplaySpeed(speed);
+        } catch (error) {
+            addLogEntry('System', `Unable to change replay speed: ${error.message}`, 'error');
+        }
     }
     
     /**
      * Enable replay controls when a session is selected for replay
      */
     function enableReplayControls(sessionId) {
+        selectedSessionId = sessionId;
+        
         // Enable buttons
         const playPauseBtn = document.getElementById('playPauseReplayBtn');
         const restartBtn = document.getElementById('restartReplayBtn');
+        const stepBtn = document.getElementById('stepReplayBtn');
         const stopReplayBtn = document.getElementById('stopReplayBtn');
         const speedControl = document.getElementById('replaySpeedControl');
         
         if (playPauseBtn) playPauseBtn.disabled = false;
         if (restartBtn) restartBtn.disabled = false;
+        if (stepBtn) stepBtn.disabled = false;
         if (stopReplayBtn) stopReplayBtn.disabled = false;
         if (speedControl) speedControl.disabled = false;
         
@@ -314,31 +474,110 @@
     }
     
     /**
-     * Add demo logs for testing
+     * Stream the logs and status of a replay process into the logs panel
+     * @param {string} processId - The ID of the replay process
+     * @param {string} [runId] - The ID of the replay's run, used to link its artifacts
+     */
+    function streamProcessLogs(processId, runId) {
+        closeProcessLogStream();
+        setPlayingState(true);
+        
+        // Replays can be started from the session list, so make sure the controls are usable
+        ['playPauseReplayBtn', 'stepReplayBtn', 'replaySpeedControl'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.disabled = false;
+        });
+        
+        replayEventSource = new EventSource(`/api/recording/stream/${processId}`);
+        
+        replayEventSource.addEventListener('log', (event) => {
+            const entry = JSON.parse(event.data);
+            addLogEntry('Replay', entry.message, entry.type === 'success' ? 'info' : entry.type);
+        });
+        
+        replayEventSource.addEventListener('status', (event) => {
+            const status = JSON.parse(event.data);
+            if (status.isRunning || status.status === 'unknown') return;
+            
+            closeProcessLogStream();
+            
+            if (status.outcome === 'passed') {
+                addLogEntry('System', 'Replay passed', 'info');
+            } else if (status.outcome === 'stopped') {
+                addLogEntry('System', 'Replay stopped', 'info');
+            } else {
+                addLogEntry('System', `Replay failed (exit code ${status.exitCode})`, 'error');
+            }
+            
+            if (runId) {
+                showRunArtifacts(runId);
+            }
+            
+            if (stopReplayBtn) stopReplayBtn.disabled = true;
+            setPlayingState(false);
+            
+            if (window.AppState) {
+                window.AppState.completeReplay();
+            }
+        });
+        
+        replayEventSource.addEventListener('error', () => {
+            addLogEntry('Network', 'Lost connection to replay log stream, retrying...', 'warning');
+        });
+    }
+    
+    /**
+     * Add links to the reports, trace viewer, video and screenshot of a finished run to the logs panel
+     * @param {string} runId - The ID of the run
      */
-    function addDemoLogs() {
-        setTimeout(() => addLogEntry('Browser', 'Navigating to https://example.com', 'action'), 1000);
-        setTimeout(() => addLogEntry('Browser', 'Page loaded successfully', 'info'), 2000);
-        setTimeout(() => addLogEntry('Action', 'Click on #login-button', 'action'), 3000);
-        setTimeout(() => addLogEntry('Browser', 'Form submission detected', 'info'), 4000);
-        setTimeout(() => addLogEntry('System', 'Waiting for response...', 'info'), 4500);
-        setTimeout(() => addLogEntry('Network', 'POST request to /api/login', 'info'), 5000);
-        setTimeout(() => addLogEntry('Network', 'Response received (200 OK)', 'info'), 5500);
-        setTimeout(() => addLogEntry('Browser', 'Redirecting to /dashboard', 'action'), 6000);
-        setTimeout(() => addLogEntry('System', 'Auth cookie detected', 'info'), 6500);
-        setTimeout(() => addLogEntry('Browser', 'Dashboard loaded with 6 elements', 'info'), 7000);
-        setTimeout(() => addLogEntry('Action', 'Click on #user-settings', 'action'), 8000);
-        setTimeout(() => addLogEntry('System', 'Modal dialog opened', 'info'), 8500);
-        setTimeout(() => addLogEntry('Network', 'GET request to /api/user/preferences failed (404)', 'error'), 9000);
-        setTimeout(() => addLogEntry('System', 'Unable to load user preferences', 'warning'), 9500);
-        setTimeout(() => addLogEntry('Action', 'Click on modal close button', 'action'), 10000);
+    async function showRunArtifacts(runId) {
+        try {
+            // The run record is written just after the replay exits
+            let run = null;
+            for (let attempt = 0; attempt < 5 && (!run || run.status === 'running'); attempt++) {
+                if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 300));
+                const response = await fetch(`/api/runs/${runId}`);
+                if (!response.ok) return;
+                run = await response.json();
+            }
+            if (!run) return;
+            
+            const reportUrl = format => `/api/runs/${runId}/report?format=${format}`;
+            addLogEntry('System', `Reports: <a href="${reportUrl('html')}" target="_blank" rel="noopener">HTML</a> | <a href="${reportUrl('junit')}">JUnit XML</a>`, 'info');
+            
+            if (!run.artifacts || run.artifacts.length === 0) return;
+            
+            const artifactUrl = name => `${window.location.origin}/api/runs/${runId}/artifacts/${encodeURIComponent(name)}`;
+            const links = run.artifacts.map(name => {
+                const href = name.endsWith('.zip')
+                    ? `https://trace.playwright.dev/?trace=${encodeURIComponent(artifactUrl(name))}`
+                    : artifactUrl(name);
+                const label = name.endsWith('.zip') ? 'Open trace viewer' : name;
+                return `<a href="${href}" target="_blank" rel="noopener">${label}</a>`;
+            });
+            
+            addLogEntry('System', `Artifacts: ${links.join(' | ')}`, 'info');
+        } catch (error) {
+            console.error('Error loading run artifacts:', error);
+        }
+    }
+    
+    /**
+     * Close the replay log stream if one is open
+     */
+    function closeProcessLogStream() {
+        if (replayEventSource) {
+            replayEventSource.close();
+            replayEventSource = null;
+        }
     }
     
     // Expose public API
     window.replayControls = {
         addLogEntry,
         clearLogs,
-        enableReplayControls
+        enableReplayControls,
+        streamProcessLogs
     };
     
     // Initialize on DOM ready
@@ -10,6 +10,8 @@ class SessionListManager {
     this.sessionSearch = document.getElementById('sessionSearch');
     this.clearSearchBtn = document.getElementById('clearSearchBtn');
     this.sortSessionsBtn = document.getElementById('sortSessionsBtn');
+    this.importSessionBtn = document.getElementById('importSessionBtn');
+    this.importSessionInput = document.getElementById('importSessionInput');
     
     // State
     this.sessions = [];
@@ -72,6 +74,18 @@ class SessionListManager {
       }
     });
     
+    // Import a session bundle or Playwright script
+    if (this.importSessionBtn && this.importSessionInput) {
+      this.importSessionBtn.addEventListener('click', () => this.importSessionInput.click());
+      this.importSessionInput.addEventListener('change', () => {
+        const file = this.importSessionInput.files[0];
+        this.importSessionInput.value = '';
+        if (file) {
+          this.importSession(file);
+        }
+      });
+    }
+    
     // Global events that should be handled
     document.addEventListener('session:created', () => this.loadSessions());
     document.addEventListener('session:updated', () => this.loadSessions());
@@ -286,9 +300,21 @@ class SessionListManager {
         <button class="session-button replay" data-action="replay" aria-label="Replay ${session.name}">
           <i class="fas fa-play"></i> Replay
         </button>
+        <button class="session-button continue" data-action="continue" aria-label="Continue recording ${session.name}">
+          <i class="fas fa-circle"></i> Continue recording
+        </button>
         <button class="session-button edit" data-action="edit" aria-label="Edit ${session.name}">
           <i class="fas fa-edit"></i> Edit
         </button>
+        <button class="session-button suite" data-action="suite" aria-label="Add ${session.name} to a suite">
+          <i class="fas fa-list-ol"></i> Add to suite
+        </button>
+        <button class="session-button export" data-action="export" aria-label="Export ${session.name}">
+          <i class="fas fa-file-export"></i> Export
+        </button>
+        <button class="session-button project" data-action="project" aria-label="Download ${session.name} as a Playwright Test project">
+          <i class="fas fa-file-code"></i> Test project
+        </button>
         <button class="session-button view" data-action="view" aria-label="View details for ${session.name}">
           <i class="fas fa-info-circle"></i> Details
         </button>
@@ -334,7 +360,7 @@ class SessionListManager {
   }
   
   /**
-   * Handle a session action (replay, edit, delete)
+   * Handle a session action (replay, edit, export, delete)
    * @param {string} action - The action to perform
    * @param {Object} session - The session data
    */
@@ -343,9 +369,21 @@ class SessionListManager {
       case 'replay':
         this.replaySession(session);
         break;
+      case 'continue':
+        this.continueRecording(session);
+        break;
       case 'edit':
         this.editSession(session);
         break;
+      case 'suite':
+        this.addToSuite(session);
+        break;
+      case 'export':
+        this.exportSession(session);
+        break;
+      case 'project':
+        this.downloadProject(session);
+        break;
       case 'view':
         this.viewSessionDetails(session);
         break;
@@ -402,11 +440,115 @@ class SessionListManager {
     this.announceForScreenReaders(`Started replaying session: ${session.name}`);
   }
   
+  /**
+   * Replay a session to its last step, then record new steps to add to it
+   * @param {Object} session - The session to continue
+   */
+  async continueRecording(session) {
+    try {
+      const response = await fetch(`/api/sessions/${session.id}/continue-recording`, { method: 'POST' });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `Failed to continue recording: ${response.status}`);
+      }
+      
+      this.showToast(`Continuing recording of ${session.name}; close the browser when done`, 'success');
+      this.announceForScreenReaders(`Replaying session ${session.name} before recording new steps`);
+    } catch (error) {
+      console.error('Error continuing recording:', error);
+      this.showToast(error.message || 'Failed to continue recording', 'error');
+    }
+  }
+  
+  /**
+   * Add a session to a new or existing suite
+   * @param {Object} session - The session to add
+   */
+  addToSuite(session) {
+    if (window.suitePicker) {
+      window.suitePicker.open(session);
+    }
+  }
+  
+  /**
+   * Download a session as a bundle that can be imported on another machine
+   * @param {Object} session - The session to export
+   */
+  exportSession(session) {
+    this.download(`/api/sessions/${session.id}/export`);
+    this.announceForScreenReaders(`Exporting session: ${session.name}`);
+  }
+  
+  /**
+   * Download a session as a standalone Playwright Test project
+   * @param {Object} session - The session to export
+   */
+  downloadProject(session) {
+    this.download(`/api/sessions/${session.id}/project`);
+    this.announceForScreenReaders(`Downloading Playwright Test project for session: ${session.name}`);
+  }
+  
+  /**
+   * Download a file served by the API
+   * @param {string} url - URL of the file
+   */
+  download(url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+  
+  /**
+   * Import a session bundle or Playwright script file
+   * @param {File} file - A bundle exported from another machine, or a .ts script
+   */
+  async importSession(file) {
+    try {
+      // Playwright scripts become new sessions; anything else is taken for a bundle
+      const isScript = file.name.endsWith('.ts');
+      const response = isScript
+        ? await fetch(`/api/sessions/import-script?fileName=${encodeURIComponent(file.name)}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/plain' },
+          body: file
+        })
+        : await fetch('/api/sessions/import', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/gzip' },
+          body: file
+        });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `Failed to import session: ${response.status}`);
+      }
+      
+      const event = new CustomEvent('session:created', { detail: result.session });
+      document.dispatchEvent(event);
+      
+      this.showToast(`Session imported: ${result.session.name}`, 'success');
+      result.warnings.forEach(warning => this.showToast(warning, 'warning'));
+      this.announceForScreenReaders(`Session imported: ${result.session.name}`);
+    } catch (error) {
+      console.error('Error importing session:', error);
+      this.showToast(error.message || 'Failed to import session', 'error');
+    }
+  }
+  
   /**
    * Edit a session
    * @param {Object} session - The session to edit
    */
   editSession(session) {
+    // Open the step editor when it is loaded
+    if (window.stepEditor) {
+      window.stepEditor.open(session);
+    }
+
     // Trigger edit event
     const event = new CustomEvent('session:edit', { detail: session });
     document.dispatchEvent(event);
@@ -19,6 +19,7 @@ const AppState = (function() {
         // Replay state
         isReplaying: false,
         replayPid: null,
+        replayRunId: null,
         replaySpeed: 1,
         selectedSessionId: null,
         
@@ -432,9 +433,10 @@ const AppState = (function() {
         
         /**
          * Start replaying the selected session
+         * @param {Object} [options] - Browser settings for this run (headless, browser, channel)
          * @returns {Promise<Object>} Replay status
          */
-        startReplay: async function() {
+        startReplay: async function(options = {}) {
             if (!state.selectedSessionId) {
                 throw new Error('No session selected for replay');
             }
@@ -451,20 +453,22 @@ const AppState = (function() {
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
+                        ...options,
                         speed: state.uiPreferences.replaySpeed || 1
                     })
                 });
                 
+                const replayData = await response.json();
+                
                 if (!response.ok) {
-                    throw new Error('Failed to start replay');
+                    throw new Error(replayData.message || 'Failed to start replay');
                 }
                 
-                const replayData = await response.json();
-                
                 // Update state
                 state.appMode = 'replaying';
                 state.isReplaying = true;
-                state.replayPid = replayData.replayId || replayData.id;
+                state.replayPid = replayData.processId;
+                state.replayRunId = replayData.runId;
                 
                 // Notify subscribers
                 _notifySubscribers('stateChange', { appMode: state.appMode });
@@ -497,13 +501,14 @@ const AppState = (function() {
                 
                 // Make API call to stop replay if we have a valid replay ID
                 if (state.replayPid) {
-                    const response = await fetch(`/api/sessions/${state.selectedSessionId}/replay/${state.replayPid}/stop`, {
+                    const response = await fetch(`/api/recording/stop/${state.replayPid}`, {
                         method: 'POST'
                     });
                     
                     if (response.ok) {
                         const stopData = await response.json();
                         state.replayPid = null;
+                        state.replayRunId = null;
                         
                         // Notify subscribers
                         _notifySubscribers('stateChange', { appMode: state.appMode });
@@ -519,6 +524,7 @@ const AppState = (function() {
                 
                 // If API call failed or we didn't have a replay ID
                 state.replayPid = null;
+                state.replayRunId = null;
                 
                 // Notify subscribers
                 _notifySubscribers('stateChange', { appMode: state.appMode });
@@ -535,6 +541,7 @@ const AppState = (function() {
                 state.appMode = 'idle';
                 state.isReplaying = false;
                 state.replayPid = null;
+                state.replayRunId = null;
                 
                 _notifySubscribers('stateChange', { appMode: state.appMode });
                 _notifySubscribers('replayStatusChange', { 
@@ -551,20 +558,66 @@ const AppState = (function() {
          * Set replay speed
          * @param {number} speed - Replay speed multiplier
          */
-        setReplaySpeed: function(speed) {
+        setReplaySpeed: async function(speed) {
             // Update preferences
             state.uiPreferences.replaySpeed = speed;
             _saveToLocalStorage();
             
+            // Notify subscribers
+            _notifySubscribers('uiPreferencesChange', state.uiPreferences);
+            
             // If actively replaying, update the replay
-            if (state.isReplaying && state.replayPid) {
-                // Placeholder for API call to update speed
-                // This would be implemented when the backend supports it
-                console.log(`Setting replay speed to ${speed}x`);
+            if (state.isReplaying && state.replayRunId) {
+                return this.controlReplay('speed', { speed });
             }
             
-            // Notify subscribers
-            _notifySubscribers('uiPreferencesChange', state.uiPreferences);
+            return null;
+        },
+        
+        /**
+         * Send a playback command to the current replay
+         * @param {string} command - One of pause, resume, step or speed
+         * @param {Object} [body] - Command parameters
+         * @returns {Promise<Object>} Playback state of the replay
+         */
+        controlReplay: async function(command, body = {}) {
+            if (!state.isReplaying || !state.replayRunId) {
+                throw new Error('No replay in progress');
+            }
+            
+            const response = await fetch(`/api/runs/${state.replayRunId}/${command}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to ${command} replay`);
+            }
+            
+            _notifySubscribers('replayControlChange', data);
+            return data;
+        },
+        
+        /**
+         * Finish the current replay once the server reports it has ended
+         */
+        completeReplay: function() {
+            if (!state.isReplaying) return;
+            
+            state.appMode = 'idle';
+            state.isReplaying = false;
+            state.replayPid = null;
+            state.replayRunId = null;
+            
+            _notifySubscribers('stateChange', { appMode: state.appMode });
+            _notifySubscribers('replayStatusChange', { 
+                isReplaying: false,
+                sessionId: state.selectedSessionId
+            });
         },
         
         /**
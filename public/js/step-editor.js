@@ -0,0 +1,359 @@
+/**
+ * step-editor.js
+ * Modal for inserting, deleting, reordering and editing the steps of a recorded session,
+ * and for setting the default values of its {{variables}}
+ */
+
+(function() {
+    // DOM elements
+    const modal = document.getElementById('stepEditorModal');
+    const stepsList = document.getElementById('stepEditorList');
+    const title = document.getElementById('stepEditorTitle');
+    const newStepAction = document.getElementById('newStepAction');
+    const newStepLocator = document.getElementById('newStepLocator');
+    const newStepValue = document.getElementById('newStepValue');
+    const addStepBtn = document.getElementById('addStepBtn');
+    const saveStepsBtn = document.getElementById('saveStepsBtn');
+    const cancelStepsBtn = document.getElementById('cancelStepsBtn');
+    const closeStepEditorBtn = document.getElementById('closeStepEditorModal');
+    const variablesList = document.getElementById('stepVariablesList');
+
+    // Actions that take a locator and a value
+    const LOCATOR_ACTIONS = ['click', 'dblclick', 'hover', 'fill', 'press', 'check', 'uncheck', 'select'];
+    const VALUE_ACTIONS = ['goto', 'fill', 'press', 'select'];
+
+    // A {{variable}} placeholder in a step value
+    const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+    // Editor state
+    let currentSession = null;
+    let steps = [];
+    let operations = [];
+    let variableDefaults = {};
+    let variablesChanged = false;
+
+    // Initialize module
+    function init() {
+        if (!modal) return;
+
+        addStepBtn.addEventListener('click', addStep);
+        saveStepsBtn.addEventListener('click', saveSteps);
+        cancelStepsBtn.addEventListener('click', close);
+        closeStepEditorBtn.addEventListener('click', close);
+        newStepAction.addEventListener('change', updateNewStepInputs);
+        updateNewStepInputs();
+    }
+
+    /**
+     * Open the step editor for a session
+     * @param {Object} session - The session to edit
+     */
+    async function open(session) {
+        currentSession = session;
+        operations = [];
+        steps = [];
+        variableDefaults = {};
+        variablesChanged = false;
+        variablesList.innerHTML = '';
+
+        title.textContent = `Edit Steps: ${session.name || 'Unnamed Session'}`;
+        stepsList.innerHTML = '<div class="loading-indicator"><i class="fas fa-spinner fa-spin"></i> Loading steps...</div>';
+        modal.classList.add('show');
+        modal.setAttribute('aria-hidden', 'false');
+
+        try {
+            const [response, variablesResponse] = await Promise.all([
+                fetch(`/api/sessions/${session.id}/steps`),
+                fetch(`/api/sessions/${session.id}/variables`)
+            ]);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to load steps: ${response.status}`);
+            }
+
+            if (variablesResponse.ok) {
+                variableDefaults = (await variablesResponse.json()).defaults;
+            }
+
+            steps = data.steps;
+            render();
+            announce('Step editor opened');
+        } catch (error) {
+            console.error('Error loading session steps:', error);
+            stepsList.innerHTML = `<div class="error-state"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Close the step editor, discarding unsaved changes
+     */
+    function close() {
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        currentSession = null;
+        operations = [];
+    }
+
+    /**
+     * Render the step list
+     */
+    function render() {
+        stepsList.innerHTML = '';
+        renderVariables();
+
+        if (steps.length === 0) {
+            stepsList.innerHTML = '<div class="no-sessions">This session has no steps</div>';
+            return;
+        }
+
+        steps.forEach((step, index) => {
+            const row = document.createElement('div');
+            row.className = `step-row step-${step.action}`;
+
+            const label = document.createElement('span');
+            label.className = 'step-action';
+            label.textContent = `${index + 1}. ${step.action === 'expect' ? `expect ${step.assertion}` : step.action}`;
+            row.appendChild(label);
+
+            if (step.action === 'raw') {
+                const source = document.createElement('code');
+                source.className = 'step-source';
+                source.textContent = step.source;
+                row.appendChild(source);
+            } else {
+                if (step.action !== 'goto') {
+                    row.appendChild(createFieldInput(index, 'locator', step.locator));
+                }
+                if (step.value !== undefined || VALUE_ACTIONS.includes(step.action)) {
+                    row.appendChild(createFieldInput(index, 'value', step.value));
+                }
+            }
+
+            row.appendChild(createRowButton('fa-arrow-up', `Move step ${index + 1} up`, index === 0, () => {
+                queue({ op: 'move', from: index, to: index - 1 });
+            }));
+            row.appendChild(createRowButton('fa-arrow-down', `Move step ${index + 1} down`, index === steps.length - 1, () => {
+                queue({ op: 'move', from: index, to: index + 1 });
+            }));
+            row.appendChild(createRowButton('fa-trash-alt', `Delete step ${index + 1}`, false, () => {
+                queue({ op: 'delete', index });
+            }));
+
+            stepsList.appendChild(row);
+        });
+    }
+
+    /**
+     * Render a default value input for each variable used in the step values
+     */
+    function renderVariables() {
+        const names = [...new Set(steps.flatMap(step =>
+            Array.from((step.value || '').matchAll(VARIABLE_PATTERN), match => match[1])))];
+
+        variablesList.innerHTML = names.length ? '' : '<div class="no-sessions">No variables yet</div>';
+
+        names.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'step-variable-row';
+
+            const label = document.createElement('label');
+            label.htmlFor = `stepVariable-${name}`;
+            label.textContent = `{{${name}}}`;
+            row.appendChild(label);
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `stepVariable-${name}`;
+            input.value = variableDefaults[name] || '';
+            input.placeholder = 'Default value';
+            input.addEventListener('change', () => {
+                if (input.value === '') {
+                    delete variableDefaults[name];
+                } else {
+                    variableDefaults[name] = input.value;
+                }
+                variablesChanged = true;
+            });
+            row.appendChild(input);
+
+            variablesList.appendChild(row);
+        });
+    }
+
+    /**
+     * Create an input editing the locator or value of a step
+     */
+    function createFieldInput(index, field, value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `step-${field}`;
+        input.value = value || '';
+        input.placeholder = field;
+        input.setAttribute('aria-label', `Step ${index + 1} ${field}`);
+        input.addEventListener('change', () => {
+            queue({ op: 'update', index, [field]: input.value });
+        });
+        return input;
+    }
+
+    /**
+     * Create an icon button for a step row
+     */
+    function createRowButton(icon, label, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn secondary step-row-btn';
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Record an operation and apply it to the local step list
+     * @param {Object} operation - Operation in the PATCH /steps format
+     */
+    function queue(operation) {
+        operations.push(operation);
+
+        switch (operation.op) {
+            case 'insert':
+                steps.splice(operation.after + 1, 0, operation.step);
+                break;
+            case 'delete':
+                steps.splice(operation.index, 1);
+                break;
+            case 'move': {
+                const [step] = steps.splice(operation.from, 1);
+                steps.splice(operation.to, 0, step);
+                break;
+            }
+            case 'update':
+                steps[operation.index] = { ...steps[operation.index], ...operation };
+                break;
+        }
+
+        render();
+    }
+
+    /**
+     * Show only the inputs the selected new step action uses
+     */
+    function updateNewStepInputs() {
+        const action = newStepAction.value;
+        newStepLocator.classList.toggle('hidden', !LOCATOR_ACTIONS.includes(action) && action !== 'expect');
+        newStepValue.classList.toggle('hidden', !VALUE_ACTIONS.includes(action) && action !== 'expect');
+    }
+
+    /**
+     * Append a new step from the add-step form
+     */
+    function addStep() {
+        const action = newStepAction.value;
+        const step = { action };
+
+        if (!newStepLocator.classList.contains('hidden') && newStepLocator.value.trim()) {
+            step.locator = newStepLocator.value.trim();
+        }
+        if (!newStepValue.classList.contains('hidden') && newStepValue.value !== '') {
+            step.value = newStepValue.value;
+        }
+        if (action === 'expect') {
+            step.assertion = step.value !== undefined ? 'toContainText' : 'toBeVisible';
+        }
+
+        queue({ op: 'insert', after: steps.length - 1, step });
+        newStepLocator.value = '';
+        newStepValue.value = '';
+    }
+
+    /**
+     * Send the queued operations to the server
+     */
+    async function saveSteps() {
+        if (!currentSession) return;
+
+        if (operations.length === 0 && !variablesChanged) {
+            close();
+            return;
+        }
+
+        try {
+            saveStepsBtn.disabled = true;
+
+            if (operations.length > 0) {
+                const response = await fetch(`/api/sessions/${currentSession.id}/steps`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ operations })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || `Failed to save steps: ${response.status}`);
+                }
+                operations = [];
+            }
+
+            if (variablesChanged) {
+                const response = await fetch(`/api/sessions/${currentSession.id}/variables`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ variables: variableDefaults })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || `Failed to save variables: ${response.status}`);
+                }
+            }
+
+            document.dispatchEvent(new CustomEvent('session:updated', { detail: { sessionId: currentSession.id } }));
+            showToast('Session steps saved', 'success');
+            close();
+        } catch (error) {
+            console.error('Error saving session steps:', error);
+            showToast(error.message, 'error');
+        } finally {
+            saveStepsBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    /**
+     * Show a toast notification through the main app
+     */
+    function showToast(message, type = 'info') {
+        document.dispatchEvent(new CustomEvent('app:show-toast', { detail: { message, type } }));
+    }
+
+    /**
+     * Announce a message for screen readers
+     */
+    function announce(message) {
+        if (window.announceToScreenReader) {
+            window.announceToScreenReader(message);
+        }
+    }
+
+    // Expose public API
+    window.stepEditor = {
+        open
+    };
+
+    // Initialize on DOM ready
+    document.addEventListener('DOMContentLoaded', init);
+})();
@@ -0,0 +1,151 @@
+/**
+ * suite-picker.js
+ * Modal for adding a session to a new or existing suite
+ */
+
+(function() {
+    // DOM elements
+    const modal = document.getElementById('suiteModal');
+    const suiteSelect = document.getElementById('suiteSelect');
+    const newSuiteFields = document.getElementById('newSuiteFields');
+    const newSuiteName = document.getElementById('newSuiteName');
+    const stopOnFailureInput = document.getElementById('newSuiteStopOnFailure');
+    const shareStorageInput = document.getElementById('newSuiteShareStorage');
+    const addBtn = document.getElementById('addToSuiteBtn');
+    const cancelBtn = document.getElementById('cancelSuiteBtn');
+    const closeBtn = document.getElementById('closeSuiteModal');
+
+    // Picker state
+    let currentSession = null;
+    let suites = [];
+
+    // Initialize module
+    function init() {
+        if (!modal) return;
+
+        addBtn.addEventListener('click', addToSuite);
+        cancelBtn.addEventListener('click', close);
+        closeBtn.addEventListener('click', close);
+        suiteSelect.addEventListener('change', updateNewSuiteFields);
+    }
+
+    /**
+     * Open the picker for a session
+     * @param {Object} session - The session to add
+     */
+    async function open(session) {
+        currentSession = session;
+        newSuiteName.value = '';
+        stopOnFailureInput.checked = false;
+        shareStorageInput.checked = false;
+
+        try {
+            const response = await fetch('/api/suites');
+            if (!response.ok) {
+                throw new Error(`Failed to load suites: ${response.status}`);
+            }
+            suites = await response.json();
+        } catch (error) {
+            console.error('Error loading suites:', error);
+            suites = [];
+        }
+
+        suiteSelect.length = 1;
+        suites.forEach(suite => {
+            const option = document.createElement('option');
+            option.value = suite.id;
+            option.textContent = `${suite.name} (${suite.sessionIds.length} sessions)`;
+            suiteSelect.appendChild(option);
+        });
+        suiteSelect.value = suites.length ? suites[0].id : '';
+        updateNewSuiteFields();
+
+        modal.classList.add('show');
+        modal.setAttribute('aria-hidden', 'false');
+        suiteSelect.focus();
+    }
+
+    /**
+     * Close the picker
+     */
+    function close() {
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        currentSession = null;
+    }
+
+    /**
+     * Show the new suite fields only when creating a suite
+     */
+    function updateNewSuiteFields() {
+        newSuiteFields.classList.toggle('hidden', suiteSelect.value !== '');
+    }
+
+    /**
+     * Append the session to the chosen suite, creating it if needed
+     */
+    async function addToSuite() {
+        if (!currentSession) return;
+
+        const suite = suites.find(item => item.id === suiteSelect.value);
+        if (!suite && !newSuiteName.value.trim()) {
+            showToast('Enter a name for the new suite', 'error');
+            newSuiteName.focus();
+            return;
+        }
+
+        const body = suite
+            ? {
+                name: suite.name,
+                sessionIds: [...suite.sessionIds, currentSession.id],
+                stopOnFailure: suite.stopOnFailure,
+                shareStorageState: suite.shareStorageState
+            }
+            : {
+                name: newSuiteName.value.trim(),
+                sessionIds: [currentSession.id],
+                stopOnFailure: stopOnFailureInput.checked,
+                shareStorageState: shareStorageInput.checked
+            };
+
+        try {
+            addBtn.disabled = true;
+
+            const response = await fetch(suite ? `/api/suites/${suite.id}` : '/api/suites', {
+                method: suite ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to save suite: ${response.status}`);
+            }
+
+            showToast(`Added ${currentSession.name || 'session'} to ${data.name}`, 'success');
+            close();
+        } catch (error) {
+            console.error('Error adding session to suite:', error);
+            showToast(error.message, 'error');
+        } finally {
+            addBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show a toast notification through the main app
+     */
+    function showToast(message, type = 'info') {
+        document.dispatchEvent(new CustomEvent('app:show-toast', { detail: { message, type } }));
+    }
+
+    // Expose public API
+    window.suitePicker = {
+        open
+    };
+
+    // Initialize on DOM ready
+    document.addEventListener('DOMContentLoaded', init);
+})();
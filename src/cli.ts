@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * `wag` command-line interface
+ * Talks to a running server's REST API, or works directly on the session files in the
+ * current directory when no server is running.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { spawn } from 'child_process';
+import axios, { AxiosInstance } from 'axios';
+import { getSessions, saveSession, completeSession, executeSession } from './services/sessionService';
+import { waitForRun, getRun } from './services/runService';
+import { startSuiteRun, getSuiteRun } from './services/suiteService';
+import { loadSessionScript } from './services/stepService';
+import {
+  validateReplayOptions,
+  isValidReplaySpeed,
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED
+} from './services/replayRunner';
+import { ProcessManager, LogEntry } from './utils/processManager';
+import { validateRecordingOptions, toCodegenArgs } from './utils/recordingOptions';
+import { Session, ReplayBrowser } from './types/session';
+import { ReplayRun } from './types/run';
+import { SuiteRun } from './types/suite';
+
+// Exit codes: the replay or suite passed, it failed, or the command itself could not run
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// How often the progress of a replay or suite run is checked
+const POLL_INTERVAL = 1000;
+
+const DEFAULT_SERVER = process.env.WAG_SERVER || `http://localhost:${process.env.PORT || 4000}`;
+
+const USAGE = `Usage: wag <command> [options]
+
+Commands:
+  sessions list              List saved sessions
+  record <url>               Record a new session with playwright codegen
+  replay <sessionId>         Replay a session and wait for its result
+  suite run <suiteId>        Replay the sessions of a suite and wait for the result
+  export <sessionId>         Write the Playwright script of a session
+
+Options:
+  --server <url>             Server to use (default: $WAG_SERVER or ${DEFAULT_SERVER})
+  --offline                  Work on the metadata/ and sessions/ directories of the current directory
+  --headless                 Replay without a browser window
+  --env <name>               Environment profile to replay against
+  --browser <name>           Browser to replay in: chromium, firefox or webkit
+  --speed <n>                Replay speed multiplier (0.1 to 10)
+  --var <name=value>         Value of a script variable; can be repeated
+  --name <name>              Name of the recorded session
+  --device <name>            Device to emulate while recording
+  -o, --output <file>        File to export the script to (default: standard output)
+  --json                     Print JSON instead of text
+  -h, --help                 Show this help
+
+Exit codes: 0 when the replay or suite passed, 1 when it failed, 2 on any other error.
+Without a running server, run wag from the project directory.`;
+
+/**
+ * Settings of a replay or suite run given on the command line
+ */
+interface RunOptions {
+  headless?: boolean;
+  environment?: string;
+  browser?: ReplayBrowser;
+  speed?: number;
+  variables?: Record<string, string>;
+}
+
+/**
+ * Operations of the CLI, carried out through the REST API or on local files
+ */
+interface Backend {
+  listSessions(): Promise<Session[]>;
+  record(url: string, options: { name?: string; device?: string }): Promise<string>;
+  replay(id: string, options: RunOptions, onLog: (entry: LogEntry) => void): Promise<ReplayRun>;
+  startSuite(id: string, options: RunOptions): Promise<{ suiteRunId: string; getSuiteRun: () => Promise<SuiteRun | null> }>;
+  exportScript(id: string): Promise<{ fileName: string; source: string }>;
+}
+
+const sleep = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the message of a failed API request, preferring the server's own message
+ */
+function describeApiError(error: unknown): string {
+  if (axios.isAxiosError(error)) {
+    const message = (error.response?.data as { message?: string } | undefined)?.message;
+    return message || error.message;
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Backend using the REST API of a running server
+ */
+function createApiBackend(client: AxiosInstance): Backend {
+  const request = async <T>(run: () => Promise<{ data: T }>): Promise<T> => {
+    try {
+      return (await run()).data;
+    } catch (error) {
+      throw new Error(describeApiError(error));
+    }
+  };
+
+  return {
+    listSessions: () => request(() => client.get<Session[]>('/api/sessions')),
+
+    async record(url, { name, device }) {
+      const result = await request(() => client.post<{ sessionId?: string }>('/api/recording/start', {
+        url,
+        sessionName: name,
+        device
+      }));
+      console.log('Recording in the browser window opened by the server; close it to finish.');
+      return result.sessionId || '';
+    },
+
+    async replay(id, options, onLog) {
+      const { processId, runId } = await request(() =>
+        client.post<{ processId: string; runId: string }>(`/api/sessions/${encodeURIComponent(id)}/replay`, options));
+
+      // Print the replay's logs until it completes
+      let printed = 0;
+      for (;;) {
+        const { logs, completed } = await request(() =>
+          client.get<{ logs: LogEntry[]; completed: boolean }>(`/api/recording/logs/${processId}`));
+        logs.slice(printed).forEach(onLog);
+        printed = logs.length;
+        if (completed) break;
+        await sleep(POLL_INTERVAL);
+      }
+
+      // The run record is finalized just after the replay exits
+      for (;;) {
+        const run = await request(() => client.get<ReplayRun>(`/api/runs/${runId}`));
+        if (run.status !== 'running') return run;
+        await sleep(POLL_INTERVAL);
+      }
+    },
+
+    async startSuite(id, options) {
+      const suiteRun = await request(() =>
+        client.post<SuiteRun>(`/api/suites/${encodeURIComponent(id)}/run`, options));
+      return {
+        suiteRunId: suiteRun.id,
+        getSuiteRun: () => request(() => client.get<SuiteRun>(`/api/suites/runs/${suiteRun.id}`))
+      };
+    },
+
+    async exportScript(id) {
+      try {
+        const response = await client.get<string>(`/api/sessions/${encodeURIComponent(id)}/script`, {
+          responseType: 'text'
+        });
+        const disposition = String(response.headers['content-disposition'] || '');
+        const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || `${id}.ts`;
+        return { fileName, source: response.data };
+      } catch (error) {
+        // Error bodies arrive as text too
+        const body = axios.isAxiosError(error) && typeof error.response?.data === 'string' ? error.response.data : '';
+        const message = body.startsWith('{') ? (JSON.parse(body) as { message?: string }).message : undefined;
+        throw new Error(message || describeApiError(error));
+      }
+    }
+  };
+}
+
+/**
+ * Backend working directly on the session files in the current directory
+ */
+function createLocalBackend(): Backend {
+  return {
+    listSessions: () => getSessions(),
+
+    async record(url, { name, device }) {
+      const recordingOptions = device ? { device } : {};
+      const invalid = validateRecordingOptions(recordingOptions);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
+      const outputPath = path.join(process.cwd(), 'sessions', `session_${timestamp}.ts`);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+      console.log('Recording in the browser window; close it to finish.');
+      const code = await new Promise<number | null>((resolve, reject) => {
+        const codegen = spawn('npx', ['playwright', 'codegen', ...toCodegenArgs(recordingOptions), url, '--output', outputPath], {
+          stdio: 'inherit',
+          shell: process.platform === 'win32'
+        });
+        codegen.on('error', reject);
+        codegen.on('exit', resolve);
+      });
+
+      const recorded = await fs.access(outputPath).then(() => true, () => false);
+      if (code !== 0 || !recorded) {
+        throw new Error(`playwright codegen exited with code ${code} without saving a script`);
+      }
+
+      const session = await saveSession(url, outputPath, name, undefined, undefined, device ? recordingOptions : undefined);
+      await completeSession(session.id);
+      return session.id;
+    },
+
+    async replay(id, options, onLog) {
+      if (options.speed !== undefined && !isValidReplaySpeed(options.speed)) {
+        throw new Error(`Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}`);
+      }
+      const invalid = validateReplayOptions({ ...options });
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      const result = await executeSession(id, options);
+      if (!result.success || !result.processId || !result.runId) {
+        throw new Error(result.message);
+      }
+
+      const processManager = ProcessManager.getInstance();
+      processManager.getLogs(result.processId).forEach(onLog);
+      const unsubscribe = processManager.subscribe(result.processId, event => {
+        if (event.type === 'log') onLog(event.entry);
+      });
+
+      const run = await waitForRun(result.runId);
+      unsubscribe();
+      return run || (await getRun(result.runId)) as ReplayRun;
+    },
+
+    async startSuite(id, options) {
+      const { variables, ...suiteOptions } = options;
+      if (variables) {
+        throw new Error('--var is not supported for suites');
+      }
+      if (suiteOptions.speed !== undefined && !isValidReplaySpeed(suiteOptions.speed)) {
+        throw new Error(`Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}`);
+      }
+      const invalid = validateReplayOptions({ ...suiteOptions });
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      const suiteRun = await startSuiteRun(id, suiteOptions);
+      if (!suiteRun) {
+        throw new Error(`Suite with ID ${id} not found`);
+      }
+      return { suiteRunId: suiteRun.id, getSuiteRun: () => getSuiteRun(suiteRun.id) };
+    },
+
+    async exportScript(id) {
+      const result = await loadSessionScript(id);
+      if (!result.success || !result.session || result.source === undefined) {
+        throw new Error(result.message);
+      }
+      return { fileName: path.basename(result.session.scriptPath), source: result.source };
+    }
+  };
+}
+
+/**
+ * Pick the backend: the server's API when it answers, local files otherwise
+ * @param server URL of the server, when given on the command line
+ */
+async function connect(server: string | undefined, offline: boolean): Promise<Backend> {
+  if (offline) {
+    return createLocalBackend();
+  }
+
+  const client = axios.create({ baseURL: server || DEFAULT_SERVER });
+  try {
+    await client.get('/api/test', { timeout: 2000 });
+    return createApiBackend(client);
+  } catch (error) {
+    // A server named explicitly has to be used; the default one may simply not be running
+    if (server) {
+      throw new Error(`Server ${server} is not reachable: ${describeApiError(error)}`);
+    }
+    console.error(`No server running at ${DEFAULT_SERVER}; using the files in ${process.cwd()}`);
+    return createLocalBackend();
+  }
+}
+
+function formatLog(entry: LogEntry): string {
+  return `[${entry.timestamp.slice(11, 19)}] ${entry.message}`;
+}
+
+function formatDuration(ms?: number): string {
+  return ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Print rows as left-aligned columns
+ */
+function printTable(header: string[], rows: string[][]): void {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  }
+}
+
+/**
+ * Parse `--var name=value` options into a variable map
+ */
+function parseVariables(values: string[] | undefined): Record<string, string> | undefined {
+  if (!values || values.length === 0) {
+    return undefined;
+  }
+
+  return Object.fromEntries(values.map(item => {
+    const separator = item.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`--var must be given as name=value: ${item}`);
+    }
+    return [item.slice(0, separator), item.slice(separator + 1)];
+  }));
+}
+
+async function listSessions(backend: Backend, json: boolean): Promise<number> {
+  const sessions = await backend.listSessions();
+
+  if (json) {
+    console.log(JSON.stringify(sessions, null, 2));
+  } else if (sessions.length === 0) {
+    console.log('No sessions');
+  } else {
+    printTable(['ID', 'NAME', 'CREATED', 'URL'], sessions.map(session => [
+      session.id,
+      session.name,
+      session.createdAt.slice(0, 16).replace('T', ' '),
+      session.url
+    ]));
+  }
+  return EXIT_PASSED;
+}
+
+async function replay(backend: Backend, id: string, options: RunOptions, json: boolean): Promise<number> {
+  const run = await backend.replay(id, options, entry => {
+    if (!json) console.log(formatLog(entry));
+  });
+
+  if (json) {
+    console.log(JSON.stringify(run, null, 2));
+  } else {
+    const steps = run.steps || [];
+    console.log(`\nRun ${run.id} ${run.status} in ${formatDuration(run.durationMs)} (${steps.filter(step => step.status === 'passed').length}/${steps.length} steps passed)`);
+
+    const failed = steps.find(step => step.status === 'failed');
+    if (failed) {
+      console.log(`Failed at line ${failed.line}${failed.source ? `: ${failed.source}` : ''}\n${failed.error || ''}`);
+    }
+  }
+  return run.status === 'passed' ? EXIT_PASSED : EXIT_FAILED;
+}
+
+async function runSuite(backend: Backend, id: string, options: RunOptions, json: boolean): Promise<number> {
+  const { suiteRunId, getSuiteRun } = await backend.startSuite(id, options);
+  if (!json) {
+    console.log(`Suite run ${suiteRunId} started`);
+  }
+
+  // Report every session as it changes status
+  const reported = new Map<string, string>();
+  for (;;) {
+    const suiteRun = await getSuiteRun();
+    if (!suiteRun) {
+      throw new Error('Suite run not found');
+    }
+
+    suiteRun.sessions.forEach((result, i) => {
+      const key = `${i}:${result.sessionId}`;
+      if (!json && result.status !== 'pending' && reported.get(key) !== result.status) {
+        reported.set(key, result.status);
+        const detail = result.failure?.error?.split('\n')[0] || result.error || '';
+        console.log(`${result.status.padEnd(8)} ${result.sessionName || result.sessionId}${result.durationMs !== undefined ? ` ${formatDuration(result.durationMs)}` : ''}${detail ? ` - ${detail}` : ''}`);
+      }
+    });
+
+    if (suiteRun.status !== 'running') {
+      console.log(json
+        ? JSON.stringify(suiteRun, null, 2)
+        : `\nSuite ${suiteRun.suiteName} ${suiteRun.status} in ${formatDuration(suiteRun.durationMs)}`);
+      return suiteRun.status === 'passed' ? EXIT_PASSED : EXIT_FAILED;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+async function exportScript(backend: Backend, id: string, output: string | undefined): Promise<number> {
+  const { fileName, source } = await backend.exportScript(id);
+
+  if (output) {
+    await fs.writeFile(output, source);
+    console.error(`Exported ${fileName} to ${output}`);
+  } else {
+    process.stdout.write(source);
+  }
+  return EXIT_PASSED;
+}
+
+/**
+ * Run the command given by the arguments
+ * @returns The process exit code
+ */
+export async function main(argv: string[]): Promise<number> {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        server: { type: 'string' },
+        offline: { type: 'boolean' },
+        headless: { type: 'boolean' },
+        env: { type: 'string' },
+        browser: { type: 'string' },
+        speed: { type: 'string' },
+        var: { type: 'string', multiple: true },
+        name: { type: 'string' },
+        device: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error instanceof Error ? error.message : error}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_PASSED : EXIT_ERROR;
+  }
+
+  const usageError = (message: string): number => {
+    console.error(`${message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  };
+
+  try {
+    const runOptions: RunOptions = {
+      ...(values.headless && { headless: true }),
+      ...(values.env && { environment: values.env }),
+      ...(values.browser && { browser: values.browser as ReplayBrowser }),
+      ...(values.speed !== undefined && { speed: Number(values.speed) }),
+      ...(values.var && { variables: parseVariables(values.var) })
+    };
+    const json = !!values.json;
+
+    switch (command) {
+      case 'sessions':
+        if (args[0] !== 'list') return usageError('Unknown sessions command');
+        return await listSessions(await connect(values.server, !!values.offline), json);
+
+      case 'record': {
+        if (!args[0]) return usageError('record requires a URL');
+        const backend = await connect(values.server, !!values.offline);
+        const sessionId = await backend.record(args[0], { name: values.name, device: values.device });
+        console.log(`Session ID: ${sessionId}`);
+        return EXIT_PASSED;
+      }
+
+      case 'replay':
+        if (!args[0]) return usageError('replay requires a session ID');
+        return await replay(await connect(values.server, !!values.offline), args[0], runOptions, json);
+
+      case 'suite':
+        if (args[0] !== 'run' || !args[1]) return usageError('Usage: wag suite run <suiteId>');
+        return await runSuite(await connect(values.server, !!values.offline), args[1], runOptions, json);
+
+      case 'export':
+        if (!args[0]) return usageError('export requires a session ID');
+        return await exportScript(await connect(values.server, !!values.offline), args[0], values.output);
+
+      default:
+        return usageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : error}`);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
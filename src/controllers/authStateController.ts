@@ -0,0 +1,83 @@
+import { Request, Response } from 'express';
+import {
+  listAuthStates,
+  getAuthState,
+  saveAuthState,
+  deleteAuthState,
+  isValidAuthStateName,
+  isStorageState
+} from '../services/authStateService';
+
+/**
+ * Get all saved auth states
+ */
+export const getAuthStates = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const states = await listAuthStates();
+    res.status(200).json(states);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving auth states', error });
+  }
+};
+
+/**
+ * Get a saved auth state by name
+ */
+export const getAuthStateByName = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.params;
+    const state = await getAuthState(name);
+    
+    if (!state) {
+      res.status(404).json({ message: `Auth state ${name} not found` });
+      return;
+    }
+    
+    res.status(200).json(state);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving auth state', error });
+  }
+};
+
+/**
+ * Save an uploaded Playwright storage state under a name
+ */
+export const createAuthState = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name, storageState } = req.body || {};
+    
+    if (!isValidAuthStateName(name)) {
+      res.status(400).json({ message: 'name must be 1-64 letters, digits, dots, dashes or underscores' });
+      return;
+    }
+    
+    if (!isStorageState(storageState)) {
+      res.status(400).json({ message: 'storageState must be a Playwright storage state with cookies and origins arrays' });
+      return;
+    }
+    
+    const state = await saveAuthState(name, storageState);
+    res.status(201).json(state);
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving auth state', error });
+  }
+};
+
+/**
+ * Delete a saved auth state
+ */
+export const removeAuthState = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.params;
+    const deleted = await deleteAuthState(name);
+    
+    if (!deleted) {
+      res.status(404).json({ message: `Auth state ${name} not found` });
+      return;
+    }
+    
+    res.status(200).json({ message: `Auth state ${name} successfully deleted` });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting auth state', error });
+  }
+};
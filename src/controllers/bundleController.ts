@@ -0,0 +1,43 @@
+import { Request, Response } from 'express';
+import { exportSessionBundle, parseSessionBundle, importSessionBundle } from '../services/bundleService';
+
+/**
+ * Download a session as a bundle that can be imported on another machine
+ */
+export const exportSession = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const bundle = await exportSessionBundle(id);
+    
+    if (!bundle) {
+      res.status(404).json({ message: `Session with ID ${id} or its script not found` });
+      return;
+    }
+    
+    res.status(200)
+      .type('application/gzip')
+      .attachment(bundle.fileName)
+      .send(bundle.content);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting session', error });
+  }
+};
+
+/**
+ * Import a session bundle, sent as gzip or as JSON
+ */
+export const importSession = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const bundle = await parseSessionBundle(req.body);
+    
+    if (typeof bundle === 'string') {
+      res.status(400).json({ message: bundle });
+      return;
+    }
+    
+    const result = await importSessionBundle(bundle, { author: req.get('X-Author') });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error importing session', error });
+  }
+};
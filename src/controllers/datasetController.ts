@@ -0,0 +1,21 @@
+import { Request, Response } from 'express';
+import { getDatasetReport } from '../services/datasetService';
+
+/**
+ * Get a data-driven replay report by ID
+ */
+export const getDatasetRunById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { datasetRunId } = req.params;
+    const report = await getDatasetReport(datasetRunId);
+    
+    if (!report) {
+      res.status(404).json({ message: `Dataset replay with ID ${datasetRunId} not found` });
+      return;
+    }
+    
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving dataset replay', error });
+  }
+};
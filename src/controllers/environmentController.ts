@@ -0,0 +1,114 @@
+import { Request, Response } from 'express';
+import {
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  validateEnvironment,
+  isValidEnvironmentName
+} from '../services/environmentService';
+
+/**
+ * Get all environment profiles
+ */
+export const getEnvironments = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const environments = await listEnvironments();
+    res.status(200).json(environments);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving environments', error });
+  }
+};
+
+/**
+ * Get an environment profile by name
+ */
+export const getEnvironmentByName = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.params;
+    const environment = await getEnvironment(name);
+    
+    if (!environment) {
+      res.status(404).json({ message: `Environment ${name} not found` });
+      return;
+    }
+    
+    res.status(200).json(environment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving environment', error });
+  }
+};
+
+/**
+ * Create an environment profile
+ */
+export const createEnvironment = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.body || {};
+    
+    if (!isValidEnvironmentName(name)) {
+      res.status(400).json({ message: 'name must be 1-64 letters, digits, dots, dashes or underscores' });
+      return;
+    }
+    
+    const input = await validateEnvironment(req.body);
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    if (await getEnvironment(name)) {
+      res.status(409).json({ message: `Environment ${name} already exists` });
+      return;
+    }
+    
+    const environment = await saveEnvironment(name, input);
+    res.status(201).json(environment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating environment', error });
+  }
+};
+
+/**
+ * Replace the settings of an environment profile
+ */
+export const updateEnvironment = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.params;
+    
+    if (!(await getEnvironment(name))) {
+      res.status(404).json({ message: `Environment ${name} not found` });
+      return;
+    }
+    
+    const input = await validateEnvironment(req.body || {});
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    const environment = await saveEnvironment(name, input);
+    res.status(200).json(environment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating environment', error });
+  }
+};
+
+/**
+ * Delete an environment profile
+ */
+export const removeEnvironment = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { name } = req.params;
+    const deleted = await deleteEnvironment(name);
+    
+    if (!deleted) {
+      res.status(404).json({ message: `Environment ${name} not found` });
+      return;
+    }
+    
+    res.status(200).json({ message: `Environment ${name} successfully deleted` });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting environment', error });
+  }
+};
@@ -0,0 +1,56 @@
+import { Request, Response } from 'express';
+import { getJobs, getJob, cancelJob } from '../services/jobService';
+
+/**
+ * Get the running, queued and recently ended replay jobs
+ */
+export const getAllJobs = async (req: Request, res: Response): Promise<void> => {
+  try {
+    res.status(200).json(getJobs());
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving jobs', error });
+  }
+};
+
+/**
+ * Get a replay job by ID
+ */
+export const getJobById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const job = getJob(id);
+    
+    if (!job) {
+      res.status(404).json({ message: `Job with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving job', error });
+  }
+};
+
+/**
+ * Cancel a queued job or stop its running replay
+ */
+export const cancelJobById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const job = cancelJob(id);
+    
+    if (!job) {
+      res.status(404).json({ message: `Job with ID ${id} not found` });
+      return;
+    }
+    
+    if (typeof job === 'string') {
+      res.status(409).json({ message: job });
+      return;
+    }
+    
+    res.status(200).json({ message: `Job ${id} successfully cancelled`, job });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling job', error });
+  }
+};
@@ -0,0 +1,80 @@
+import { Request, Response } from 'express';
+import { startMatrix, getMatrixReport } from '../services/matrixService';
+import {
+  REPLAY_BROWSERS,
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED,
+  isValidReplaySpeed,
+  isValidViewport,
+  validateReplayOptions
+} from '../services/replayRunner';
+import { ReplayBrowser } from '../types/session';
+
+/**
+ * Start replaying a session across browsers and viewports
+ */
+export const startSessionMatrix = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const { browsers = REPLAY_BROWSERS, viewports = [], headless, channel, environment, speed } = req.body || {};
+    
+    if (!Array.isArray(browsers) || browsers.length === 0
+      || !browsers.every(browser => REPLAY_BROWSERS.includes(browser))) {
+      res.status(400).json({ message: `browsers must be a non-empty array of: ${REPLAY_BROWSERS.join(', ')}` });
+      return;
+    }
+    
+    if (!Array.isArray(viewports) || !viewports.every(isValidViewport)) {
+      res.status(400).json({ message: 'viewports must be an array of { width, height } objects' });
+      return;
+    }
+    
+    if (speed !== undefined && !isValidReplaySpeed(speed)) {
+      res.status(400).json({ message: `Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}` });
+      return;
+    }
+    
+    const invalid = validateReplayOptions({ headless, channel, environment });
+    if (invalid) {
+      res.status(400).json({ message: invalid });
+      return;
+    }
+    
+    const report = await startMatrix(id, {
+      browsers: [...new Set<ReplayBrowser>(browsers)],
+      viewports,
+      headless,
+      channel,
+      environment,
+      speed
+    });
+    
+    if (!report) {
+      res.status(404).json({ message: `Session with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(202).json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting matrix replay', error });
+  }
+};
+
+/**
+ * Get a matrix replay report by ID
+ */
+export const getMatrixById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { matrixId } = req.params;
+    const report = await getMatrixReport(matrixId);
+    
+    if (!report) {
+      res.status(404).json({ message: `Matrix replay with ID ${matrixId} not found` });
+      return;
+    }
+    
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving matrix replay', error });
+  }
+};
@@ -0,0 +1,91 @@
+import { Request, Response } from 'express';
+import { exportSessionProject, exportSuiteProject, exportSessionFeature, ExportedProject } from '../services/projectExportService';
+
+/**
+ * Send a project archive as a file download
+ */
+function sendProject(res: Response, project: ExportedProject): void {
+  res.status(200)
+    .type('application/gzip')
+    .attachment(project.fileName)
+    .send(project.content);
+}
+
+/**
+ * Download a session as a standalone Playwright Test project
+ */
+export const downloadSessionProject = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const project = await exportSessionProject(id);
+    
+    if (!project) {
+      res.status(404).json({ message: `Session with ID ${id} or its script not found` });
+      return;
+    }
+    
+    sendProject(res, project);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting session project', error });
+  }
+};
+
+/**
+ * Download a suite as a standalone Playwright Test project
+ */
+export const downloadSuiteProject = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const project = await exportSuiteProject(id);
+    
+    if (!project) {
+      res.status(404).json({ message: `Suite with ID ${id} not found` });
+      return;
+    }
+    if (typeof project === 'string') {
+      res.status(409).json({ message: project });
+      return;
+    }
+    
+    sendProject(res, project);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting suite project', error });
+  }
+};
+
+/**
+ * Download a session as a Gherkin feature with its step definitions
+ * `?file=feature` sends the feature file alone, as text.
+ */
+export const downloadSessionFeature = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const { file } = req.query;
+    
+    if (file !== undefined && file !== 'feature') {
+      res.status(400).json({ message: 'file must be "feature" when given' });
+      return;
+    }
+    
+    const exported = await exportSessionFeature(id);
+    
+    if (!exported) {
+      res.status(404).json({ message: `Session with ID ${id} or its script not found` });
+      return;
+    }
+    
+    res.set('X-Unconverted-Steps', String(exported.unconverted));
+    if (file === 'feature') {
+      // attachment() picks a content type from the file extension; the feature is sent as text
+      res.status(200)
+        .attachment(exported.featureFileName)
+        .type('text/plain')
+        .send(exported.feature);
+      return;
+    }
+    
+    sendProject(res, exported);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting session feature', error });
+  }
+};
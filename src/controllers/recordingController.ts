@@ -2,6 +2,10 @@ import { Request, Response } from 'express';
 import * as path from 'path';
 import { ProcessManager } from '../utils/processManager';
 import * as sessionService from '../services/sessionService';
+import { validateRecordingOptions, pickRecordingOptions, getDeviceNames } from '../utils/recordingOptions';
+import { authStateExists, getAuthState, isValidAuthStateName } from '../services/authStateService';
+import { snapshotSessionScript } from '../services/versionService';
+import { continueRecordingSession } from '../services/continueRecorder';
 
 // Process manager to keep track of running processes
 const processManager = ProcessManager.getInstance();
@@ -11,14 +15,35 @@ const processManager = ProcessManager.getInstance();
  */
 export const startRecording = async (req: Request, res: Response): Promise<void> => {
   try {
-    const { url, sessionName, tags } = req.body;
+    const { url, sessionName, tags, authState, saveAuthState } = req.body;
     
     if (!url) {
       res.status(400).json({ success: false, message: 'URL is required' });
       return;
     }
     
-    const result = await sessionService.startRecordingSession(url);
+    const recordingOptions = pickRecordingOptions(req.body);
+    const invalid = validateRecordingOptions({ ...recordingOptions });
+    if (invalid) {
+      res.status(400).json({ success: false, message: invalid });
+      return;
+    }
+    
+    if (authState !== undefined && !(await authStateExists(authState))) {
+      res.status(400).json({ success: false, message: `Auth state not found: ${authState}` });
+      return;
+    }
+    
+    if (saveAuthState !== undefined && !isValidAuthStateName(saveAuthState)) {
+      res.status(400).json({ success: false, message: 'saveAuthState must be 1-64 letters, digits, dots, dashes or underscores' });
+      return;
+    }
+    
+    const startedAt = new Date().toISOString();
+    const result = await sessionService.startRecordingSession(url, recordingOptions, {
+      load: authState,
+      save: saveAuthState
+    });
     
     if (!result.success) {
       res.status(500).json({ success: false, message: result.message });
@@ -26,8 +51,10 @@ export const startRecording = async (req: Request, res: Response): Promise<void>
     }
     
     // If we have a process ID, register it with the process manager
+    let sessionId: string | undefined;
     if (result.processId) {
-      processManager.registerProcess(result.processId, 'recording');
+      // With the child process registered, its output is logged, it can be stopped and its exit is seen
+      processManager.registerProcess(result.processId, 'recording', result.process);
       
       // Create a new enhanced session with connection tracking
       const session = await sessionService.saveSession(
@@ -35,20 +62,48 @@ export const startRecording = async (req: Request, res: Response): Promise<void>
         result.outputPath || '',  // Ensure it's always a string
         sessionName,
         result.processId,
-        Array.isArray(tags) ? tags : tags ? [tags] : undefined
+        Array.isArray(tags) ? tags : tags ? [tags] : undefined,
+        Object.keys(recordingOptions).length ? recordingOptions : undefined
       );
       
+      sessionId = session.id;
+      
+      // The recorded steps start already logged in, so replays need the same state
+      if (authState) {
+        await sessionService.updateSession(session.id, { replayOptions: { authState } });
+      }
+      
       // Register a listener for process termination to update connection events
       const process = processManager.getProcess(result.processId);
       if (process && process.process) {
+        const processId = result.processId;
+        const author = req.get('X-Author');
         process.process.on('exit', (code: number | null) => {
+          // Codegen has written the script by now, also when the recording was stopped
+          snapshotSessionScript(session, { author, note: 'Recorded with codegen' }).catch((err: Error) => {
+            console.error(`Error saving the script version of session ${session.id}:`, err);
+          });
+          
+          // Codegen writes --save-storage when its browser closes; an older file means it did not
+          if (saveAuthState) {
+            getAuthState(saveAuthState).then(state => {
+              if (state && state.updatedAt >= startedAt) {
+                processManager.addLog(processId, `Saved auth state "${saveAuthState}" (${state.cookieCount} cookies)`, 'success');
+              } else {
+                processManager.addLog(processId, `Auth state "${saveAuthState}" was not saved; close the codegen browser to save it`, 'error');
+              }
+            }).catch((err: Error) => {
+              console.error(`Error reading auth state ${saveAuthState}:`, err);
+            });
+          }
+          
           // If code is 0, it was normal termination
           if (code === 0) {
             sessionService.completeSession(session.id).catch((err: Error) => {
               console.error(`Error completing session ${session.id}:`, err);
             });
-          } else {
-            // Abnormal termination
+          } else if (!processManager.wasStoppedByUser(processId)) {
+            // Abnormal termination; a stopped recording was already completed by the stop request
             sessionService.addConnectionEvent(
               session.id,
               'failed',
@@ -65,7 +120,11 @@ export const startRecording = async (req: Request, res: Response): Promise<void>
       success: true,
       message: 'Recording session started',
       processId: result.processId,
-      outputPath: result.outputPath
+      sessionId,
+      outputPath: result.outputPath,
+      recordingOptions,
+      authState,
+      saveAuthState
     });
   } catch (error) {
     console.error('Error starting recording:', error);
@@ -76,6 +135,44 @@ export const startRecording = async (req: Request, res: Response): Promise<void>
   }
 };
 
+/**
+ * Continue recording a session: replay it up to a step, then record new steps from there
+ * Optional body: `upToStep`, the index of the last step to replay (default: the last step).
+ * The new steps are inserted after that step once the browser is closed or the process stopped.
+ */
+export const continueRecording = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const upToStep = req.body?.upToStep;
+    
+    if (upToStep !== undefined && !(typeof upToStep === 'number' && Number.isInteger(upToStep))) {
+      res.status(400).json({ success: false, message: 'upToStep must be an integer step index' });
+      return;
+    }
+    
+    const result = await continueRecordingSession(id, { upToStep, author: req.get('X-Author') });
+    
+    if (!result.success) {
+      res.status(result.invalid ? 400 : 404).json({ success: false, message: result.message });
+      return;
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      processId: result.processId,
+      sessionId: id,
+      upToStep: result.upToStep
+    });
+  } catch (error) {
+    console.error('Error continuing recording:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: `Error continuing recording: ${error instanceof Error ? error.message : 'Unknown error'}`
+    });
+  }
+};
+
 /**
  * Stop a recording or replay process
  */
@@ -141,11 +238,16 @@ export const getLogs = async (req: Request, res: Response): Promise<void> => {
     
     const logs = processManager.getLogs(pid);
     const isRunning = processManager.isProcessRunning(pid);
+    const outcome = processManager.getOutcome(pid);
     
     res.status(200).json({
       logs,
       completed: !isRunning,
-      success: !logs.some((log: { type: string }) => log.type === 'error')
+      // Replays report their exit-code outcome; stderr output alone is not a failure
+      success: outcome
+        ? outcome === 'passed'
+        : !logs.some((log: { type: string }) => log.type === 'error'),
+      outcome
     });
   } catch (error) {
     console.error('Error getting logs:', error);
@@ -264,26 +366,10 @@ export const getRecordingStatus = async (req: Request, res: Response): Promise<v
       return;
     }
     
-    const isRunning = processManager.isProcessRunning(pid);
-    const processType = processManager.getProcessType(pid);
-    
-    // Determine the status based on whether the process is running and its type
-    let status = 'unknown';
-    if (isRunning && processType === 'recording') {
-      status = 'recording';
-    } else if (!isRunning && processType === 'recording') {
-      status = 'stopped';
-    } else if (isRunning && processType === 'replay') {
-      status = 'replaying';
-    } else if (!isRunning && processType === 'replay') {
-      status = 'replay_stopped';
-    }
-    
     res.status(200).json({
       success: true,
       processId: pid,
-      status,
-      isRunning
+      ...processManager.getStatus(pid)
     });
   } catch (error) {
     console.error('Error getting recording status:', error);
@@ -293,3 +379,59 @@ export const getRecordingStatus = async (req: Request, res: Response): Promise<v
     });
   }
 };
+
+/**
+ * Stream log entries and status changes of a process as Server-Sent Events
+ */
+export const streamProcessEvents = async (req: Request, res: Response): Promise<void> => {
+  const { pid } = req.params;
+  
+  if (!pid) {
+    res.status(400).json({ success: false, message: 'Process ID is required' });
+    return;
+  }
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event: string, data: unknown, id?: number) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Replay the logs captured so far, skipping what a reconnecting client already has
+  const lastEventId = parseInt(req.get('Last-Event-ID') || '', 10);
+  const firstIndex = isNaN(lastEventId) ? 0 : lastEventId + 1;
+  processManager.getLogs(pid).forEach((entry, index) => {
+    if (index >= firstIndex) {
+      send('log', entry, index);
+    }
+  });
+  send('status', processManager.getStatus(pid));
+  
+  const unsubscribe = processManager.subscribe(pid, (event) => {
+    if (event.type === 'log') {
+      send('log', event.entry, event.index);
+    } else {
+      send('status', event.status);
+    }
+  });
+  
+  // Keep intermediaries from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ * List the device names that can be emulated while recording
+ */
+export const getRecordingDevices = async (req: Request, res: Response): Promise<void> => {
+  res.status(200).json({ success: true, devices: getDeviceNames() });
+};
@@ -0,0 +1,201 @@
+import { Request, Response } from 'express';
+import path from 'path';
+import { getSession } from '../services/sessionService';
+import { getRun, getRunsForSession, getArtifactsDir } from '../services/runService';
+import { generateRunReport, REPORT_FORMATS, ReportFormat } from '../services/reportService';
+import { getActiveRunner, isValidReplaySpeed, MIN_REPLAY_SPEED, MAX_REPLAY_SPEED, ReplayRunner } from '../services/replayRunner';
+import { getQueuedRunner } from '../services/jobService';
+import { RunStatus } from '../types/run';
+
+const RUN_STATUSES: RunStatus[] = ['running', 'passed', 'failed', 'stopped', 'error'];
+
+/**
+ * Get the replay history of a session
+ */
+export const getSessionRuns = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    const limit = typeof req.query.limit === 'string' ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (status && !RUN_STATUSES.includes(status as RunStatus)) {
+      res.status(400).json({ message: `Invalid status. Must be one of: ${RUN_STATUSES.join(', ')}` });
+      return;
+    }
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      res.status(400).json({ message: 'Limit must be a positive number' });
+      return;
+    }
+    
+    const session = await getSession(id);
+    if (!session) {
+      res.status(404).json({ message: `Session with ID ${id} not found` });
+      return;
+    }
+    
+    const runs = await getRunsForSession(id, status as RunStatus | undefined, limit);
+    res.status(200).json(runs);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving session runs', error });
+  }
+};
+
+/**
+ * Get a specific run by ID
+ */
+export const getRunById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const run = await getRun(runId);
+    
+    if (!run) {
+      res.status(404).json({ message: `Run with ID ${runId} not found` });
+      return;
+    }
+    
+    res.status(200).json(run);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving run', error });
+  }
+};
+
+/**
+ * Find the runner of an in-progress or queued run, responding with 404 or 409 when there is none
+ */
+async function findActiveRunner(runId: string, res: Response): Promise<ReplayRunner | null> {
+  const runner = getActiveRunner(runId) || getQueuedRunner(runId);
+  if (runner) {
+    return runner;
+  }
+  
+  const run = await getRun(runId);
+  if (!run) {
+    res.status(404).json({ message: `Run with ID ${runId} not found` });
+  } else {
+    res.status(409).json({ message: `Run ${runId} is not in progress (status: ${run.status})` });
+  }
+  return null;
+}
+
+/**
+ * Pause a replay before its next step
+ */
+export const pauseRun = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const runner = await findActiveRunner(runId, res);
+    if (!runner) return;
+    
+    runner.pause();
+    res.status(200).json({ runId, ...runner.getControlState() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error pausing run', error });
+  }
+};
+
+/**
+ * Resume a paused replay
+ */
+export const resumeRun = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const runner = await findActiveRunner(runId, res);
+    if (!runner) return;
+    
+    runner.resume();
+    res.status(200).json({ runId, ...runner.getControlState() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resuming run', error });
+  }
+};
+
+/**
+ * Execute the next step of a paused replay
+ */
+export const stepRun = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const runner = await findActiveRunner(runId, res);
+    if (!runner) return;
+    
+    runner.step();
+    res.status(200).json({ runId, ...runner.getControlState() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error stepping run', error });
+  }
+};
+
+/**
+ * Change the speed of a replay
+ */
+export const setRunSpeed = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const { speed } = req.body || {};
+    
+    if (!isValidReplaySpeed(speed)) {
+      res.status(400).json({ message: `Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}` });
+      return;
+    }
+    
+    const runner = await findActiveRunner(runId, res);
+    if (!runner) return;
+    
+    runner.setSpeed(speed);
+    res.status(200).json({ runId, ...runner.getControlState() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing run speed', error });
+  }
+};
+
+/**
+ * Download an artifact (trace, video or screenshot) of a run
+ */
+export const getRunArtifact = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId, name } = req.params;
+    const run = await getRun(runId);
+    
+    if (!run) {
+      res.status(404).json({ message: `Run with ID ${runId} not found` });
+      return;
+    }
+    
+    // Only names recorded on the run are served, so no other file can be reached
+    if (!run.artifacts.includes(name)) {
+      res.status(404).json({ message: `Artifact ${name} not found for run ${runId}` });
+      return;
+    }
+    
+    res.sendFile(path.join(getArtifactsDir(runId), name));
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving run artifact', error });
+  }
+};
+
+/**
+ * Download an HTML or JUnit XML report of a run
+ */
+export const getRunReport = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { runId } = req.params;
+    const format = typeof req.query.format === 'string' ? req.query.format : 'html';
+    
+    if (!REPORT_FORMATS.includes(format as ReportFormat)) {
+      res.status(400).json({ message: `Invalid format. Must be one of: ${REPORT_FORMATS.join(', ')}` });
+      return;
+    }
+    
+    const report = await generateRunReport(runId, format as ReportFormat);
+    
+    if (!report) {
+      res.status(404).json({ message: `Run with ID ${runId} not found` });
+      return;
+    }
+    
+    res.status(200).type(report.contentType).attachment(report.fileName).send(report.content);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating run report', error });
+  }
+};
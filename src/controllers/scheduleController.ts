@@ -0,0 +1,104 @@
+import { Request, Response } from 'express';
+import {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  validateSchedule
+} from '../services/scheduleService';
+
+/**
+ * Get all schedules with their next fire time and last result
+ */
+export const getAllSchedules = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const schedules = await getSchedules();
+    res.status(200).json(schedules);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving schedules', error });
+  }
+};
+
+/**
+ * Get a schedule by ID
+ */
+export const getScheduleById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const schedule = await getSchedule(id);
+    
+    if (!schedule) {
+      res.status(404).json({ message: `Schedule with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving schedule', error });
+  }
+};
+
+/**
+ * Create a schedule
+ */
+export const createNewSchedule = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const input = await validateSchedule(req.body || {});
+    
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    const schedule = await createSchedule(input);
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating schedule', error });
+  }
+};
+
+/**
+ * Replace the target, cron expression and options of a schedule
+ */
+export const updateScheduleById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const input = await validateSchedule(req.body || {});
+    
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    const schedule = await updateSchedule(id, input);
+    
+    if (!schedule) {
+      res.status(404).json({ message: `Schedule with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating schedule', error });
+  }
+};
+
+/**
+ * Delete a schedule
+ */
+export const deleteScheduleById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const deleted = await deleteSchedule(id);
+    
+    if (!deleted) {
+      res.status(404).json({ message: `Schedule with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ message: `Schedule ${id} successfully deleted` });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting schedule', error });
+  }
+};
@@ -0,0 +1,45 @@
+import { Request, Response } from 'express';
+import { importScript } from '../services/scriptImportService';
+
+/**
+ * Create a session from an existing Playwright script
+ * The script is sent as the text body, with fileName, name, url and tags in the query,
+ * or as JSON with the same fields and the script in `source`.
+ */
+export const importSessionScript = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const fields = typeof req.body === 'string' ? req.query : { ...req.query, ...req.body };
+    const source = typeof req.body === 'string' ? req.body : req.body?.source;
+    const { fileName, name, url, tags } = fields;
+    
+    if (typeof source !== 'string') {
+      res.status(400).json({ message: 'Send the script as a text/plain body, or as JSON with the script in source' });
+      return;
+    }
+    if ([fileName, name, url].some(value => value !== undefined && typeof value !== 'string')) {
+      res.status(400).json({ message: 'fileName, name and url must be strings' });
+      return;
+    }
+    
+    // Tags come as a comma-separated list in the query, or as an array in JSON
+    const tagList = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+    
+    const result = await importScript({
+      source,
+      fileName: fileName as string | undefined,
+      name: (name as string | undefined)?.trim() || undefined,
+      url: (url as string | undefined)?.trim() || undefined,
+      tags: tagList.filter((tag): tag is string => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim()),
+      author: req.get('X-Author')
+    });
+    
+    if (typeof result === 'string') {
+      res.status(400).json({ message: result });
+      return;
+    }
+    
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error importing script', error });
+  }
+};
@@ -9,6 +9,15 @@ import {
   acknowledgeAlert,
   getHistoricalMetrics
 } from '../services/sessionService';
+import {
+  isValidReplaySpeed,
+  validateReplayOptions,
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED
+} from '../services/replayRunner';
+import { startDatasetReplay } from '../services/datasetService';
+import { isValidJobPriority, MIN_JOB_PRIORITY, MAX_JOB_PRIORITY } from '../services/jobService';
+import { normalizeVariables, parseDataset } from '../utils/sessionVariables';
 
 /**
  * Get all saved sessions
@@ -89,14 +98,70 @@ export const deleteSession = async (req: Request, res: Response): Promise<void>
 export const replaySession = async (req: Request, res: Response): Promise<void> => {
   try {
     const { id } = req.params;
-    const result = await executeSession(id);
+    const {
+      speed, headless, browser, channel, viewport, authState, environment, artifacts, saveAsDefault, dataset, priority
+    } = req.body || {};
+    
+    if (speed !== undefined && !isValidReplaySpeed(speed)) {
+      res.status(400).json({ message: `Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}` });
+      return;
+    }
+    
+    if (priority !== undefined && !isValidJobPriority(priority)) {
+      res.status(400).json({ message: `Priority must be an integer between ${MIN_JOB_PRIORITY} and ${MAX_JOB_PRIORITY}` });
+      return;
+    }
+    
+    const invalid = validateReplayOptions({ headless, browser, channel, viewport, authState, environment, artifacts });
+    if (invalid) {
+      res.status(400).json({ message: invalid });
+      return;
+    }
+    
+    const variables = req.body?.variables !== undefined ? normalizeVariables(req.body.variables) : undefined;
+    if (typeof variables === 'string') {
+      res.status(400).json({ message: variables });
+      return;
+    }
+    
+    const options = { speed, headless, browser, channel, viewport, authState, environment, artifacts, variables };
+    
+    // A dataset replays the session once per row, in the background
+    if (dataset !== undefined) {
+      const rows = parseDataset(dataset);
+      if (typeof rows === 'string') {
+        res.status(400).json({ message: rows });
+        return;
+      }
+      
+      const report = await startDatasetReplay(id, rows, options);
+      if (!report) {
+        res.status(404).json({ message: `Session with ID ${id} not found` });
+        return;
+      }
+      if (typeof report === 'string') {
+        res.status(400).json({ message: report });
+        return;
+      }
+      
+      res.status(202).json(report);
+      return;
+    }
+    
+    const result = await executeSession(id, { ...options, priority }, saveAsDefault === true);
     
     if (!result.success) {
-      res.status(404).json({ message: result.message });
+      res.status(result.invalid ? 400 : 404).json({ message: result.message });
       return;
     }
     
-    res.status(200).json({ message: 'Session replay started', logs: result.logs });
+    res.status(200).json({
+      message: result.message,
+      logs: result.logs,
+      processId: result.processId,
+      runId: result.runId,
+      jobId: result.jobId
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error replaying session', error });
   }
@@ -0,0 +1,125 @@
+import { Request, Response } from 'express';
+import path from 'path';
+import { loadSessionScript, updateSessionSteps } from '../services/stepService';
+import { convertScript, isCodeTarget, CODE_TARGETS } from '../utils/codeConverter';
+
+/**
+ * Get the structured steps of a session script
+ */
+export const getSessionSteps = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const result = await loadSessionScript(id);
+    
+    if (!result.success || !result.script) {
+      res.status(404).json({ message: result.message });
+      return;
+    }
+    
+    res.status(200).json({
+      sessionId: id,
+      testName: result.script.testName,
+      steps: result.script.steps
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving session steps', error });
+  }
+};
+
+/**
+ * Download the Playwright script of a session
+ */
+export const getSessionScript = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const result = await loadSessionScript(id);
+    
+    if (!result.success || !result.session || result.source === undefined) {
+      res.status(404).json({ message: result.message });
+      return;
+    }
+    
+    res.status(200)
+      .type('text/plain')
+      .attachment(path.basename(result.session.scriptPath))
+      .send(result.source);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving session script', error });
+  }
+};
+
+/**
+ * Download the session script converted to another language or framework
+ * The number of statements left as comments is reported in the X-Unconverted-Steps header,
+ * and the variables without a default value in the X-Unresolved-Variables header.
+ */
+export const getSessionCode = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const { target } = req.query;
+    
+    if (!isCodeTarget(target)) {
+      res.status(400).json({ message: `target must be one of: ${CODE_TARGETS.join(', ')}` });
+      return;
+    }
+    
+    const result = await loadSessionScript(id);
+    
+    if (!result.success || !result.session || !result.script) {
+      res.status(404).json({ message: result.message });
+      return;
+    }
+    
+    // Codegen names every test 'test'; the session name says more
+    const { testName } = result.script;
+    const title = testName && testName !== 'test' ? testName : result.session.name;
+    const converted = convertScript(result.script, title, target, result.session.variables);
+    
+    // attachment() picks a content type from the file extension; the code is sent as text
+    res.status(200)
+      .attachment(converted.fileName)
+      .type('text/plain')
+      .set('X-Unconverted-Steps', String(converted.unconverted));
+    if (converted.unresolvedVariables.length) {
+      res.set('X-Unresolved-Variables', converted.unresolvedVariables.join(', '));
+    }
+    res.send(converted.code);
+  } catch (error) {
+    res.status(500).json({ message: 'Error converting session script', error });
+  }
+};
+
+/**
+ * Edit the steps of a session script (insert, delete, move, update)
+ */
+export const editSessionSteps = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const { operations, note } = req.body;
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      res.status(400).json({ message: 'A non-empty operations array is required' });
+      return;
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      res.status(400).json({ message: 'note must be a string' });
+      return;
+    }
+    
+    const result = await updateSessionSteps(id, operations, { author: req.get('X-Author'), note });
+    
+    if (!result.success || !result.script) {
+      res.status(result.invalid ? 400 : 404).json({ message: result.message });
+      return;
+    }
+    
+    res.status(200).json({
+      sessionId: id,
+      updatedAt: result.session?.updatedAt,
+      testName: result.script.testName,
+      steps: result.script.steps
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating session steps', error });
+  }
+};
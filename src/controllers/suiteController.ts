@@ -0,0 +1,163 @@
+import { Request, Response } from 'express';
+import {
+  getSuites,
+  getSuite,
+  createSuite,
+  updateSuite,
+  deleteSuite,
+  validateSuite,
+  startSuiteRun,
+  getSuiteRun
+} from '../services/suiteService';
+import {
+  isValidReplaySpeed,
+  validateReplayOptions,
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED
+} from '../services/replayRunner';
+
+/**
+ * Get all suites
+ */
+export const getAllSuites = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const suites = await getSuites();
+    res.status(200).json(suites);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving suites', error });
+  }
+};
+
+/**
+ * Get a suite by ID
+ */
+export const getSuiteById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const suite = await getSuite(id);
+    
+    if (!suite) {
+      res.status(404).json({ message: `Suite with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json(suite);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving suite', error });
+  }
+};
+
+/**
+ * Create a suite
+ */
+export const createNewSuite = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const input = await validateSuite(req.body || {});
+    
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    const suite = await createSuite(input);
+    res.status(201).json(suite);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating suite', error });
+  }
+};
+
+/**
+ * Replace the name, sessions and options of a suite
+ */
+export const updateSuiteById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const input = await validateSuite(req.body || {});
+    
+    if (typeof input === 'string') {
+      res.status(400).json({ message: input });
+      return;
+    }
+    
+    const suite = await updateSuite(id, input);
+    
+    if (!suite) {
+      res.status(404).json({ message: `Suite with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json(suite);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating suite', error });
+  }
+};
+
+/**
+ * Delete a suite
+ */
+export const deleteSuiteById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const deleted = await deleteSuite(id);
+    
+    if (!deleted) {
+      res.status(404).json({ message: `Suite with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ message: `Suite ${id} successfully deleted` });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting suite', error });
+  }
+};
+
+/**
+ * Start executing the sessions of a suite in order
+ */
+export const runSuite = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const { headless, browser, environment, artifacts, speed } = req.body || {};
+    
+    if (speed !== undefined && !isValidReplaySpeed(speed)) {
+      res.status(400).json({ message: `Speed must be a number between ${MIN_REPLAY_SPEED} and ${MAX_REPLAY_SPEED}` });
+      return;
+    }
+    
+    const invalid = validateReplayOptions({ headless, browser, environment, artifacts });
+    if (invalid) {
+      res.status(400).json({ message: invalid });
+      return;
+    }
+    
+    const suiteRun = await startSuiteRun(id, { headless, browser, environment, artifacts, speed });
+    
+    if (!suiteRun) {
+      res.status(404).json({ message: `Suite with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(202).json(suiteRun);
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting suite run', error });
+  }
+};
+
+/**
+ * Get a suite run by ID
+ */
+export const getSuiteRunById = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { suiteRunId } = req.params;
+    const suiteRun = await getSuiteRun(suiteRunId);
+    
+    if (!suiteRun) {
+      res.status(404).json({ message: `Suite run with ID ${suiteRunId} not found` });
+      return;
+    }
+    
+    res.status(200).json(suiteRun);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving suite run', error });
+  }
+};
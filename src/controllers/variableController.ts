@@ -0,0 +1,48 @@
+import { Request, Response } from 'express';
+import { getSessionVariables, setSessionVariables } from '../services/variableService';
+import { normalizeVariables } from '../utils/sessionVariables';
+
+/**
+ * Get the variables used by a session script and their default values
+ */
+export const getVariables = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const variables = await getSessionVariables(id);
+    
+    if (!variables) {
+      res.status(404).json({ message: `Session with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ sessionId: id, ...variables });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving session variables', error });
+  }
+};
+
+/**
+ * Replace the default variable values of a session
+ */
+export const updateVariables = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const defaults = normalizeVariables(req.body?.variables);
+    
+    if (typeof defaults === 'string') {
+      res.status(400).json({ message: defaults });
+      return;
+    }
+    
+    const variables = await setSessionVariables(id, defaults);
+    
+    if (!variables) {
+      res.status(404).json({ message: `Session with ID ${id} not found` });
+      return;
+    }
+    
+    res.status(200).json({ sessionId: id, ...variables });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating session variables', error });
+  }
+};
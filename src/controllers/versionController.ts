@@ -0,0 +1,133 @@
+import { Request, Response } from 'express';
+import path from 'path';
+import { getSession } from '../services/sessionService';
+import { restoreSessionScript } from '../services/stepService';
+import {
+  getScriptVersions,
+  getScriptVersion,
+  getCurrentScriptVersion,
+  diffScriptVersions
+} from '../services/versionService';
+
+/**
+ * Parse a version number from a path or query parameter
+ * @returns The version, or null when it is not a positive integer
+ */
+function parseVersion(value: unknown): number | null {
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * List the saved revisions of a session script, newest first
+ * A script changed outside the app, or saved before it had any history, is saved as a revision first.
+ */
+export const getVersions = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const session = await getSession(id);
+
+    if (!session) {
+      res.status(404).json({ message: `Session with ID ${id} not found` });
+      return;
+    }
+
+    const current = await getCurrentScriptVersion(session);
+    const versions = await getScriptVersions(id);
+    res.status(200).json({ sessionId: id, currentVersion: current?.version, versions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving script versions', error });
+  }
+};
+
+/**
+ * Download a saved revision of a session script
+ */
+export const getVersion = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const version = parseVersion(req.params.version);
+
+    if (version === null) {
+      res.status(400).json({ message: 'Version must be a positive integer' });
+      return;
+    }
+
+    const session = await getSession(id);
+    const saved = session && await getScriptVersion(id, version);
+
+    if (!session || !saved) {
+      res.status(404).json({ message: `Version ${version} of session ${id} not found` });
+      return;
+    }
+
+    // attachment() picks a content type from the file extension; the script is sent as text
+    const fileName = `${path.basename(session.scriptPath, '.ts')}.v${version}.ts`;
+    res.status(200)
+      .attachment(fileName)
+      .type('text/plain')
+      .send(saved.source);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving script version', error });
+  }
+};
+
+/**
+ * Get a unified diff between two revisions of a session script
+ * `?against=` names the revision to compare with (default: the one before).
+ */
+export const getVersionDiff = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const version = parseVersion(req.params.version);
+    const against = req.query.against === undefined ? undefined : parseVersion(req.query.against);
+
+    if (version === null || against === null) {
+      res.status(400).json({ message: 'Versions must be positive integers' });
+      return;
+    }
+
+    const session = await getSession(id);
+    const diff = session && await diffScriptVersions(session, version, against);
+
+    if (!session || diff === null) {
+      res.status(404).json({ message: `Version ${against === undefined ? version : `${version} or ${against}`} of session ${id} not found` });
+      return;
+    }
+
+    res.status(200).type('text/plain').send(diff);
+  } catch (error) {
+    res.status(500).json({ message: 'Error comparing script versions', error });
+  }
+};
+
+/**
+ * Restore a saved revision as the session script, saving it as a new revision
+ * Optional body: `note`; the author is taken from the X-Author header.
+ */
+export const restoreVersion = async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+    const version = parseVersion(req.params.version);
+    const note = req.body?.note;
+
+    if (version === null) {
+      res.status(400).json({ message: 'Version must be a positive integer' });
+      return;
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      res.status(400).json({ message: 'note must be a string' });
+      return;
+    }
+
+    const result = await restoreSessionScript(id, version, { author: req.get('X-Author'), note });
+
+    if (!result) {
+      res.status(404).json({ message: `Version ${version} of session ${id} not found` });
+      return;
+    }
+
+    res.status(200).json({ session: result.session, version: result.version });
+  } catch (error) {
+    res.status(500).json({ message: 'Error restoring script version', error });
+  }
+};
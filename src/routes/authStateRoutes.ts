@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getAuthStates,
+  getAuthStateByName,
+  createAuthState,
+  removeAuthState
+} from '../controllers/authStateController';
+
+const router = express.Router();
+
+// GET all saved auth states
+router.get('/', getAuthStates);
+
+// GET a saved auth state summary
+router.get('/:name', getAuthStateByName);
+
+// POST a storage state to save under a name
+router.post('/', createAuthState);
+
+// DELETE a saved auth state
+router.delete('/:name', removeAuthState);
+
+export const authStateRoutes = router;
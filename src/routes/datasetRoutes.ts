@@ -0,0 +1,9 @@
+import express from 'express';
+import { getDatasetRunById } from '../controllers/datasetController';
+
+const router = express.Router();
+
+// GET a data-driven replay report
+router.get('/:datasetRunId', getDatasetRunById);
+
+export const datasetRoutes = router;
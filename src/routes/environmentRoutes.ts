@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getEnvironments,
+  getEnvironmentByName,
+  createEnvironment,
+  updateEnvironment,
+  removeEnvironment
+} from '../controllers/environmentController';
+
+const router = express.Router();
+
+// GET all environment profiles
+router.get('/', getEnvironments);
+
+// GET an environment profile
+router.get('/:name', getEnvironmentByName);
+
+// POST create an environment profile
+router.post('/', createEnvironment);
+
+// PUT replace the settings of an environment profile
+router.put('/:name', updateEnvironment);
+
+// DELETE an environment profile
+router.delete('/:name', removeEnvironment);
+
+export const environmentRoutes = router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getAllJobs, getJobById, cancelJobById } from '../controllers/jobController';
+
+const router = express.Router();
+
+// GET the running, queued and recently ended replay jobs
+router.get('/', getAllJobs);
+
+// GET a replay job
+router.get('/:id', getJobById);
+
+// DELETE cancel a queued job or stop its running replay
+router.delete('/:id', cancelJobById);
+
+export const jobRoutes = router;
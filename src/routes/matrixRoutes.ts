@@ -0,0 +1,9 @@
+import express from 'express';
+import { getMatrixById } from '../controllers/matrixController';
+
+const router = express.Router();
+
+// GET a cross-browser matrix replay report
+router.get('/:matrixId', getMatrixById);
+
+export const matrixRoutes = router;
@@ -6,6 +6,8 @@ import {
   getRecordingStatus,
   recordConnectionEvent,
   recoverSession,
+  streamProcessEvents,
+  getRecordingDevices,
 } from '../controllers/recordingController';
 
 const router = express.Router();
@@ -22,6 +24,12 @@ router.get('/logs/:pid', getLogs);
 // GET status of a recording process
 router.get('/status/:pid', getRecordingStatus);
 
+// GET live logs and status changes of a process (Server-Sent Events)
+router.get('/stream/:pid', streamProcessEvents);
+
+// GET device names that can be emulated while recording
+router.get('/devices', getRecordingDevices);
+
 // POST record a connection event for a session
 router.post('/connection-event/:processId', recordConnectionEvent);
 
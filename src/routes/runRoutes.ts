@@ -0,0 +1,21 @@
+import express from 'express';
+import { getRunById, pauseRun, resumeRun, stepRun, setRunSpeed, getRunArtifact, getRunReport } from '../controllers/runController';
+
+const router = express.Router();
+
+// GET a specific replay run
+router.get('/:runId', getRunById);
+
+// GET an HTML or JUnit XML report of a replay run
+router.get('/:runId/report', getRunReport);
+
+// GET a trace, video or screenshot captured by a replay run
+router.get('/:runId/artifacts/:name', getRunArtifact);
+
+// POST playback commands for an in-progress replay
+router.post('/:runId/pause', pauseRun);
+router.post('/:runId/resume', resumeRun);
+router.post('/:runId/step', stepRun);
+router.post('/:runId/speed', setRunSpeed);
+
+export const runRoutes = router;
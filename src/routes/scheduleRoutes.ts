@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getAllSchedules,
+  getScheduleById,
+  createNewSchedule,
+  updateScheduleById,
+  deleteScheduleById
+} from '../controllers/scheduleController';
+
+const router = express.Router();
+
+// GET all schedules with their next fire time and last result
+router.get('/', getAllSchedules);
+
+// POST create a schedule
+router.post('/', createNewSchedule);
+
+// GET a schedule
+router.get('/:id', getScheduleById);
+
+// PUT replace a schedule
+router.put('/:id', updateScheduleById);
+
+// DELETE a schedule
+router.delete('/:id', deleteScheduleById);
+
+export const scheduleRoutes = router;
@@ -11,6 +11,15 @@ import {
   getHistoricalMetricsForPeriod,
   getAllHistoricalMetrics
 } from '../controllers/sessionController';
+import { getSessionRuns } from '../controllers/runController';
+import { startSessionMatrix } from '../controllers/matrixController';
+import { getSessionSteps, editSessionSteps, getSessionScript, getSessionCode } from '../controllers/stepController';
+import { getVariables, updateVariables } from '../controllers/variableController';
+import { exportSession, importSession } from '../controllers/bundleController';
+import { downloadSessionProject, downloadSessionFeature } from '../controllers/projectController';
+import { importSessionScript } from '../controllers/scriptImportController';
+import { getVersions, getVersion, getVersionDiff, restoreVersion } from '../controllers/versionController';
+import { continueRecording } from '../controllers/recordingController';
 import { addConnectionEvent, completeSession } from '../services/sessionService';
 
 const router = express.Router();
@@ -30,6 +39,21 @@ router.get('/metrics/history', getAllHistoricalMetrics);
 router.get('/metrics/history/:period', getHistoricalMetricsForPeriod);
 router.put('/alerts/:alertId', dismissAlert);
 
+// POST import a session bundle (gzip-compressed or plain JSON); its decompressed size is capped on parsing
+router.post(
+  '/import',
+  express.raw({ type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'], limit: '50mb' }),
+  importSession
+);
+
+// POST create a session from an existing Playwright script (text body, or JSON)
+// Browsers upload .ts files as video/mp2t, the MPEG transport stream type
+router.post(
+  '/import-script',
+  express.text({ type: ['text/plain', 'application/typescript', 'application/x-typescript', 'video/mp2t'], limit: '1mb' }),
+  importSessionScript
+);
+
 // Debug endpoint for testing
 router.get('/debug', (req: Request, res: Response) => {
   res.json({ message: 'Debug endpoint works' });
@@ -45,6 +69,12 @@ router.delete('/:id', deleteSession);
 // POST replay a session
 router.post('/:id/replay', replaySession);
 
+// POST replay a session across browsers and viewports
+router.post('/:id/matrix', startSessionMatrix);
+
+// POST replay a session up to a step, then record new steps to insert after it
+router.post('/:id/continue-recording', continueRecording);
+
 // PUT complete a session
 router.put('/:id/complete', async (req: Request, res: Response) => {
   try {
@@ -112,4 +142,46 @@ router.get('/:id/metrics', getSessionById);
 // GET session alerts
 router.get('/:id/alerts', getAlertsForSession);
 
+// GET session replay history
+router.get('/:id/runs', getSessionRuns);
+
+// GET the session script as a file download
+router.get('/:id/script', getSessionScript);
+
+// GET the session script converted to another language or framework
+router.get('/:id/code', getSessionCode);
+
+// GET structured steps parsed from the session script
+router.get('/:id/steps', getSessionSteps);
+
+// PATCH insert, delete, move or update steps of the session script
+router.patch('/:id/steps', editSessionSteps);
+
+// GET the saved revisions of the session script
+router.get('/:id/versions', getVersions);
+
+// GET a saved revision of the session script
+router.get('/:id/versions/:version', getVersion);
+
+// GET a unified diff of a revision against another (default: the previous one)
+router.get('/:id/versions/:version/diff', getVersionDiff);
+
+// POST restore a revision as the session script
+router.post('/:id/versions/:version/restore', restoreVersion);
+
+// GET the {{variables}} used by the session script and their defaults
+router.get('/:id/variables', getVariables);
+
+// PUT replace the default variable values of the session
+router.put('/:id/variables', updateVariables);
+
+// GET the session as a bundle to import on another machine
+router.get('/:id/export', exportSession);
+
+// GET the session as a standalone Playwright Test project
+router.get('/:id/project', downloadSessionProject);
+
+// GET the session as a Gherkin feature with step definitions
+router.get('/:id/gherkin', downloadSessionFeature);
+
 export const simpleSessionRoutes = router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getAllSuites,
+  getSuiteById,
+  createNewSuite,
+  updateSuiteById,
+  deleteSuiteById,
+  runSuite,
+  getSuiteRunById
+} from '../controllers/suiteController';
+import { downloadSuiteProject } from '../controllers/projectController';
+
+const router = express.Router();
+
+// GET all suites
+router.get('/', getAllSuites);
+
+// POST create a suite
+router.post('/', createNewSuite);
+
+// GET a suite run result - must be before /:id routes
+router.get('/runs/:suiteRunId', getSuiteRunById);
+
+// GET a suite
+router.get('/:id', getSuiteById);
+
+// PUT replace a suite
+router.put('/:id', updateSuiteById);
+
+// DELETE a suite
+router.delete('/:id', deleteSuiteById);
+
+// POST execute the sessions of a suite in order
+router.post('/:id/run', runSuite);
+
+// GET the suite as a standalone Playwright Test project
+router.get('/:id/project', downloadSuiteProject);
+
+export const suiteRoutes = router;
@@ -5,13 +5,25 @@ import cors from 'cors';
 
 // Import routers and utilities
 import { simpleSessionRoutes } from './routes/simpleSessionRoutes';
+import { runRoutes } from './routes/runRoutes';
+import { matrixRoutes } from './routes/matrixRoutes';
+import { authStateRoutes } from './routes/authStateRoutes';
+import { datasetRoutes } from './routes/datasetRoutes';
+import { environmentRoutes } from './routes/environmentRoutes';
+import { suiteRoutes } from './routes/suiteRoutes';
+import { scheduleRoutes } from './routes/scheduleRoutes';
+import { jobRoutes } from './routes/jobRoutes';
+import { startScheduler } from './services/scheduleService';
+import { closeInterruptedRuns } from './services/runService';
 import { printRoutes } from './routeDebug';
 
 import {
   startRecording,
   stopRecording,
   getLogs,
-  getRecordingStatus
+  getRecordingStatus,
+  streamProcessEvents,
+  getRecordingDevices
 } from './controllers/recordingController';
 
 // Initialize Express app
@@ -41,11 +53,37 @@ app.get('/api/test', (req, res) => {
 // Use session routes via router - this will handle ALL session routes including /:id/events
 app.use('/api/sessions', simpleSessionRoutes);
 
+// Replay run history routes
+app.use('/api/runs', runRoutes);
+
+// Cross-browser matrix replay reports
+app.use('/api/matrix', matrixRoutes);
+
+// Data-driven replay reports
+app.use('/api/dataset-runs', datasetRoutes);
+
+// Saved browser storage states for authenticated recordings and replays
+app.use('/api/auth-states', authStateRoutes);
+
+// Environment profiles (base URL, variables, auth state, headers) to replay against
+app.use('/api/environments', environmentRoutes);
+
+// Suites of sessions replayed in order
+app.use('/api/suites', suiteRoutes);
+
+// Recurring replays of sessions and suites
+app.use('/api/schedules', scheduleRoutes);
+
+// Replay job queue
+app.use('/api/jobs', jobRoutes);
+
 // Recording routes - directly defined
 app.post('/api/recording/start', startRecording); // Note: this seems to be 'start' in the frontend code, not 'record'
 app.post('/api/recording/stop/:pid', stopRecording);
 app.get('/api/recording/logs/:pid', getLogs);
 app.get('/api/recording/status/:pid', getRecordingStatus);
+app.get('/api/recording/stream/:pid', streamProcessEvents);
+app.get('/api/recording/devices', getRecordingDevices);
 
 // Serve static files - AFTER API routes to prevent conflicts
 app.use(express.static(path.join(__dirname, '../public')));
@@ -73,7 +111,16 @@ const ensureDirectoriesExist = () => {
     path.join(__dirname, '../sessions'),
     path.join(__dirname, '../metadata'),
     path.join(__dirname, '../alerts'),
-    path.join(__dirname, '../history')
+    path.join(__dirname, '../history'),
+    path.join(__dirname, '../runs'),
+    path.join(__dirname, '../matrix'),
+    path.join(__dirname, '../auth'),
+    path.join(__dirname, '../dataset-runs'),
+    path.join(__dirname, '../environments'),
+    path.join(__dirname, '../suites'),
+    path.join(__dirname, '../suite-runs'),
+    path.join(__dirname, '../schedules'),
+    path.join(__dirname, '../versions')
   ];
   
   for (const dir of dirs) {
@@ -96,6 +143,20 @@ try {
     console.log(`Server is running on http://localhost:${PORT}`);
     // Print all registered routes for debugging
     printRoutes(app);
+    
+    closeInterruptedRuns()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Marked ${count} run(s) interrupted by the last shutdown as errored`);
+        }
+      })
+      .catch((error: Error) => {
+        console.error('Failed to close interrupted runs:', error);
+      });
+    
+    startScheduler().catch((error: Error) => {
+      console.error('Failed to start scheduler:', error);
+    });
   });
 } catch (error) {
   console.error('Failed to start server:', error);
@@ -0,0 +1,86 @@
+import { Browser, BrowserContext, Page } from 'playwright';
+import { parseScript } from '../../utils/scriptParser';
+import { createExpect } from '../../utils/replayExpect';
+import { substituteVariables } from '../../utils/sessionVariables';
+import { compileSteps, findUnreplayableCode, retargetStep } from '../replayRunner';
+
+const HELPER_SCRIPT = `import { test } from '@playwright/test';
+
+async function signIn(page) {
+  await page.goto('https://example.com/login');
+}
+
+test('sign in', async ({ page }) => {
+  await signIn(page);
+});
+`;
+
+describe('findUnreplayableCode', () => {
+  it('rejects a script whose test uses a helper declared outside it', () => {
+    expect(findUnreplayableCode(HELPER_SCRIPT)).toBe(
+      'Replays run the body of the first test only, so code outside the tests would be left out; ' +
+      'move it into the test: line 3: async function signIn(page) {'
+    );
+  });
+
+  it('accepts the script once the helper is moved into the test', () => {
+    expect(findUnreplayableCode(HELPER_SCRIPT.replace(
+      /(async function signIn[\s\S]*?\n}\n)\n(test\(.*\n)/,
+      '$2$1'
+    ))).toBeNull();
+  });
+});
+
+describe('compileSteps', () => {
+  it('runs a helper declared in the test body, with a hook before each step', async () => {
+    const { steps } = parseScript([
+      'import { test } from \'@playwright/test\';',
+      '',
+      'test(\'sign in\', async ({ page }) => {',
+      '  async function signIn(target) {',
+      '    await target.goto(\'https://example.com/login\');',
+      '  }',
+      '  await signIn(page);',
+      '});',
+      ''
+    ].join('\n'));
+    const visited: string[] = [];
+    const page = { goto: async (url: string) => { visited.push(url); } } as unknown as Page;
+    const hooked: number[] = [];
+
+    await compileSteps(steps)(page, {} as BrowserContext, {} as Browser, createExpect(), {
+      beforeStep: async index => { hooked.push(index); }
+    });
+
+    expect(visited).toEqual(['https://example.com/login']);
+    expect(hooked).toEqual([0, 1]);
+  });
+});
+
+describe('retargetStep', () => {
+  const gotoStep = (statement: string) => parseScript(statement).steps[0];
+  const retarget = (statement: string, variables: Record<string, string> = {}) => {
+    const step = gotoStep(statement);
+    return retargetStep({ ...step, source: substituteVariables(step.source, variables) }, 'https://staging.example.com/app').source;
+  };
+
+  it('moves an absolute URL to the base URL, keeping its path, query and hash', () => {
+    expect(retarget('await page.goto(\'https://example.com/login?next=/home#top\');'))
+      .toBe('await page.goto(\'https://staging.example.com/app/login?next=/home#top\');');
+  });
+
+  it('does not repeat the path of the base URL', () => {
+    expect(retarget('await page.goto(\'https://example.com/app/login\');'))
+      .toBe('await page.goto(\'https://staging.example.com/app/login\');');
+  });
+
+  it('retargets a URL that only becomes absolute once its variables are substituted', () => {
+    expect(retarget('await page.goto(\'{{baseUrl}}/login\');', { baseUrl: 'https://example.com' }))
+      .toBe('await page.goto(\'https://staging.example.com/app/login\');');
+  });
+
+  it('leaves relative URLs and other steps unchanged', () => {
+    expect(retarget('await page.goto(\'/login\');')).toBe('await page.goto(\'/login\');');
+    expect(retarget('await page.getByRole(\'link\').click();')).toBe('await page.getByRole(\'link\').click();');
+  });
+});
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AuthStateSummary, StorageState } from '../types/authState';
+
+// Path constants
+const AUTH_DIR = path.join(process.cwd(), 'auth');
+
+// Names double as file names, so keep them to a safe character set
+const AUTH_STATE_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+/**
+ * Check that a value can be used as an auth state name
+ */
+export const isValidAuthStateName = (name: unknown): name is string =>
+  typeof name === 'string' && AUTH_STATE_NAME_PATTERN.test(name) && !name.includes('..');
+
+/**
+ * Get the path of the storage state file for a name
+ * This is the file passed to `--save-storage` and `--load-storage`.
+ */
+export const getAuthStatePath = (name: string): string => path.join(AUTH_DIR, `${name}.json`);
+
+/**
+ * Check that a value has the shape of a Playwright storage state
+ */
+export const isStorageState = (value: unknown): value is StorageState => {
+  const state = value as StorageState;
+  return !!state
+    && Array.isArray(state.cookies)
+    && Array.isArray(state.origins)
+    && state.cookies.every(cookie => cookie && typeof cookie.name === 'string' && typeof cookie.domain === 'string')
+    && state.origins.every(origin => origin && typeof origin.origin === 'string' && Array.isArray(origin.localStorage));
+};
+
+/**
+ * Summarize a stored state
+ */
+async function summarize(name: string): Promise<AuthStateSummary | null> {
+  try {
+    const filePath = getAuthStatePath(name);
+    const [data, stats] = await Promise.all([fs.readFile(filePath, 'utf-8'), fs.stat(filePath)]);
+    const state = JSON.parse(data) as StorageState;
+    
+    return {
+      name,
+      cookieCount: state.cookies?.length || 0,
+      domains: [...new Set((state.cookies || []).map(cookie => cookie.domain))],
+      origins: (state.origins || []).map(origin => origin.origin),
+      updatedAt: stats.mtime.toISOString()
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get all stored auth states, sorted by name
+ */
+export const listAuthStates = async (): Promise<AuthStateSummary[]> => {
+  try {
+    await fs.mkdir(AUTH_DIR, { recursive: true });
+    const files = await fs.readdir(AUTH_DIR);
+    
+    const states = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => summarize(file.slice(0, -'.json'.length)))
+    );
+    
+    return states
+      .filter((state): state is AuthStateSummary => state !== null)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error listing auth states:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the summary of a stored auth state
+ */
+export const getAuthState = async (name: string): Promise<AuthStateSummary | null> => {
+  if (!isValidAuthStateName(name)) {
+    return null;
+  }
+  return summarize(name);
+};
+
+/**
+ * Check whether an auth state is stored under a name
+ */
+export const authStateExists = async (name: string): Promise<boolean> => {
+  if (!isValidAuthStateName(name)) {
+    return false;
+  }
+  
+  try {
+    await fs.access(getAuthStatePath(name));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Store a storage state under a name, replacing any existing state with that name
+ */
+export const saveAuthState = async (name: string, state: StorageState): Promise<AuthStateSummary | null> => {
+  await fs.mkdir(AUTH_DIR, { recursive: true });
+  await fs.writeFile(getAuthStatePath(name), JSON.stringify(state, null, 2));
+  return summarize(name);
+};
+
+/**
+ * Delete a stored auth state
+ * @returns Whether a state was deleted
+ */
+export const deleteAuthState = async (name: string): Promise<boolean> => {
+  if (!isValidAuthStateName(name)) {
+    return false;
+  }
+  
+  try {
+    await fs.unlink(getAuthStatePath(name));
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,378 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { getSession, insertSession } from './sessionService';
+import { getRunsForSession, getArtifactsDir, importRun } from './runService';
+import { authStateExists } from './authStateService';
+import { getEnvironment } from './environmentService';
+import { saveSessionScript } from './versionService';
+import { validateReplayOptions, findUnreplayableCode } from './replayRunner';
+import { validateRecordingOptions } from '../utils/recordingOptions';
+import { normalizeVariables } from '../utils/sessionVariables';
+import { ReplayOptions, Session } from '../types/session';
+import { ReplayRun } from '../types/run';
+import { StepAction } from '../types/step';
+import { SessionBundle, BundleImportResult } from '../types/bundle';
+import { VersionDetails } from '../types/version';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// Path constants
+const SESSIONS_DIR = path.join(process.cwd(), 'sessions');
+
+const BUNDLE_FORMAT = 'wag-session-bundle';
+const BUNDLE_VERSION = 1;
+
+// Script and artifact names allowed in a bundle, so an import cannot write outside its directories
+const FILE_NAME_PATTERN = /^\w[\w.-]*$/;
+
+// Session IDs kept on import; anything else, like a path, gets a new ID
+const SESSION_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Upper bound on the size of a bundle once decompressed
+export const MAX_BUNDLE_SIZE = 100 * 1024 * 1024;
+
+const CONNECTION_EVENT_TYPES = ['connected', 'disconnected', 'warning', 'reconnecting', 'reconnected', 'failed'];
+
+// Statuses of the finished runs a bundle can hold
+const BUNDLE_RUN_STATUSES = ['passed', 'failed', 'stopped', 'error'];
+
+const STEP_ACTIONS: StepAction[] = ['goto', 'click', 'dblclick', 'hover', 'fill', 'press', 'check', 'uncheck', 'select', 'expect', 'raw'];
+
+const LOG_TYPES = ['info', 'error', 'success'];
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isTimestamp = (value: unknown): value is string =>
+  typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const isOptional = (value: unknown, check: (value: unknown) => boolean): boolean =>
+  value === undefined || check(value);
+
+const isNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const isString = (value: unknown): value is string => typeof value === 'string';
+
+/**
+ * Bundle rendered for a session, ready to be sent as a download
+ */
+export interface ExportedBundle {
+  /** Gzip-compressed bundle JSON */
+  content: Buffer;
+
+  /** Suggested file name for the download */
+  fileName: string;
+}
+
+/**
+ * Export a session with its script, references, variables and latest artifacts as a gzip-compressed bundle
+ * @returns The bundle, or null if the session or its script does not exist
+ */
+export const exportSessionBundle = async (id: string): Promise<ExportedBundle | null> => {
+  const session = await getSession(id);
+  if (!session) {
+    return null;
+  }
+
+  let source: string;
+  try {
+    source = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  // Only the artifacts of the latest run that kept any are attached, to keep bundles small
+  const runs = await getRunsForSession(session.id);
+  const withArtifacts = runs.find(run => run.status !== 'running' && run.artifacts.length > 0);
+  const artifacts = withArtifacts
+    ? await Promise.all(withArtifacts.artifacts.map(async name => ({
+      name,
+      data: (await fs.readFile(path.join(getArtifactsDir(withArtifacts.id), name))).toString('base64')
+    })))
+    : [];
+
+  const { scriptPath, processId, ...metadata } = session;
+  const bundle: SessionBundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: metadata,
+    script: { name: path.basename(scriptPath), source },
+    references: {
+      ...(session.replayOptions?.authState && { authState: session.replayOptions.authState }),
+      ...(session.replayOptions?.environment && { environment: session.replayOptions.environment })
+    },
+    ...(withArtifacts && { run: { record: withArtifacts, artifacts } })
+  };
+
+  const slug = session.name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'session';
+  return {
+    content: await gzipAsync(JSON.stringify(bundle)),
+    fileName: `${slug}.wag.json.gz`
+  };
+};
+
+/**
+ * Check the settings a bundled session brings along, which replays and exports rely on
+ * @returns An error message, or null when the settings are valid
+ */
+function validateSessionSettings(session: Partial<Session>): string | null {
+  const { createdAt, connectionMetrics, connectionEvents, replayOptions, recordingOptions, variables, tags } = session;
+
+  if (!isTimestamp(createdAt)) {
+    return 'createdAt must be an ISO timestamp';
+  }
+  if (connectionMetrics !== undefined) {
+    const metrics = connectionMetrics as unknown;
+    if (!isObject(metrics)
+      || !['disconnectionCount', 'totalDisconnectionTime', 'reconnectionCount'].every(name => isNumber(metrics[name]))
+      || typeof metrics.completedNormally !== 'boolean'
+      || !['qualityScore', 'averageLatency', 'maxLatency', 'stabilityPercentage', 'reconnectionSuccessRate', 'failedReconnectionCount']
+        .every(name => isOptional(metrics[name], isNumber))) {
+      return 'connectionMetrics must hold numeric counts and a completedNormally flag';
+    }
+  }
+  if (connectionEvents !== undefined && !(Array.isArray(connectionEvents) && connectionEvents.every(event =>
+    isObject(event) && isTimestamp(event.timestamp) && CONNECTION_EVENT_TYPES.includes(event.type as string)
+      && isOptional(event.duration, isNumber) && isOptional(event.details, isString)
+      && isOptional(event.latency, isNumber) && isOptional(event.qualityIndicator, isNumber)))) {
+    return 'connectionEvents must be a list of events with a timestamp and a type';
+  }
+  if (replayOptions !== undefined) {
+    if (!isObject(replayOptions)) {
+      return 'replayOptions must be an object';
+    }
+    const invalid = validateReplayOptions({ ...replayOptions });
+    if (invalid) {
+      return invalid;
+    }
+  }
+  if (recordingOptions !== undefined) {
+    if (!isObject(recordingOptions)) {
+      return 'recordingOptions must be an object';
+    }
+    const invalid = validateRecordingOptions({ ...recordingOptions });
+    if (invalid) {
+      return invalid;
+    }
+  }
+  if (variables !== undefined) {
+    const normalized = normalizeVariables(variables);
+    if (typeof normalized === 'string') {
+      return normalized;
+    }
+    if (Object.values(variables).some(value => typeof value !== 'string')) {
+      return 'variable values must be strings';
+    }
+  }
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * Check the record of a bundled run against the run types, so it is stored as a finished run
+ * @returns An error message, or null when the record is valid
+ */
+function validateRunRecord(record: Partial<ReplayRun>): string | null {
+  const { status, startedAt, endedAt, durationMs, exitCode, replayOptions, variables, logs, steps } = record;
+
+  if (!BUNDLE_RUN_STATUSES.includes(status as string)) {
+    return `status must be one of: ${BUNDLE_RUN_STATUSES.join(', ')}`;
+  }
+  if (!isTimestamp(startedAt) || !isOptional(endedAt, isTimestamp)) {
+    return 'startedAt and endedAt must be ISO timestamps';
+  }
+  if (!isOptional(durationMs, isNumber) || !isOptional(exitCode, value => value === null || Number.isInteger(value))) {
+    return 'durationMs and exitCode must be numbers';
+  }
+  if (replayOptions !== undefined) {
+    const invalid = isObject(replayOptions) ? validateReplayOptions({ ...replayOptions }) : 'replayOptions must be an object';
+    if (invalid) {
+      return invalid;
+    }
+  }
+  if (variables !== undefined && (!isObject(variables) || !Object.values(variables).every(isString))) {
+    return 'variables must map names to strings';
+  }
+  if (!Array.isArray(logs) || !logs.every(entry =>
+    isObject(entry) && isString(entry.timestamp) && isString(entry.message) && LOG_TYPES.includes(entry.type))) {
+    return 'logs must be a list of entries with a timestamp, a message and a type';
+  }
+  if (steps !== undefined && !(Array.isArray(steps) && steps.every(step =>
+    isObject(step) && Number.isInteger(step.index) && step.index >= 0 && STEP_ACTIONS.includes(step.action)
+      && Number.isInteger(step.line) && step.line >= 1 && ['passed', 'failed', 'skipped'].includes(step.status)
+      && isOptional(step.source, isString) && isOptional(step.durationMs, isNumber) && isOptional(step.error, isString)))) {
+    return 'steps must be a list of step results';
+  }
+  return null;
+}
+
+/**
+ * Keep only the replay options a replay reads
+ */
+function pickReplayOptions(options: ReplayOptions): ReplayOptions {
+  const { headless, browser, channel, viewport, authState, environment, artifacts } = options;
+  return JSON.parse(JSON.stringify({
+    headless,
+    browser,
+    channel,
+    viewport: viewport && { width: viewport.width, height: viewport.height },
+    authState,
+    environment,
+    artifacts
+  }));
+}
+
+/**
+ * Decode an uploaded bundle, gzip-compressed or plain JSON
+ * @returns The bundle, or an error message when it is not a valid bundle
+ */
+export const parseSessionBundle = async (body: unknown): Promise<SessionBundle | string> => {
+  let value = body;
+
+  if (Buffer.isBuffer(body)) {
+    try {
+      // gzip streams start with 0x1f 0x8b
+      const text = body[0] === 0x1f && body[1] === 0x8b
+        ? (await gunzipAsync(body, { maxOutputLength: MAX_BUNDLE_SIZE })).toString('utf-8')
+        : body.toString('utf-8');
+      value = JSON.parse(text);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return `Bundle must not be larger than ${MAX_BUNDLE_SIZE / 1024 / 1024} MB uncompressed`;
+      }
+      return 'Bundle must be a gzip-compressed or plain JSON session bundle';
+    }
+  }
+
+  const bundle = (value || {}) as Partial<SessionBundle>;
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return 'Not a session bundle';
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return `Unsupported bundle version: ${bundle.version}`;
+  }
+
+  const { session, script, run } = bundle;
+  if (!session || typeof session.id !== 'string' || typeof session.name !== 'string' || typeof session.url !== 'string') {
+    return 'Bundle session must have an id, a name and a url';
+  }
+  const settingsError = validateSessionSettings(session);
+  if (settingsError) {
+    return `Invalid bundle session: ${settingsError}`;
+  }
+  if (!script || typeof script.source !== 'string' || !script.source.trim()) {
+    return 'Bundle must contain the session script';
+  }
+  if (typeof script.name !== 'string' || !FILE_NAME_PATTERN.test(script.name) || !script.name.endsWith('.ts')) {
+    return `Invalid script file name: ${script.name}`;
+  }
+  const unreplayable = findUnreplayableCode(script.source);
+  if (unreplayable) {
+    return `Invalid bundle script: ${unreplayable}`;
+  }
+
+  if (run !== undefined) {
+    if (!isObject(run.record) || !Array.isArray(run.artifacts)) {
+      return 'Bundle run must have a record and an artifacts list';
+    }
+    const recordError = validateRunRecord(run.record);
+    if (recordError) {
+      return `Invalid bundle run: ${recordError}`;
+    }
+    const invalid = run.artifacts.find(file =>
+      !file || typeof file.name !== 'string' || !FILE_NAME_PATTERN.test(file.name) || typeof file.data !== 'string');
+    if (invalid) {
+      return `Invalid artifact in bundle: ${invalid?.name}`;
+    }
+  }
+
+  return { ...bundle, references: bundle.references || {} } as SessionBundle;
+};
+
+/**
+ * Pick a free file name in the sessions directory, keeping the given name when possible
+ */
+export async function getFreeScriptPath(name: string, sessionId: string): Promise<string> {
+  const original = path.join(SESSIONS_DIR, name);
+  const taken = await fs.access(original).then(() => true, () => false);
+  return taken
+    ? path.join(SESSIONS_DIR, `${path.basename(name, '.ts')}_${sessionId.slice(0, 8)}.ts`)
+    : original;
+}
+
+/**
+ * Import a bundle as a new session
+ * The session keeps its ID unless a session with that ID already exists here.
+ * @param details Author of the script's first revision
+ */
+export const importSessionBundle = async (
+  bundle: SessionBundle,
+  details: VersionDetails = {}
+): Promise<BundleImportResult> => {
+  const keepId = SESSION_ID_PATTERN.test(bundle.session.id) && !(await getSession(bundle.session.id));
+  const id = keepId ? bundle.session.id : uuidv4();
+
+  // Only the fields of a session are stored, so a bundle cannot add others
+  const { name, url, createdAt, connectionMetrics, connectionEvents, tags, replayOptions, recordingOptions, variables } = bundle.session;
+  await fs.mkdir(SESSIONS_DIR, { recursive: true });
+  const session: Session = {
+    id,
+    name,
+    url,
+    scriptPath: await getFreeScriptPath(bundle.script.name, id),
+    createdAt,
+    updatedAt: new Date().toISOString(),
+    ...(connectionMetrics && { connectionMetrics }),
+    ...(connectionEvents && { connectionEvents }),
+    ...(tags && { tags }),
+    ...(replayOptions && { replayOptions: pickReplayOptions(replayOptions) }),
+    ...(recordingOptions && { recordingOptions }),
+    ...(variables && { variables })
+  };
+  await saveSessionScript(session, bundle.script.source, { ...details, note: 'Imported from a bundle' });
+  await insertSession(session);
+
+  const warnings: string[] = [];
+  const { authState, environment } = bundle.references;
+  if (authState && !(await authStateExists(authState))) {
+    warnings.push(`Auth state not found: ${authState}. Save it under the same name before replaying.`);
+  }
+  if (environment && !(await getEnvironment(environment))) {
+    warnings.push(`Environment not found: ${environment}. Create it under the same name before replaying.`);
+  }
+
+  // Version numbers of the exporting machine's script history mean nothing here
+  const record = bundle.run?.record;
+  const run = bundle.run && record && await importRun(
+    {
+      id: record.id,
+      sessionId: id,
+      sessionName: session.name,
+      ...(record.replayOptions && { replayOptions: pickReplayOptions(record.replayOptions) }),
+      ...(record.variables && { variables: record.variables }),
+      status: record.status,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+      durationMs: record.durationMs,
+      exitCode: record.exitCode,
+      logs: record.logs,
+      steps: record.steps,
+      artifacts: []
+    },
+    bundle.run.artifacts.map(file => ({ name: file.name, data: Buffer.from(file.data, 'base64') }))
+  );
+
+  return {
+    session,
+    ...(!keepId && { originalId: bundle.session.id }),
+    ...(run && { runId: run.id }),
+    warnings
+  };
+};
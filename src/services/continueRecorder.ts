@@ -0,0 +1,321 @@
+/**
+ * Continued recording of an existing session
+ * The script is replayed up to a step with the Playwright library, then the recorder is
+ * enabled on the live browser context, so new actions start from where the replay left off.
+ * When the browser or the recorder window is closed, the recorded steps are inserted into
+ * the session script after that step.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Browser, BrowserContext, Page } from 'playwright';
+import { v4 as uuidv4 } from 'uuid';
+import { ProcessManager } from '../utils/processManager';
+import { parseScript } from '../utils/scriptParser';
+import { createExpect } from '../utils/replayExpect';
+import { findVariables, substituteVariables } from '../utils/sessionVariables';
+import { toContextOptions, getDeviceBrowser } from '../utils/recordingOptions';
+import { getSession } from './sessionService';
+import { updateSessionSteps } from './stepService';
+import { getCurrentScriptVersion } from './versionService';
+import { authStateExists, getAuthStatePath } from './authStateService';
+import { BROWSER_TYPES, ACTION_TIMEOUT, compileSteps, describeStep, findUnreplayableCode, isHookable } from './replayRunner';
+import { Session } from '../types/session';
+import { SessionStep } from '../types/step';
+
+// Language of the code the recorder writes, which the script parser reads back
+const RECORDER_LANGUAGE = 'playwright-test';
+
+// Browser context with the recorder codegen and the inspector use, which the public API does not expose;
+// the playwright dependency is pinned to a patch range because of it
+type RecorderContext = BrowserContext & {
+  _enableRecorder(params: {
+    language: string;
+    mode: 'recording';
+    outputFile: string;
+  }): Promise<void>;
+};
+
+/**
+ * Options for continuing the recording of a session
+ */
+export interface ContinueRecordingOptions {
+  /** Index of the last step to replay, after which the new steps are inserted (default: the last step) */
+  upToStep?: number;
+
+  /** Who recorded the new steps, saved as the author of the revision */
+  author?: string;
+}
+
+/**
+ * Result of starting a continued recording
+ */
+export interface ContinueRecordingResult {
+  success: boolean;
+  message: string;
+
+  /** Whether the failure was caused by invalid input rather than a missing session or script */
+  invalid?: boolean;
+
+  /** ID of the recording process, for its logs, status and stop commands */
+  processId?: string;
+
+  /** Index of the last step replayed before recording */
+  upToStep?: number;
+}
+
+/**
+ * Replay of a session script up to a step, followed by a recording in the same browser
+ * Emits 'exit' with 0 when the recorded steps were saved, 1 when the replay or the save
+ * failed and null when stopped; steps recorded before a stop are still saved.
+ */
+export class ContinueRecorder extends EventEmitter {
+  public readonly processId = uuidv4();
+  private readonly processManager = ProcessManager.getInstance();
+  private readonly outputPath: string;
+  private stopped = false;
+  private finished = false;
+  private browser: Browser | null = null;
+  private context: BrowserContext | null = null;
+
+  constructor(
+    private readonly session: Session,
+    private readonly steps: SessionStep[],
+    private readonly upToStep: number,
+    private readonly variables: Record<string, string>,
+    private readonly author?: string
+  ) {
+    super();
+    this.outputPath = path.join(os.tmpdir(), `continue-recording-${this.processId}.spec.ts`);
+  }
+
+  /**
+   * Start replaying the script, then recording
+   */
+  public start(): void {
+    this.run()
+      .catch((error: Error) => {
+        console.error(`Error continuing the recording of session ${this.session.id}:`, error);
+        return 1;
+      })
+      .then(code => {
+        this.finished = true;
+        this.emit('exit', this.stopped ? null : code);
+      });
+  }
+
+  /**
+   * Stop the replay or the recording and close the browser
+   * Closing the context first lets the recorder write out the steps recorded so far.
+   * @returns Whether the process was still running
+   */
+  public kill(): boolean {
+    if (this.stopped || this.finished) {
+      return false;
+    }
+
+    this.stopped = true;
+    const browser = this.browser;
+    (this.context?.close() ?? Promise.resolve())
+      .catch(() => undefined)
+      .then(() => browser?.close())
+      .catch(() => undefined);
+    return true;
+  }
+
+  /**
+   * Replay the steps, record new ones and insert them into the script
+   * @returns Exit code: 0 when the recording was saved, 1 otherwise
+   */
+  private async run(): Promise<number> {
+    let handoffUrl: string | null = null;
+
+    try {
+      // The version seen now tells whether the script was edited while recording
+      const before = await getCurrentScriptVersion(this.session);
+
+      const steps = this.steps
+        .slice(0, this.upToStep + 1)
+        .map(step => ({ ...step, source: substituteVariables(step.source, this.variables) }));
+      const body = compileSteps(steps);
+
+      // Record with the emulation and auth state the session was recorded and replayed with
+      const recordingOptions = this.session.recordingOptions || {};
+      const { channel, authState } = this.session.replayOptions || {};
+      const browser = this.session.replayOptions?.browser || getDeviceBrowser(recordingOptions) || 'chromium';
+      this.log(`Launching ${channel || browser}${recordingOptions.device ? ` as ${recordingOptions.device}` : ''}`);
+      if (authState) {
+        this.log(`Loading auth state "${authState}"`);
+      }
+      this.browser = await BROWSER_TYPES[browser].launch({ headless: false, channel });
+      this.context = await this.browser.newContext({
+        ...toContextOptions(recordingOptions),
+        ...(authState && { storageState: getAuthStatePath(authState) })
+      });
+      if (typeof (this.context as RecorderContext)._enableRecorder !== 'function') {
+        throw new Error('The installed Playwright version cannot hand a page to the recorder; install the version in package.json');
+      }
+      this.context.setDefaultTimeout(ACTION_TIMEOUT);
+      const page = await this.context.newPage();
+
+      const hookable = steps.filter(isHookable);
+      this.log(`Replaying ${this.upToStep + 1} of ${this.steps.length} steps`);
+      await body(page, this.context, this.browser, createExpect(), {
+        beforeStep: async index => {
+          if (this.stopped) {
+            throw new Error('Recording stopped');
+          }
+          const position = hookable.findIndex(step => step.index === index);
+          this.log(`Step ${position + 1}/${hookable.length}: ${describeStep(steps[index])}`);
+        }
+      });
+
+      handoffUrl = page.url();
+      const closed = this.waitForClose(this.context);
+      await (this.context as RecorderContext)._enableRecorder({
+        language: RECORDER_LANGUAGE,
+        mode: 'recording',
+        outputFile: this.outputPath
+      });
+      this.log(`Recording from ${handoffUrl}; close the browser to add the new steps to the session`, 'success');
+
+      await closed;
+      await this.context.close().catch(() => undefined);
+      return await this.saveRecordedSteps(handoffUrl, before?.hash);
+    } catch (error) {
+      if (this.stopped && handoffUrl === null) {
+        return 1;
+      }
+      this.log(`${handoffUrl === null ? 'Replay' : 'Recording'} failed: ${error instanceof Error ? error.message : String(error)}`, 'error');
+      return 1;
+    } finally {
+      await this.browser?.close().catch(() => undefined);
+      this.browser = null;
+      this.context = null;
+      await fs.rm(this.outputPath, { force: true }).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Wait until the context closes or its last page is closed
+   */
+  private waitForClose(context: BrowserContext): Promise<void> {
+    return new Promise(resolve => {
+      const watch = (page: Page) => page.on('close', () => {
+        if (context.pages().length === 0) {
+          resolve();
+        }
+      });
+      context.pages().forEach(watch);
+      context.on('page', watch);
+      context.on('close', () => resolve());
+    });
+  }
+
+  /**
+   * Insert the steps the recorder wrote after the last replayed step
+   * The recording starts with a navigation to the page it was handed, which the script already reaches.
+   * @param handoffUrl URL of the page when the recording started
+   * @param hash Hash of the script when the replay started
+   */
+  private async saveRecordedSteps(handoffUrl: string, hash?: string): Promise<number> {
+    const recorded = await fs.readFile(this.outputPath, 'utf-8').catch(() => '');
+    const steps = parseScript(recorded).steps;
+    if (steps[0]?.action === 'goto' && steps[0].value === handoffUrl) {
+      steps.shift();
+    }
+
+    if (steps.length === 0) {
+      this.log('No new steps were recorded', 'success');
+      return 0;
+    }
+
+    // Step indexes only hold for the script that was replayed
+    const current = await getCurrentScriptVersion(this.session);
+    if (current?.hash !== hash) {
+      this.log('The script changed while recording, so the new steps were not added. Recorded steps:', 'error');
+      steps.forEach(step => this.log(step.source, 'error'));
+      return 1;
+    }
+
+    const result = await updateSessionSteps(
+      this.session.id,
+      steps.map((step, offset) => ({ op: 'insert', after: this.upToStep + offset, step: { action: 'raw', source: step.source } })),
+      { author: this.author, note: 'Continued recording' }
+    );
+    if (!result.success) {
+      this.log(`Could not add the recorded steps: ${result.message}`, 'error');
+      return 1;
+    }
+
+    this.log(`Added ${steps.length} recorded steps after step ${this.upToStep + 1}`, 'success');
+    return 0;
+  }
+
+  private log(message: string, type: 'info' | 'error' | 'success' = 'info'): void {
+    this.processManager.addLog(this.processId, message, type);
+  }
+}
+
+/**
+ * Replay a session up to a step in a headed browser, then record new steps from there
+ * The process is registered as a recording, so its logs, status and stop command work as for codegen.
+ */
+export const continueRecordingSession = async (
+  id: string,
+  options: ContinueRecordingOptions = {}
+): Promise<ContinueRecordingResult> => {
+  const session = await getSession(id);
+  if (!session) {
+    return { success: false, message: `Session with ID ${id} not found` };
+  }
+
+  let source: string;
+  try {
+    source = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return { success: false, message: `Script file not found: ${session.scriptPath}` };
+  }
+
+  const unreplayable = findUnreplayableCode(source);
+  if (unreplayable) {
+    return { success: false, invalid: true, message: unreplayable };
+  }
+
+  const { steps } = parseScript(source);
+  if (steps.length === 0) {
+    return { success: false, invalid: true, message: 'The session script has no steps to continue from' };
+  }
+
+  const upToStep = options.upToStep ?? steps.length - 1;
+  if (!Number.isInteger(upToStep) || upToStep < 0 || upToStep >= steps.length) {
+    return { success: false, invalid: true, message: `upToStep must be a step index from 0 to ${steps.length - 1}` };
+  }
+
+  // Only the replayed steps need values for their variables
+  const replayed = steps.slice(0, upToStep + 1).map(step => step.source).join('\n');
+  const names = findVariables(replayed);
+  const missing = names.filter(name => session.variables?.[name] === undefined);
+  if (missing.length > 0) {
+    return { success: false, invalid: true, message: `Missing default values for variables: ${missing.join(', ')}` };
+  }
+
+  const authState = session.replayOptions?.authState;
+  if (authState && !(await authStateExists(authState))) {
+    return { success: false, invalid: true, message: `Auth state not found: ${authState}` };
+  }
+
+  const variables = Object.fromEntries(names.map(name => [name, session.variables?.[name] as string]));
+  const recorder = new ContinueRecorder(session, steps, upToStep, variables, options.author);
+  ProcessManager.getInstance().registerProcess(recorder.processId, 'recording', recorder);
+  recorder.start();
+
+  return {
+    success: true,
+    message: 'Continued recording started',
+    processId: recorder.processId,
+    upToStep
+  };
+};
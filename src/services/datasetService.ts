@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getSession } from './sessionService';
+import { getEnvironment } from './environmentService';
+import { startReplayBatch } from './replayBatch';
+import { ReplayRunnerOptions } from './replayRunner';
+import { findVariables } from '../utils/sessionVariables';
+import { DatasetReport } from '../types/dataset';
+
+// Path constants
+const DATASET_RUNS_DIR = path.join(process.cwd(), 'dataset-runs');
+
+/**
+ * Start replaying a session once per dataset row
+ * Each row's values override the variables given in the options and the session defaults.
+ * The rows run one after another; the returned report is updated on disk as they finish.
+ * Every row is checked for missing variables before any of them runs.
+ * @returns The initial report, an error message if a row cannot run, or null if the session does not exist
+ */
+export const startDatasetReplay = async (
+  sessionId: string,
+  rows: Record<string, string>[],
+  options: ReplayRunnerOptions = {}
+): Promise<DatasetReport | string | null> => {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  
+  let script: string;
+  try {
+    script = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return `Script file not found: ${session.scriptPath}`;
+  }
+  
+  // Values are merged as executeSession does for each row
+  const environment = options.environment ?? session.replayOptions?.environment;
+  const profile = environment ? await getEnvironment(environment) : null;
+  if (environment && !profile) {
+    return `Environment not found: ${environment}`;
+  }
+  
+  const names = findVariables(script);
+  const incomplete = rows
+    .map((row, index) => {
+      const values = { ...session.variables, ...profile?.variables, ...options.variables, ...row };
+      const missing = names.filter(name => values[name] === undefined);
+      return missing.length > 0 ? `dataset row ${index + 1} (${missing.join(', ')})` : null;
+    })
+    .filter((entry): entry is string => entry !== null);
+  if (incomplete.length > 0) {
+    return `Missing values for variables in ${incomplete.join('; ')}`;
+  }
+  
+  const report: DatasetReport = {
+    id: uuidv4(),
+    sessionId,
+    sessionName: session.name,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    rows: rows.map((variables, index) => ({ index, variables, status: 'pending' }))
+  };
+  await startReplayBatch(DATASET_RUNS_DIR, report, report.rows, row => ({
+    ...options,
+    variables: { ...options.variables, ...row.variables }
+  }));
+  
+  return report;
+};
+
+/**
+ * Get a data-driven replay report by ID
+ */
+export const getDatasetReport = async (datasetRunId: string): Promise<DatasetReport | null> => {
+  try {
+    const id = path.basename(datasetRunId);
+    const data = await fs.readFile(path.join(DATASET_RUNS_DIR, `${id}.json`), 'utf-8');
+    const report = JSON.parse(data) as DatasetReport;
+    return report && report.id === id && Array.isArray(report.rows) ? report : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { authStateExists } from './authStateService';
+import { normalizeVariables } from '../utils/sessionVariables';
+import { Environment, EnvironmentInput } from '../types/environment';
+
+// Path constants
+const ENVIRONMENTS_DIR = path.join(process.cwd(), 'environments');
+
+// Names double as file names, so keep them to a safe character set
+const ENVIRONMENT_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+// RFC 7230 header field name
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Check that a value can be used as an environment name
+ */
+export const isValidEnvironmentName = (name: unknown): name is string =>
+  typeof name === 'string' && ENVIRONMENT_NAME_PATTERN.test(name) && !name.includes('..');
+
+/**
+ * Validate environment fields received from a client
+ * @returns The normalized fields, or an error message when they are invalid
+ */
+export const validateEnvironment = async (input: Record<string, unknown>): Promise<EnvironmentInput | string> => {
+  const { baseUrl, variables, authState, headers } = input;
+  
+  let url: URL;
+  try {
+    url = new URL(baseUrl as string);
+  } catch {
+    return 'baseUrl must be an absolute http or https URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'baseUrl must be an absolute http or https URL';
+  }
+  
+  const environment: EnvironmentInput = { baseUrl: url.href };
+  
+  if (variables !== undefined) {
+    const normalized = normalizeVariables(variables);
+    if (typeof normalized === 'string') {
+      return normalized;
+    }
+    environment.variables = normalized;
+  }
+  
+  if (authState !== undefined) {
+    if (!(await authStateExists(authState as string))) {
+      return `Auth state not found: ${authState}`;
+    }
+    environment.authState = authState as string;
+  }
+  
+  if (headers !== undefined) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      return 'headers must be an object mapping header names to values';
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        return `Invalid header name: ${name}`;
+      }
+      if (typeof value !== 'string') {
+        return `Value of header ${name} must be a string`;
+      }
+    }
+    environment.headers = headers as Record<string, string>;
+  }
+  
+  return environment;
+};
+
+/**
+ * Get all environment profiles, sorted by name
+ */
+export const listEnvironments = async (): Promise<Environment[]> => {
+  try {
+    await fs.mkdir(ENVIRONMENTS_DIR, { recursive: true });
+    const files = await fs.readdir(ENVIRONMENTS_DIR);
+    
+    const environments = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => getEnvironment(file.slice(0, -'.json'.length)))
+    );
+    
+    return environments
+      .filter((environment): environment is Environment => environment !== null)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error listing environments:', error);
+    return [];
+  }
+};
+
+/**
+ * Get an environment profile by name
+ */
+export const getEnvironment = async (name: string): Promise<Environment | null> => {
+  if (!isValidEnvironmentName(name)) {
+    return null;
+  }
+  
+  try {
+    const data = await fs.readFile(path.join(ENVIRONMENTS_DIR, `${name}.json`), 'utf-8');
+    return JSON.parse(data) as Environment;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create or replace an environment profile, keeping the creation time of an existing one
+ */
+export const saveEnvironment = async (name: string, input: EnvironmentInput): Promise<Environment> => {
+  const existing = await getEnvironment(name);
+  const now = new Date().toISOString();
+  
+  const environment: Environment = {
+    name,
+    ...input,
+    createdAt: existing?.createdAt || now,
+    ...(existing && { updatedAt: now })
+  };
+  
+  await fs.mkdir(ENVIRONMENTS_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(ENVIRONMENTS_DIR, `${name}.json`),
+    JSON.stringify(environment, null, 2)
+  );
+  return environment;
+};
+
+/**
+ * Delete an environment profile
+ * @returns Whether a profile was deleted
+ */
+export const deleteEnvironment = async (name: string): Promise<boolean> => {
+  if (!isValidEnvironmentName(name)) {
+    return false;
+  }
+  
+  try {
+    await fs.unlink(path.join(ENVIRONMENTS_DIR, `${name}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,170 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ProcessManager } from '../utils/processManager';
+import { ReplayRunner } from './replayRunner';
+import { Job, JobQueueState } from '../types/job';
+
+export const MIN_JOB_PRIORITY = -10;
+export const MAX_JOB_PRIORITY = 10;
+
+// Number of ended jobs kept for GET /api/jobs
+const MAX_ENDED_JOBS = 100;
+
+/**
+ * Maximum number of replays running at the same time, from MAX_CONCURRENT_REPLAYS (default 2)
+ */
+const getMaxConcurrency = (): number => {
+  const value = Number(process.env.MAX_CONCURRENT_REPLAYS);
+  return Number.isInteger(value) && value > 0 ? value : 2;
+};
+
+interface QueueEntry {
+  job: Job;
+  runner: ReplayRunner;
+
+  /** Position in the queue last reported in the replay's logs */
+  position?: number;
+}
+
+// Jobs waiting for a slot, in the order they will start
+const queued: QueueEntry[] = [];
+
+// Jobs holding a slot, by job ID
+const running = new Map<string, QueueEntry>();
+
+// Finished and cancelled jobs, newest first
+const ended: Job[] = [];
+
+/**
+ * Check that a value can be used as a job priority
+ */
+export const isValidJobPriority = (priority: unknown): priority is number =>
+  Number.isInteger(priority) && (priority as number) >= MIN_JOB_PRIORITY && (priority as number) <= MAX_JOB_PRIORITY;
+
+/**
+ * Start queued jobs while slots are free
+ */
+function drain(): void {
+  const maxConcurrency = getMaxConcurrency();
+
+  while (running.size < maxConcurrency && queued.length > 0) {
+    const entry = queued.shift() as QueueEntry;
+
+    // A replay stopped while queued exits on its own; its exit records the job
+    if (!ProcessManager.getInstance().isProcessRunning(entry.job.processId)) {
+      continue;
+    }
+
+    entry.job.status = 'running';
+    entry.job.startedAt = new Date().toISOString();
+    running.set(entry.job.id, entry);
+    ProcessManager.getInstance().setQueued(entry.job.processId, false);
+    entry.runner.start(entry.job.runId);
+  }
+
+  // Tell the replays still waiting where they stand
+  queued.forEach((entry, index) => {
+    if (entry.position !== index + 1) {
+      entry.position = index + 1;
+      ProcessManager.getInstance().addLog(
+        entry.job.processId,
+        `Waiting for a free replay slot (position ${entry.position} in queue)`
+      );
+    }
+  });
+}
+
+/**
+ * Release the slot or queue position of a job whose replay has exited
+ */
+function onExit(job: Job): void {
+  const index = queued.findIndex(entry => entry.job.id === job.id);
+  if (index >= 0) {
+    queued.splice(index, 1);
+  }
+  running.delete(job.id);
+
+  if (job.status !== 'cancelled') {
+    job.status = job.startedAt ? 'finished' : 'cancelled';
+  }
+  job.outcome = ProcessManager.getInstance().getOutcome(job.processId);
+  job.endedAt = new Date().toISOString();
+
+  ended.unshift(job);
+  ended.splice(MAX_ENDED_JOBS);
+  drain();
+}
+
+/**
+ * Queue a replay; it starts once a slot is free
+ * Jobs with a higher priority start first, equal priorities in the order they were queued.
+ * The runner must already be registered with the ProcessManager.
+ * @param runner Replay runner that has not been started
+ * @param run IDs of the run record and the session it replays
+ * @param priority Priority between MIN_JOB_PRIORITY and MAX_JOB_PRIORITY
+ */
+export const enqueueReplay = (
+  runner: ReplayRunner,
+  run: { id: string; sessionId: string; sessionName: string },
+  priority = 0
+): Job => {
+  const job: Job = {
+    id: uuidv4(),
+    sessionId: run.sessionId,
+    sessionName: run.sessionName,
+    runId: run.id,
+    processId: runner.processId,
+    priority,
+    status: 'queued',
+    queuedAt: new Date().toISOString()
+  };
+
+  runner.once('exit', () => onExit(job));
+  ProcessManager.getInstance().setQueued(runner.processId, true);
+
+  const before = queued.findIndex(entry => entry.job.priority < priority);
+  queued.splice(before >= 0 ? before : queued.length, 0, { job, runner });
+  drain();
+
+  return job;
+};
+
+/**
+ * Get the runner of a run still waiting in the queue
+ * Playback commands given to it take effect once it starts.
+ */
+export const getQueuedRunner = (runId: string): ReplayRunner | undefined =>
+  queued.find(entry => entry.job.runId === runId)?.runner;
+
+/**
+ * Get the state of the replay queue
+ */
+export const getJobs = (): JobQueueState => ({
+  maxConcurrency: getMaxConcurrency(),
+  jobs: [
+    ...Array.from(running.values(), entry => entry.job),
+    ...queued.map(entry => entry.job),
+    ...ended
+  ]
+});
+
+/**
+ * Get a job by ID
+ */
+export const getJob = (id: string): Job | null =>
+  getJobs().jobs.find(job => job.id === id) || null;
+
+/**
+ * Cancel a job: a queued job is removed from the queue, a running replay is stopped
+ * @returns The cancelled job, null if it does not exist, or an error message if it has already ended
+ */
+export const cancelJob = (id: string): Job | null | string => {
+  const entry = queued.find(item => item.job.id === id) || running.get(id);
+  if (!entry) {
+    return ended.some(job => job.id === id) ? `Job ${id} has already ended` : null;
+  }
+
+  // The runner's exit releases the job's slot or queue position
+  entry.job.status = 'cancelled';
+  ProcessManager.getInstance().killProcess(entry.job.processId);
+  return entry.job;
+};
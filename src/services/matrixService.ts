@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getSession } from './sessionService';
+import { startReplayBatch } from './replayBatch';
+import { MatrixCell, MatrixReport } from '../types/matrix';
+import { ReplayBrowser, Viewport } from '../types/session';
+
+// Path constants
+const MATRIX_DIR = path.join(process.cwd(), 'matrix');
+
+/**
+ * Options for a matrix replay
+ */
+export interface MatrixOptions {
+  /** Browsers to replay in */
+  browsers: ReplayBrowser[];
+  
+  /** Viewports to replay at; the browser default is used when empty */
+  viewports: Viewport[];
+  
+  /** Run the browsers without a window (session default when omitted) */
+  headless?: boolean;
+  
+  /** Branded Chromium build used for the chromium cells */
+  channel?: string;
+  
+  /** Environment profile to replay against (session default when omitted) */
+  environment?: string;
+  
+  /** Speed multiplier of the replays */
+  speed?: number;
+}
+
+/**
+ * Start replaying a session in every combination of the given browsers and viewports
+ * The cells run one after another; the returned report is updated on disk as they finish.
+ * @returns The initial report, or null if the session does not exist
+ */
+export const startMatrix = async (sessionId: string, options: MatrixOptions): Promise<MatrixReport | null> => {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  
+  const viewports: (Viewport | undefined)[] = options.viewports.length ? options.viewports : [undefined];
+  const cells: MatrixCell[] = options.browsers.flatMap(browser =>
+    viewports.map(viewport => ({ browser, viewport, status: 'pending' as const }))
+  );
+  
+  const report: MatrixReport = {
+    id: uuidv4(),
+    sessionId,
+    sessionName: session.name,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    cells
+  };
+  await startReplayBatch(MATRIX_DIR, report, cells, cell => ({
+    browser: cell.browser,
+    headless: options.headless,
+    viewport: cell.viewport,
+    channel: cell.browser === 'chromium' ? options.channel : undefined,
+    environment: options.environment,
+    speed: options.speed
+  }));
+  
+  return report;
+};
+
+/**
+ * Get a matrix report by ID
+ */
+export const getMatrixReport = async (matrixId: string): Promise<MatrixReport | null> => {
+  try {
+    const id = path.basename(matrixId);
+    const data = await fs.readFile(path.join(MATRIX_DIR, `${id}.json`), 'utf-8');
+    const report = JSON.parse(data) as MatrixReport;
+    return report && report.id === id && Array.isArray(report.cells) ? report : null;
+  } catch {
+    return null;
+  }
+};
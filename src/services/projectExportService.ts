@@ -0,0 +1,478 @@
+import fs from 'fs/promises';
+import { gzip } from 'zlib';
+import { promisify } from 'util';
+import playwrightPackage from 'playwright/package.json';
+import { getSession } from './sessionService';
+import { getSuite } from './suiteService';
+import { getEnvironment } from './environmentService';
+import { authStateExists, getAuthStatePath } from './authStateService';
+import { parseScript, renderScript, renderStep, formatStringLiteral } from '../utils/scriptParser';
+import { findVariables, placeholdersToTemplates } from '../utils/sessionVariables';
+import { createTar, TarEntry } from '../utils/tar';
+import { convertToGherkin } from '../utils/gherkinConverter';
+import { Session, ArtifactMode } from '../types/session';
+import { SessionStep } from '../types/step';
+
+const gzipAsync = promisify(gzip);
+
+// File the sessions of a suite sharing storage state hand their cookies and local storage over in
+const SUITE_STORAGE_STATE = '.auth/suite-state.json';
+
+// Playwright Test settings keeping the same artifacts as a replay
+const ARTIFACT_SETTINGS: Record<ArtifactMode, { trace: string; video: string; screenshot: string }> = {
+  always: { trace: 'on', video: 'on', screenshot: 'on' },
+  'on-failure': { trace: 'retain-on-failure', video: 'retain-on-failure', screenshot: 'only-on-failure' },
+  never: { trace: 'off', video: 'off', screenshot: 'off' }
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// Opening line of a test block, capturing what precedes the test name and the name literal
+const TEST_NAME_PATTERN = /^(\s*test(?:\.\w+)?\(\s*)(['"`])(?:\\.|(?!\2).)*\2/;
+
+/**
+ * Playwright Test project rendered for a session or suite, ready to be sent as a download
+ */
+export interface ExportedProject {
+  /** Gzip-compressed tar archive of the project directory */
+  content: Buffer;
+
+  /** Suggested file name for the download */
+  fileName: string;
+}
+
+/**
+ * Gherkin feature rendered for a session, with its step definitions
+ */
+export interface ExportedFeature extends ExportedProject {
+  /** Source of the feature file alone */
+  feature: string;
+
+  /** File name of the feature file */
+  featureFileName: string;
+
+  /** Number of statements left as comments because they have no step phrasing */
+  unconverted: number;
+}
+
+// A spec file of the project and the Playwright project running it
+interface ProjectSpec {
+  /** Name of the Playwright project, also the base name of the spec file */
+  name: string;
+
+  /** Source of the spec file */
+  source: string;
+
+  /** Entries of the project's `use` block */
+  use: string[];
+
+  /** Project that has to pass before this one runs */
+  dependency?: string;
+
+  /** Auth state the spec starts from, copied into `.auth/` */
+  authState?: string;
+
+  /** Origin the spec's relative gotos resolve against */
+  baseUrl: string;
+}
+
+/**
+ * Turn a name into a lowercase file and package name
+ */
+function toSlug(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'session';
+}
+
+/**
+ * Format a JSON-like value as a TypeScript expression on one line
+ */
+function formatValue(value: unknown): string {
+  if (typeof value === 'string') {
+    return formatStringLiteral(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) =>
+      `${IDENTIFIER_PATTERN.test(key) ? key : formatStringLiteral(key)}: ${formatValue(item)}`);
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+/**
+ * Make a goto on an absolute URL relative, so it resolves against the project's baseURL
+ * @param origin Only gotos on this origin are rewritten; all of them when undefined
+ */
+function toRelativeGoto(step: SessionStep, origin?: string): SessionStep {
+  const match = step.action === 'goto' ? step.value?.match(/^(https?:\/\/[^/?#]*)(.*)$/i) : null;
+  if (!match) {
+    return step;
+  }
+
+  // Only the origin goes through URL; the rest is kept as text, so `{{variables}}` are not percent-encoded
+  let gotoOrigin: string;
+  try {
+    gotoOrigin = new URL(match[1]).origin;
+  } catch {
+    return step;
+  }
+  if (origin && gotoOrigin !== origin) {
+    return step;
+  }
+
+  const value = match[2].startsWith('/') ? match[2] : `/${match[2]}`;
+  return { ...step, value, source: renderStep({ ...step, value }) };
+}
+
+/**
+ * Rewrite a session script as a spec using the project's fixtures
+ * Gotos become relative to baseURL, and `{{variables}}` read the `variables` fixture.
+ */
+function toSpecSource(session: Session, source: string, origin?: string): string {
+  const script = parseScript(source);
+  const usesVariables = findVariables(source).length > 0;
+
+  // A bare list of statements gets a test block around it
+  if (script.header.length === 0) {
+    script.header = ['import { test, expect } from \'@playwright/test\';', '', 'test(\'test\', async ({ page }) => {'];
+    script.footer = ['});', ''];
+    script.indent = '  ';
+  }
+
+  const header = script.header.map(line => line.replace(/(from\s+)(['"])@playwright\/test\2/, '$1\'../fixtures\''));
+  const testLine = header.length - 1;
+
+  // Codegen names every test 'test'; the session name says more
+  if (!script.testName || script.testName === 'test') {
+    header[testLine] = header[testLine].replace(TEST_NAME_PATTERN, `$1${formatStringLiteral(session.name)}`);
+  }
+  if (usesVariables) {
+    header[testLine] = header[testLine].replace(/\(\{([^}]*)\}\)/, (match, params: string) =>
+      `({ ${[...params.split(',').map(param => param.trim()).filter(Boolean), 'variables'].join(', ')} })`);
+  }
+
+  const steps = script.steps
+    .map(step => toRelativeGoto(step, origin))
+    .map(step => ({ ...step, source: placeholdersToTemplates(step.source, 'variables') }));
+
+  return renderScript({ ...script, header, steps });
+}
+
+/**
+ * Build the spec file and Playwright project settings of a session
+ * @returns The spec, or null if the session's script cannot be read
+ */
+async function buildSpec(session: Session, name: string): Promise<ProjectSpec | null> {
+  let source: string;
+  try {
+    source = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  const replayOptions = session.replayOptions || {};
+  const recordingOptions = session.recordingOptions || {};
+
+  // The default environment retargets every goto, as in a replay; otherwise only those on the recorded origin
+  const profile = replayOptions.environment ? await getEnvironment(replayOptions.environment) : null;
+  const baseUrl = new URL(profile?.baseUrl || session.url).origin;
+  const authState = profile?.authState ?? replayOptions.authState;
+
+  const variables: Record<string, string> = { ...session.variables, ...profile?.variables };
+  const artifacts = ARTIFACT_SETTINGS[replayOptions.artifacts || 'on-failure'];
+  const viewport = replayOptions.viewport ?? recordingOptions.viewport;
+
+  // A device picks its own browser, as in codegen, unless the session replays with another one
+  const use: string[] = [];
+  if (recordingOptions.device) use.push(`...devices[${formatStringLiteral(recordingOptions.device)}]`);
+  if (replayOptions.browser || !recordingOptions.device) use.push(`browserName: '${replayOptions.browser || 'chromium'}'`);
+  if (replayOptions.channel) use.push(`channel: ${formatStringLiteral(replayOptions.channel)}`);
+  if (viewport) use.push(`viewport: ${formatValue(viewport)}`);
+  if (recordingOptions.lang) use.push(`locale: ${formatStringLiteral(recordingOptions.lang)}`);
+  if (recordingOptions.timezone) use.push(`timezoneId: ${formatStringLiteral(recordingOptions.timezone)}`);
+  if (recordingOptions.geolocation) {
+    use.push(`geolocation: ${formatValue(recordingOptions.geolocation)}`, 'permissions: [\'geolocation\']');
+  }
+  if (recordingOptions.colorScheme) use.push(`colorScheme: '${recordingOptions.colorScheme}'`);
+  if (recordingOptions.userAgent) use.push(`userAgent: ${formatStringLiteral(recordingOptions.userAgent)}`);
+  if (profile?.headers) use.push(`extraHTTPHeaders: ${formatValue(profile.headers)}`);
+
+  const exists = authState ? await authStateExists(authState) : false;
+  if (authState && exists) use.push(`storageState: '.auth/${authState}.json'`);
+
+  const names = findVariables(source);
+  if (names.length > 0) {
+    const values = names.map(variable => `${variable}: process.env.${variable} ?? ${formatStringLiteral(variables[variable] ?? '')}`);
+    use.push(`variables: {\n  ${values.join(',\n  ')}\n}`);
+  }
+  use.push(`trace: '${artifacts.trace}'`, `video: '${artifacts.video}'`, `screenshot: '${artifacts.screenshot}'`);
+
+  return {
+    name,
+    source: toSpecSource(session, source, profile ? undefined : baseUrl),
+    use,
+    ...(authState && exists && { authState }),
+    baseUrl
+  };
+}
+
+/**
+ * Render `playwright.config.ts`, with one Playwright project per spec
+ */
+function renderConfig(description: string, specs: ProjectSpec[]): string {
+  const usesDevices = specs.some(spec => spec.use.some(entry => entry.startsWith('...devices[')));
+  const projects = specs.map(spec => [
+    '    {',
+    `      name: ${formatStringLiteral(spec.name)},`,
+    `      testMatch: ${formatStringLiteral(`${spec.name}.spec.ts`)},`,
+    ...(spec.dependency ? [`      dependencies: [${formatStringLiteral(spec.dependency)}],`] : []),
+    '      use: {',
+    `        baseURL: process.env.BASE_URL ?? ${formatStringLiteral(spec.baseUrl)},`,
+    ...spec.use.map(entry => `        ${entry.replace(/\n/g, '\n        ')},`),
+    '      }',
+    '    }'
+  ].join('\n'));
+
+  return [
+    `import { defineConfig${usesDevices ? ', devices' : ''} } from '@playwright/test';`,
+    'import type { ProjectOptions } from \'./fixtures\';',
+    '',
+    '/**',
+    ` * ${description}`,
+    ' * Set BASE_URL to run against another origin, and a variable\'s name to override its default.',
+    ' */',
+    'export default defineConfig<ProjectOptions>({',
+    '  testDir: \'./tests\',',
+    '  fullyParallel: false,',
+    '  workers: 1,',
+    '  forbidOnly: !!process.env.CI,',
+    '  reporter: [[\'list\'], [\'html\', { open: \'never\' }]],',
+    '  projects: [',
+    projects.join(',\n'),
+    '  ]',
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render `fixtures.ts`, extending the Playwright test with the options the config sets
+ */
+function renderFixtures(shareStorageState: boolean): string {
+  const lines = [
+    'import { test as base } from \'@playwright/test\';',
+    '',
+    'export type ProjectOptions = {',
+    '  /** Values of the recording\'s {{variables}}, set per project in playwright.config.ts */',
+    '  variables: Record<string, string>;',
+    ...(shareStorageState ? [
+      '',
+      '  /** File the cookies and local storage are saved to after each test, for the next project to start from */',
+      '  saveStorageState: string | undefined;'
+    ] : []),
+    '};',
+    '',
+    `export const test = base.extend<ProjectOptions${shareStorageState ? ' & { storageStateSaver: void }' : ''}>({`,
+    `  variables: [{}, { option: true }]${shareStorageState ? ',' : ''}`,
+    ...(shareStorageState ? [
+      '  saveStorageState: [undefined, { option: true }],',
+      '  storageStateSaver: [async ({ context, saveStorageState }, use) => {',
+      '    await use();',
+      '    if (saveStorageState) {',
+      '      await context.storageState({ path: saveStorageState });',
+      '    }',
+      '  }, { auto: true }]'
+    ] : []),
+    '});',
+    '',
+    'export { expect } from \'@playwright/test\';',
+    ''
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Render the README of the project
+ */
+function renderReadme(title: string, description: string, specs: ProjectSpec[]): string {
+  const authStates = [...new Set(specs.map(spec => spec.authState).filter(Boolean))];
+
+  return [
+    `# ${title}`,
+    '',
+    description,
+    '',
+    '## Running',
+    '',
+    '```bash',
+    'npm install',
+    'npx playwright install',
+    'npm test',
+    '```',
+    '',
+    'Tests navigate relative to `baseURL`; set `BASE_URL` to run them against another origin. ' +
+      'Each `{{variable}}` of the recording reads the environment variable of the same name and falls back ' +
+      'to its recorded default, both set in `playwright.config.ts`.',
+    ...(authStates.length ? [
+      '',
+      `The tests start logged in from \`.auth/\` (${authStates.map(name => `\`${name}.json\``).join(', ')}). ` +
+        'These files hold live cookies and are git-ignored: keep them out of version control and ' +
+        'recreate them, e.g. with a setup project, where the tests run.'
+    ] : []),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Package specs into a gzip-compressed tar archive of a Playwright Test project
+ */
+async function packageProject(
+  slug: string,
+  title: string,
+  description: string,
+  specs: ProjectSpec[],
+  shareStorageState: boolean
+): Promise<ExportedProject> {
+  const packageJson = {
+    name: slug,
+    version: '1.0.0',
+    private: true,
+    description,
+    scripts: {
+      test: 'playwright test',
+      'test:headed': 'playwright test --headed',
+      report: 'playwright show-report'
+    },
+    devDependencies: {
+      '@playwright/test': `^${playwrightPackage.version}`
+    }
+  };
+
+  const files: TarEntry[] = [
+    { name: 'package.json', content: `${JSON.stringify(packageJson, null, 2)}\n` },
+    { name: 'playwright.config.ts', content: renderConfig(description, specs) },
+    { name: 'fixtures.ts', content: renderFixtures(shareStorageState) },
+    { name: '.gitignore', content: 'node_modules/\ntest-results/\nplaywright-report/\n.auth/\n' },
+    { name: 'README.md', content: renderReadme(title, description, specs) },
+    ...specs.map(spec => ({ name: `tests/${spec.name}.spec.ts`, content: spec.source }))
+  ];
+
+  const authStates = [...new Set(specs.map(spec => spec.authState).filter((name): name is string => !!name))];
+  for (const name of authStates) {
+    files.push({ name: `.auth/${name}.json`, content: await fs.readFile(getAuthStatePath(name)), mode: 0o600 });
+  }
+
+  return {
+    content: await gzipAsync(createTar(files.map(file => ({ ...file, name: `${slug}/${file.name}` })))),
+    fileName: `${slug}-playwright.tar.gz`
+  };
+}
+
+/**
+ * Export a session as a standalone Playwright Test project
+ * @returns The project archive, or null if the session or its script does not exist
+ */
+export const exportSessionProject = async (id: string): Promise<ExportedProject | null> => {
+  const session = await getSession(id);
+  if (!session) {
+    return null;
+  }
+
+  const slug = toSlug(session.name);
+  const spec = await buildSpec(session, slug);
+  if (!spec) {
+    return null;
+  }
+
+  const description = `Playwright tests exported from recorded session "${session.name}" on ${new Date().toISOString().slice(0, 10)}.`;
+  return packageProject(slug, session.name, description, [spec], false);
+};
+
+/**
+ * Export a suite as a standalone Playwright Test project with one spec per session, run in suite order
+ * With stopOnFailure or shareStorageState, each session's project depends on the previous one.
+ * @returns The project archive, null if the suite does not exist, or an error message if one of its sessions is gone
+ */
+export const exportSuiteProject = async (id: string): Promise<ExportedProject | null | string> => {
+  const suite = await getSuite(id);
+  if (!suite) {
+    return null;
+  }
+
+  const specs: ProjectSpec[] = [];
+  for (const [index, sessionId] of suite.sessionIds.entries()) {
+    const session = await getSession(sessionId);
+    const spec = session && await buildSpec(session, `${String(index + 1).padStart(2, '0')}-${toSlug(session.name)}`);
+    if (!spec) {
+      return `Session ${sessionId} of the suite or its script no longer exists`;
+    }
+
+    const previous = specs[specs.length - 1];
+    if (previous && (suite.stopOnFailure || suite.shareStorageState)) {
+      spec.dependency = previous.name;
+    }
+    if (suite.shareStorageState) {
+      spec.use = spec.use.filter(entry => !entry.startsWith('storageState:'));
+      if (previous) {
+        spec.use.push(`storageState: '${SUITE_STORAGE_STATE}'`);
+        delete spec.authState;
+      } else if (spec.authState) {
+        spec.use.push(`storageState: '.auth/${spec.authState}.json'`);
+      }
+      if (index < suite.sessionIds.length - 1) {
+        spec.use.push(`saveStorageState: '${SUITE_STORAGE_STATE}'`);
+      }
+    }
+    specs.push(spec);
+  }
+
+  const description = `Playwright tests exported from suite "${suite.name}" on ${new Date().toISOString().slice(0, 10)}.`;
+  return packageProject(toSlug(suite.name), suite.name, description, specs, suite.shareStorageState);
+};
+
+/**
+ * Export a session as a Gherkin feature with playwright-bdd step definitions
+ * @returns The feature and an archive of it with its step definitions, or null if the session or its script does not exist
+ */
+export const exportSessionFeature = async (id: string): Promise<ExportedFeature | null> => {
+  const session = await getSession(id);
+  if (!session) {
+    return null;
+  }
+
+  let source: string;
+  try {
+    source = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  // Codegen names every test 'test'; the session name says more
+  const script = parseScript(source);
+  const scenario = script.testName && script.testName !== 'test' ? script.testName : session.name;
+
+  const slug = toSlug(session.name);
+  const featureFileName = `${slug}.feature`;
+  const converted = convertToGherkin(script, {
+    name: session.name,
+    scenario,
+    description: `Recorded on ${session.url}`,
+    tags: session.tags,
+    variables: session.variables
+  }, `features/${featureFileName}`);
+
+  const files: TarEntry[] = [
+    { name: `features/${featureFileName}`, content: converted.feature },
+    { name: `features/steps/${slug}.steps.ts`, content: converted.steps }
+  ];
+
+  return {
+    content: await gzipAsync(createTar(files.map(file => ({ ...file, name: `${slug}/${file.name}` })))),
+    fileName: `${slug}-gherkin.tar.gz`,
+    feature: converted.feature,
+    featureFileName,
+    unconverted: converted.unconverted
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Replays of one session run one after another, whose outcomes are collected in a report
+ * kept on disk; shared by matrix and data-driven replays
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { executeSession } from './sessionService';
+import { waitForRun } from './runService';
+import { ReplayRunnerOptions } from './replayRunner';
+import { RunStatus } from '../types/run';
+import { MatrixFailure } from '../types/matrix';
+
+/**
+ * One replay of a batch and its outcome, such as a matrix cell or a dataset row
+ */
+export interface ReplayBatchEntry {
+  status: RunStatus | 'pending';
+  runId?: string;
+  durationMs?: number;
+  failure?: MatrixFailure;
+  error?: string;
+}
+
+/**
+ * Report of a batch, finalized once every entry has run
+ */
+export interface ReplayBatchReport {
+  id: string;
+  sessionId: string;
+  status: 'running' | 'passed' | 'failed';
+  startedAt: string;
+  endedAt?: string;
+  durationMs?: number;
+}
+
+/**
+ * Persist a batch report to disk
+ * @param dir Directory holding the reports of this kind of batch
+ */
+export async function writeBatchReport(dir: string, report: ReplayBatchReport): Promise<void> {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${report.id}.json`),
+    JSON.stringify(report, null, 2)
+  );
+}
+
+/**
+ * Replay a single entry and record its outcome
+ */
+async function runEntry(
+  dir: string,
+  report: ReplayBatchReport,
+  entry: ReplayBatchEntry,
+  options: ReplayRunnerOptions
+): Promise<void> {
+  const result = await executeSession(report.sessionId, options);
+  if (!result.success || !result.runId) {
+    entry.status = 'error';
+    entry.error = result.message;
+    return;
+  }
+
+  entry.status = 'running';
+  entry.runId = result.runId;
+  await writeBatchReport(dir, report);
+
+  const run = await waitForRun(result.runId);
+  entry.status = run ? run.status : 'error';
+  entry.durationMs = run?.durationMs;
+
+  const failed = run?.steps?.find(step => step.status === 'failed');
+  if (failed) {
+    entry.failure = { index: failed.index, line: failed.line, error: failed.error };
+  }
+}
+
+/**
+ * Replay the entries one after another and finalize the report
+ */
+async function runBatch<T extends ReplayBatchEntry>(
+  dir: string,
+  report: ReplayBatchReport,
+  entries: T[],
+  getOptions: (entry: T) => ReplayRunnerOptions
+): Promise<void> {
+  for (const entry of entries) {
+    try {
+      await runEntry(dir, report, entry, getOptions(entry));
+    } catch (error) {
+      entry.status = 'error';
+      entry.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+    await writeBatchReport(dir, report);
+  }
+
+  const endedAt = new Date();
+  report.status = entries.every(entry => entry.status === 'passed') ? 'passed' : 'failed';
+  report.endedAt = endedAt.toISOString();
+  report.durationMs = endedAt.getTime() - new Date(report.startedAt).getTime();
+  await writeBatchReport(dir, report);
+}
+
+/**
+ * Save the initial report of a batch and replay its entries in the background
+ * The report is updated on disk as the entries finish.
+ * @param dir Directory holding the reports of this kind of batch
+ * @param report Report holding the entries
+ * @param entries Entries of the report, in execution order
+ * @param getOptions Replay options of an entry
+ */
+export async function startReplayBatch<T extends ReplayBatchEntry>(
+  dir: string,
+  report: ReplayBatchReport,
+  entries: T[],
+  getOptions: (entry: T) => ReplayRunnerOptions
+): Promise<void> {
+  await writeBatchReport(dir, report);
+
+  runBatch(dir, report, entries, getOptions).catch((error: Error) => {
+    console.error(`Error running replay batch ${report.id}:`, error);
+  });
+}
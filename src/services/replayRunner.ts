@@ -0,0 +1,620 @@
+/**
+ * In-process replay of session scripts with the Playwright library
+ * The body of the script's test is compiled into a function with a hook before
+ * every statement, which is where pause, step and speed commands take effect.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import ts from 'typescript';
+import { chromium, firefox, webkit, Browser, BrowserContext, BrowserType, Page } from 'playwright';
+import { v4 as uuidv4 } from 'uuid';
+import { ProcessManager } from '../utils/processManager';
+import { parseScript, parseStep, renderStep, findCodeOutsideTests } from '../utils/scriptParser';
+import { createExpect } from '../utils/replayExpect';
+import { substituteVariables } from '../utils/sessionVariables';
+import { SessionStep } from '../types/step';
+import { StepResult } from '../types/run';
+import { ArtifactMode, ReplayBrowser, ReplayOptions, RecordingOptions, Viewport } from '../types/session';
+import { toContextOptions, getDeviceBrowser } from '../utils/recordingOptions';
+import { isValidAuthStateName, getAuthStatePath } from './authStateService';
+import { isValidEnvironmentName } from './environmentService';
+import { getArtifactsDir } from './runService';
+
+// Delay between steps at 1x speed
+const BASE_STEP_DELAY = 500;
+
+// Accepted range of speed multipliers
+export const MIN_REPLAY_SPEED = 0.1;
+export const MAX_REPLAY_SPEED = 10;
+
+// Browser engines replays can run in
+export const REPLAY_BROWSERS: ReplayBrowser[] = ['chromium', 'firefox', 'webkit'];
+
+export const BROWSER_TYPES: Record<ReplayBrowser, BrowserType> = { chromium, firefox, webkit };
+
+// Timeout for actions and navigations, as in Playwright Test
+export const ACTION_TIMEOUT = 30000;
+
+export const ARTIFACT_MODES: ArtifactMode[] = ['always', 'on-failure', 'never'];
+
+// File names of the artifacts kept in a run's artifacts directory
+const TRACE_FILE = 'trace.zip';
+const VIDEO_FILE = 'video.webm';
+const SCREENSHOT_FILE = 'screenshot.png';
+
+// Scheme and host of an absolute http(s) URL, followed by its path, query and hash
+const ABSOLUTE_URL_PATTERN = /^(https?:\/\/[^/?#]*)(.*)$/i;
+
+// Statements that continue the previous one or do nothing, so no hook can precede them
+const NON_HOOKABLE_PATTERN = /^(\/\/|\/\*|else\b|catch\b|finally\b)/;
+
+// Compiled test body
+export type ReplayBody = (
+  page: Page,
+  context: BrowserContext,
+  browser: Browser,
+  expect: ReturnType<typeof createExpect>,
+  replay: { beforeStep: (index: number) => Promise<void> }
+) => Promise<void>;
+
+/**
+ * Options for a replay run
+ */
+export interface ReplayRunnerOptions extends ReplayOptions {
+  /** Initial speed multiplier (1 = 500ms between steps) */
+  speed?: number;
+  
+  /** Emulation settings the session was recorded with */
+  recordingOptions?: RecordingOptions;
+  
+  /** Values replacing the `{{variables}}` in the script */
+  variables?: Record<string, string>;
+  
+  /** URL whose origin and path prefix replace the origin of the script's `page.goto` calls */
+  baseUrl?: string;
+  
+  /** Extra HTTP headers sent with every request */
+  headers?: Record<string, string>;
+  
+  /** Storage state file to start the browser context with, replacing the auth state */
+  storageStatePath?: string;
+  
+  /** File the browser context's storage state is written to when the replay ends */
+  saveStorageStatePath?: string;
+}
+
+/**
+ * Playback state of a replay reported to clients
+ */
+export interface ReplayControlState {
+  /** Whether the replay is paused before a step */
+  paused: boolean;
+
+  /** Current speed multiplier */
+  speed: number;
+
+  /** Index of the step being executed, or null before the first step */
+  currentStep: number | null;
+
+  /** Number of executable steps in the script */
+  totalSteps: number;
+}
+
+// Runners that have not finished yet, by run ID
+const activeRunners = new Map<string, ReplayRunner>();
+
+/**
+ * Whether a step gets a hook, and so a result, of its own
+ */
+export function isHookable(step: SessionStep): boolean {
+  return !NON_HOOKABLE_PATTERN.test(step.source);
+}
+
+/**
+ * Short description of a step for the replay logs
+ */
+export function describeStep(step: SessionStep): string {
+  switch (step.action) {
+    case 'raw': {
+      const firstLine = step.source.split('\n')[0];
+      return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+    }
+    case 'goto':
+      return `goto ${step.value}`;
+    case 'expect':
+      return `expect ${step.locator || step.page} ${step.assertion}`;
+    default:
+      return `${step.action} ${step.locator}${step.value !== undefined ? ` ${JSON.stringify(step.value)}` : ''}`;
+  }
+}
+
+/**
+ * Point a goto step whose URL is absolute at a base URL, keeping its path, query and hash
+ * The URL is read after variables are substituted, so `{{baseUrl}}/login` is retargeted too.
+ * The path of the base URL (e.g. `/app` of `https://host/app`) goes before paths that do not
+ * start with it yet. The URL is rewritten as text, so nothing in it is percent-encoded.
+ * @param step Step with its variables substituted in its source
+ */
+export function retargetStep(step: SessionStep, baseUrl: string): SessionStep {
+  if (step.action !== 'goto') {
+    return step;
+  }
+
+  const target = parseStep(step.source)?.value?.match(ABSOLUTE_URL_PATTERN);
+  const base = baseUrl.match(ABSOLUTE_URL_PATTERN);
+  if (!target || !base) {
+    return step;
+  }
+
+  const prefix = base[2].replace(/[?#].*$/, '').replace(/\/+$/, '');
+  const rest = target[2].startsWith('/') ? target[2] : `/${target[2]}`;
+  const pathname = rest.replace(/[?#].*$/, '');
+  const hasPrefix = pathname === prefix || pathname.startsWith(`${prefix}/`);
+  const value = `${base[1]}${hasPrefix ? '' : prefix}${rest}`;
+  return { ...step, value, source: renderStep({ ...step, value }) };
+}
+
+/**
+ * Check that a replay runs all of a script's code
+ * Replays compile the body of the first test alone, so code outside the tests is rejected
+ * rather than left out.
+ * @returns Error message listing the code outside the tests, or null when there is none
+ */
+export function findUnreplayableCode(source: string): string | null {
+  const statements = findCodeOutsideTests(source);
+  if (statements.length === 0) {
+    return null;
+  }
+  return `Replays run the body of the first test only, so code outside the tests would be left out; move it into the test: ${statements.join('; ')}`;
+}
+
+/**
+ * Compile the steps of a script into a function calling `replay.beforeStep` before each step
+ */
+export function compileSteps(steps: SessionStep[]): ReplayBody {
+  const body = steps
+    .map(step => isHookable(step) ? `await __replay.beforeStep(${step.index});\n${step.source}` : step.source)
+    .join('\n');
+
+  const { outputText, diagnostics } = ts.transpileModule(
+    `async function __replayBody(page, context, browser, expect, __replay) {\n${body}\n}`,
+    { compilerOptions: { target: ts.ScriptTarget.ES2022 }, reportDiagnostics: true }
+  );
+
+  if (diagnostics && diagnostics.length > 0) {
+    throw new Error(`Script could not be compiled: ${ts.flattenDiagnosticMessageText(diagnostics[0].messageText, '\n')}`);
+  }
+
+  return new Function(`${outputText}\nreturn __replayBody;`)() as ReplayBody;
+}
+
+/**
+ * Replay of a session script driven step by step
+ * Emits 'exit' with 0 when all steps pass, 1 when a step fails and null when stopped.
+ */
+export class ReplayRunner extends EventEmitter {
+  public readonly processId = uuidv4();
+  private readonly processManager = ProcessManager.getInstance();
+  private steps: SessionStep[] = [];
+  private results: StepResult[] = [];
+  private speed: number;
+  private readonly options: ReplayOptions;
+  private readonly recordingOptions: RecordingOptions;
+  private readonly variables: Record<string, string>;
+  private readonly baseUrl?: string;
+  private readonly headers?: Record<string, string>;
+  private readonly storageStatePath?: string;
+  private readonly saveStorageStatePath?: string;
+  private paused = false;
+  private stepBudget = 0;
+  private currentStep: number | null = null;
+  private stepStartedAt = 0;
+  private stopped = false;
+  private finished = false;
+  private browser: Browser | null = null;
+  private runId: string | null = null;
+  private artifacts: string[] = [];
+  private wake: (() => void) | null = null;
+  private delayTimer: NodeJS.Timeout | null = null;
+
+  constructor(private readonly scriptPath: string, options: ReplayRunnerOptions = {}) {
+    super();
+    const {
+      speed, recordingOptions, variables, baseUrl, headers, storageStatePath, saveStorageStatePath, ...browserOptions
+    } = options;
+    this.speed = speed ?? 1;
+    this.options = browserOptions;
+    this.recordingOptions = recordingOptions || {};
+    this.variables = variables || {};
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.storageStatePath = storageStatePath;
+    this.saveStorageStatePath = saveStorageStatePath;
+  }
+
+  /**
+   * Start replaying the script
+   * @param runId ID of the run record, used to look the runner up for commands
+   */
+  public start(runId: string): void {
+    this.runId = runId;
+    activeRunners.set(runId, this);
+
+    this.run()
+      .catch((error: Error) => {
+        console.error(`Error replaying ${this.scriptPath}:`, error);
+        return 1;
+      })
+      .then(code => {
+        this.finished = true;
+        activeRunners.delete(runId);
+        this.emit('exit', this.stopped ? null : code);
+      });
+  }
+
+  /**
+   * Pause before the next step
+   */
+  public pause(): void {
+    if (!this.paused) {
+      this.paused = true;
+      this.stepBudget = 0;
+      this.log('Replay paused');
+    }
+  }
+
+  /**
+   * Continue a paused replay
+   */
+  public resume(): void {
+    if (this.paused) {
+      this.paused = false;
+      this.stepBudget = 0;
+      this.log('Replay resumed');
+      this.release();
+    }
+  }
+
+  /**
+   * Execute the next step of a paused replay and pause again
+   * A running replay is paused before its next step instead.
+   */
+  public step(): void {
+    if (!this.paused) {
+      this.pause();
+      return;
+    }
+    this.stepBudget = 1;
+    this.release();
+  }
+
+  /**
+   * Change the delay between steps
+   * @param speed Speed multiplier between MIN_REPLAY_SPEED and MAX_REPLAY_SPEED
+   */
+  public setSpeed(speed: number): void {
+    this.speed = speed;
+    this.log(`Replay speed set to ${speed}x`);
+  }
+
+  /**
+   * Stop the replay and close the browser
+   * A replay that has not been started yet exits without running.
+   * @returns Whether the replay was still running
+   */
+  public kill(): boolean {
+    if (this.stopped || this.finished) {
+      return false;
+    }
+
+    this.stopped = true;
+    if (!this.runId) {
+      this.finished = true;
+      // Exit once the caller has recorded the stop, as a started replay would
+      setImmediate(() => this.emit('exit', null));
+      return true;
+    }
+
+    this.release();
+    this.browser?.close().catch(() => undefined);
+    return true;
+  }
+
+  /**
+   * Get the playback state of the replay
+   */
+  public getControlState(): ReplayControlState {
+    return {
+      paused: this.paused,
+      speed: this.speed,
+      currentStep: this.currentStep,
+      totalSteps: this.results.length
+    };
+  }
+
+  /**
+   * Get the results of the executable steps so far
+   */
+  public getStepResults(): StepResult[] {
+    return this.results;
+  }
+
+  /**
+   * Get the file names of the artifacts kept for the run
+   */
+  public getArtifacts(): string[] {
+    return this.artifacts;
+  }
+
+  /**
+   * Execute the script
+   * @returns Exit code: 0 when all steps passed, 1 otherwise
+   */
+  private async run(): Promise<number> {
+    const mode = this.options.artifacts || 'on-failure';
+    const artifactsDir = mode !== 'never' && this.runId ? getArtifactsDir(this.runId) : null;
+    let context: BrowserContext | null = null;
+    let page: Page | null = null;
+    let passed = false;
+
+    try {
+      const script = parseScript(await fs.readFile(this.scriptPath, 'utf-8'));
+      // Variables are substituted first, so URLs that only become absolute with their values are retargeted too
+      const baseUrl = this.baseUrl;
+      this.steps = script.steps
+        .map(step => ({ ...step, source: substituteVariables(step.source, this.variables) }))
+        .map(step => baseUrl ? retargetStep(step, baseUrl) : step);
+      this.results = script.steps.filter(isHookable).map(step => ({
+        index: step.index,
+        action: step.action,
+        line: step.line,
+        source: step.source,
+        status: 'skipped'
+      }));
+
+      const body = compileSteps(this.steps);
+      this.log(`Running ${script.testName ? `test "${script.testName}"` : 'script'} with ${this.results.length} steps`);
+
+      // Emulate what the session was recorded with; a device picks its own browser, as in codegen
+      const { headless = false, channel, viewport, authState } = this.options;
+      const browser = this.options.browser || getDeviceBrowser(this.recordingOptions) || 'chromium';
+      const contextOptions = {
+        ...toContextOptions(this.recordingOptions),
+        ...(viewport && { viewport }),
+        ...(authState && { storageState: getAuthStatePath(authState) }),
+        ...(this.storageStatePath && { storageState: this.storageStatePath }),
+        ...(this.headers && { extraHTTPHeaders: this.headers }),
+        ...(artifactsDir && { recordVideo: { dir: path.join(artifactsDir, '.video') } })
+      };
+      const emulation = [this.recordingOptions.device, contextOptions.viewport && `${contextOptions.viewport.width}x${contextOptions.viewport.height}`]
+        .filter(Boolean)
+        .join(', ');
+      this.log(`Launching ${channel || browser}${headless ? ' (headless)' : ''}${emulation ? ` as ${emulation}` : ''}`);
+      if (this.storageStatePath) {
+        this.log('Loading storage state from the previous session');
+      } else if (authState) {
+        this.log(`Loading auth state "${authState}"`);
+      }
+      if (baseUrl) {
+        this.log(`Navigating against ${baseUrl}`);
+      }
+      this.browser = await BROWSER_TYPES[browser].launch({ headless, channel });
+      context = await this.browser.newContext(contextOptions);
+      context.setDefaultTimeout(ACTION_TIMEOUT);
+      if (artifactsDir) {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+      }
+      page = await context.newPage();
+
+      await body(page, context, this.browser, createExpect(), {
+        beforeStep: index => this.beforeStep(index)
+      });
+      this.completeStep();
+
+      this.log(`Replay finished: ${this.results.length} steps passed`, 'success');
+      passed = true;
+      return 0;
+    } catch (error) {
+      if (this.stopped) {
+        return 1;
+      }
+
+      const message = error instanceof Error ? error.message : String(error);
+      const result = this.results.find(item => item.index === this.currentStep);
+      if (result) {
+        result.status = 'failed';
+        result.durationMs = Date.now() - this.stepStartedAt;
+        result.error = message;
+        this.log(`Step ${this.results.indexOf(result) + 1} failed (line ${result.line}): ${message}`, 'error');
+      } else {
+        this.log(`Replay failed: ${message}`, 'error');
+      }
+      return 1;
+    } finally {
+      if (context && this.saveStorageStatePath && !this.stopped) {
+        await context.storageState({ path: this.saveStorageStatePath })
+          .catch(() => this.log('Could not save the storage state', 'error'));
+      }
+      if (artifactsDir) {
+        await this.saveArtifacts(artifactsDir, context, page, mode === 'always' || !passed);
+      }
+      await this.browser?.close().catch(() => undefined);
+      this.browser = null;
+    }
+  }
+
+  /**
+   * Stop tracing and video recording, keeping the trace, video and a screenshot when asked to
+   * Nothing is kept for stopped replays, whose browser is already closing.
+   */
+  private async saveArtifacts(dir: string, context: BrowserContext | null, page: Page | null, keep: boolean): Promise<void> {
+    const videoDir = path.join(dir, '.video');
+    keep = keep && !this.stopped && context !== null;
+
+    try {
+      if (keep && page) {
+        // A crashed or closed page cannot be captured, but the trace and video still can
+        await page.screenshot({ path: path.join(dir, SCREENSHOT_FILE), fullPage: true })
+          .then(() => this.artifacts.push(SCREENSHOT_FILE))
+          .catch(() => this.log('Could not take a screenshot of the page', 'error'));
+      }
+      if (keep && context) {
+        await context.tracing.stop({ path: path.join(dir, TRACE_FILE) });
+        this.artifacts.push(TRACE_FILE);
+
+        // The video is only complete once its page has closed
+        const video = page?.video();
+        await context.close();
+        if (video) {
+          await video.saveAs(path.join(dir, VIDEO_FILE));
+          this.artifacts.push(VIDEO_FILE);
+        }
+      }
+      if (this.artifacts.length > 0) {
+        this.log(`Saved artifacts: ${this.artifacts.join(', ')}`);
+      }
+    } catch (error) {
+      this.log(`Could not save replay artifacts: ${error instanceof Error ? error.message : String(error)}`, 'error');
+    } finally {
+      // Remove the unfinished video, and the whole directory when nothing was kept
+      await fs.rm(this.artifacts.length > 0 ? videoDir : dir, { recursive: true, force: true }).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Hook run before each step: completes the previous step, then waits for the
+   * step delay and for the replay to be resumed
+   */
+  private async beforeStep(index: number): Promise<void> {
+    const started = this.currentStep !== null;
+    this.completeStep();
+
+    if (started) {
+      await this.delay(BASE_STEP_DELAY / this.speed);
+    }
+    await this.waitWhilePaused(index);
+
+    if (this.stopped) {
+      throw new Error('Replay stopped');
+    }
+
+    const position = this.results.findIndex(item => item.index === index);
+    this.currentStep = index;
+    this.stepStartedAt = Date.now();
+    this.log(`Step ${position + 1}/${this.results.length}: ${describeStep(this.steps[index])}`);
+  }
+
+  /**
+   * Mark the step being executed as passed
+   */
+  private completeStep(): void {
+    const result = this.results.find(item => item.index === this.currentStep);
+    if (result && result.status === 'skipped') {
+      result.status = 'passed';
+      result.durationMs = Date.now() - this.stepStartedAt;
+    }
+  }
+
+  /**
+   * Block while the replay is paused, letting a single step through after a step command
+   */
+  private async waitWhilePaused(index: number): Promise<void> {
+    if (this.paused && this.stepBudget === 0 && !this.stopped) {
+      this.log(`Paused before step ${this.results.findIndex(item => item.index === index) + 1}`);
+    }
+
+    while (this.paused && this.stepBudget === 0 && !this.stopped) {
+      await new Promise<void>(resolve => {
+        this.wake = resolve;
+      });
+    }
+
+    if (this.paused && this.stepBudget > 0) {
+      this.stepBudget--;
+    }
+  }
+
+  /**
+   * Wait between steps, returning early when the replay is stopped
+   */
+  private delay(ms: number): Promise<void> {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.delayTimer = setTimeout(() => this.release(), ms);
+    });
+  }
+
+  /**
+   * Wake up a paused or delayed step
+   */
+  private release(): void {
+    if (this.delayTimer) {
+      clearTimeout(this.delayTimer);
+      this.delayTimer = null;
+    }
+
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+
+  private log(message: string, type: 'info' | 'error' | 'success' = 'info'): void {
+    this.processManager.addLog(this.processId, message, type);
+  }
+}
+
+/**
+ * Check that a value is an accepted speed multiplier
+ */
+export const isValidReplaySpeed = (speed: unknown): speed is number =>
+  typeof speed === 'number' && speed >= MIN_REPLAY_SPEED && speed <= MAX_REPLAY_SPEED;
+
+/**
+ * Validate browser settings received from a client
+ * @returns An error message, or null when the settings are valid
+ */
+export const validateReplayOptions = (options: Record<string, unknown>): string | null => {
+  const { headless, browser, channel, viewport, authState, environment, artifacts } = options;
+
+  if (headless !== undefined && typeof headless !== 'boolean') {
+    return 'headless must be a boolean';
+  }
+  if (browser !== undefined && !REPLAY_BROWSERS.includes(browser as ReplayBrowser)) {
+    return `browser must be one of: ${REPLAY_BROWSERS.join(', ')}`;
+  }
+  if (channel !== undefined && (typeof channel !== 'string' || !channel.trim())) {
+    return 'channel must be a non-empty string';
+  }
+  if (channel !== undefined && browser !== undefined && browser !== 'chromium') {
+    return 'channel is only supported for the chromium browser';
+  }
+  if (viewport !== undefined && !isValidViewport(viewport)) {
+    return 'viewport must be an object with positive integer width and height';
+  }
+  if (authState !== undefined && !isValidAuthStateName(authState)) {
+    return 'authState must be the name of a saved auth state';
+  }
+  if (environment !== undefined && !isValidEnvironmentName(environment)) {
+    return 'environment must be the name of an environment profile';
+  }
+  if (artifacts !== undefined && !ARTIFACT_MODES.includes(artifacts as ArtifactMode)) {
+    return `artifacts must be one of: ${ARTIFACT_MODES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Check that a value is a viewport size
+ */
+export const isValidViewport = (viewport: unknown): viewport is Viewport => {
+  const { width, height } = (viewport || {}) as Record<string, unknown>;
+  return Number.isInteger(width) && Number.isInteger(height) && (width as number) > 0 && (height as number) > 0;
+};
+
+/**
+ * Get the runner of a replay that is still in progress
+ * @param runId ID of the run
+ */
+export const getActiveRunner = (runId: string): ReplayRunner | undefined => activeRunners.get(runId);
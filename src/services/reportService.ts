@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getRun, getArtifactsDir } from './runService';
+import { ReplayRun, StepResult } from '../types/run';
+
+export type ReportFormat = 'html' | 'junit';
+
+export const REPORT_FORMATS: ReportFormat[] = ['html', 'junit'];
+
+/**
+ * Report rendered for a run, ready to be sent as a download
+ */
+export interface RunReport {
+  /** Rendered report */
+  content: string;
+
+  /** MIME type of the report */
+  contentType: string;
+
+  /** Suggested file name for the download */
+  fileName: string;
+}
+
+/**
+ * Escape text for use in HTML or XML content and attribute values
+ */
+function escapeMarkup(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ANSI color codes in Playwright errors, which start with the escape character
+const ANSI_COLOR_PATTERN = new RegExp(`${String.fromCharCode(0x1b)}\\[[0-9;]*m`, 'g');
+
+// Characters XML 1.0 does not allow: control characters other than tab, line feed and
+// carriage return, lone surrogates, U+FFFE and U+FFFF
+const INVALID_XML_PATTERN = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Remove characters XML 1.0 does not allow, such as the ANSI escapes in Playwright errors
+ */
+function stripInvalidXml(text: string): string {
+  return text.replace(ANSI_COLOR_PATTERN, '').replace(INVALID_XML_PATTERN, '');
+}
+
+/**
+ * Escape text for use in XML content and attribute values, removing the characters XML does not allow
+ */
+function escapeXml(text: string): string {
+  return escapeMarkup(stripInvalidXml(text));
+}
+
+/**
+ * Name a step by its position and first source line
+ */
+function stepTitle(step: StepResult, position: number): string {
+  const source = (step.source || step.action).split('\n')[0].trim();
+  return `Step ${position + 1}: ${source}`;
+}
+
+function formatDuration(ms?: number): string {
+  return ms === undefined ? '-' : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Render a self-contained HTML report; the screenshot is embedded as a data URI
+ */
+function renderHtml(run: ReplayRun, screenshot: Buffer | null): string {
+  const steps = run.steps || [];
+  const failed = steps.find(step => step.status === 'failed');
+  const counts = ['passed', 'failed', 'skipped'].map(status =>
+    `${steps.filter(step => step.status === status).length} ${status}`).join(', ');
+  const options = run.replayOptions || {};
+  const settings = [
+    options.browser || 'chromium',
+    options.channel,
+    options.headless ? 'headless' : undefined,
+    options.viewport && `${options.viewport.width}x${options.viewport.height}`,
+    options.environment && `environment ${options.environment}`
+  ].filter(Boolean).join(', ');
+
+  const stepRows = steps.map((step, position) => `
+      <tr class="${step.status}">
+        <td>${position + 1}</td>
+        <td>${escapeMarkup(step.action)}</td>
+        <td><code>${escapeMarkup(step.source || '')}</code></td>
+        <td>${step.line}</td>
+        <td class="status">${step.status}</td>
+        <td>${formatDuration(step.durationMs)}</td>
+      </tr>`).join('');
+
+  const failure = failed ? `
+  <section class="failure">
+    <h2>Failure</h2>
+    <p>${escapeMarkup(stepTitle(failed, steps.indexOf(failed)))} (line ${failed.line})</p>
+    <pre class="source">${escapeMarkup(failed.source || '')}</pre>
+    <pre class="error">${escapeMarkup(stripInvalidXml(failed.error || 'Unknown error'))}</pre>
+  </section>` : '';
+
+  const image = screenshot ? `
+  <section>
+    <h2>Screenshot</h2>
+    <img src="data:image/png;base64,${screenshot.toString('base64')}" alt="Page at the end of the replay">
+  </section>` : '';
+
+  const logRows = run.logs.map(entry => `
+      <li class="${entry.type}"><span class="time">${escapeMarkup(entry.timestamp)}</span> ${escapeMarkup(stripInvalidXml(entry.message))}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Replay report: ${escapeMarkup(run.sessionName)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #333; }
+    h1 { margin-bottom: 4px; }
+    .badge { display: inline-block; padding: 2px 10px; border-radius: 10px; color: #fff; background: #777; text-transform: uppercase; font-size: 12px; }
+    .badge.passed { background: #2e7d32; } .badge.failed, .badge.error { background: #c62828; }
+    .meta { color: #666; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+    tr.passed .status { color: #2e7d32; } tr.failed { background: #fdecea; } tr.failed .status { color: #c62828; font-weight: 600; }
+    tr.skipped { color: #999; }
+    code, pre { font-family: SFMono-Regular, Consolas, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-word; }
+    pre { background: #f6f8fa; padding: 10px; border-radius: 4px; }
+    pre.error { background: #fdecea; color: #c62828; }
+    img { max-width: 100%; border: 1px solid #ddd; }
+    ul.logs { list-style: none; padding: 0; font-family: SFMono-Regular, Consolas, monospace; font-size: 12px; }
+    ul.logs li.error { color: #c62828; } ul.logs li.success { color: #2e7d32; } .time { color: #999; }
+  </style>
+</head>
+<body>
+  <h1>${escapeMarkup(run.sessionName)} <span class="badge ${run.status}">${run.status}</span></h1>
+  <p class="meta">
+    Run ${escapeMarkup(run.id)} &middot; started ${escapeMarkup(run.startedAt)} &middot; duration ${formatDuration(run.durationMs)}
+    &middot; ${escapeMarkup(settings)} &middot; ${counts}
+  </p>
+  ${failure}
+  <section>
+    <h2>Steps</h2>
+    <table>
+      <thead><tr><th>#</th><th>Action</th><th>Source</th><th>Line</th><th>Status</th><th>Duration</th></tr></thead>
+      <tbody>${stepRows}
+      </tbody>
+    </table>
+  </section>
+  ${image}
+  <section>
+    <h2>Logs</h2>
+    <ul class="logs">${logRows}
+    </ul>
+  </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a JUnit XML report with one test case per step
+ */
+function renderJUnit(run: ReplayRun): string {
+  const steps = run.steps || [];
+  const suite = escapeXml(run.sessionName);
+  const failures = steps.filter(step => step.status === 'failed').length;
+  const skipped = steps.filter(step => step.status === 'skipped').length;
+
+  // A run that ended without a failing step (e.g. the browser did not launch) is reported as an error
+  const errored = failures === 0 && (run.status === 'failed' || run.status === 'error');
+  const lastError = [...run.logs].reverse().find(entry => entry.type === 'error');
+
+  const cases = steps.map((step, position) => {
+    const attributes = `classname="${suite}" name="${escapeXml(stepTitle(step, position))}" time="${((step.durationMs || 0) / 1000).toFixed(3)}"`;
+
+    if (step.status === 'failed') {
+      const error = step.error || 'Unknown error';
+      return `    <testcase ${attributes}>
+      <failure message="${escapeXml(error.split('\n')[0])}">${escapeXml(`${error}\n\nat line ${step.line}${step.source ? `: ${step.source}` : ''}`)}</failure>
+    </testcase>`;
+    }
+    if (step.status === 'skipped') {
+      return `    <testcase ${attributes}>
+      <skipped/>
+    </testcase>`;
+    }
+    return `    <testcase ${attributes}/>`;
+  });
+
+  if (errored) {
+    cases.push(`    <testcase classname="${suite}" name="Replay" time="0">
+      <error message="${escapeXml(lastError?.message || `Replay ${run.status}`)}"/>
+    </testcase>`);
+  }
+
+  const systemOut = run.logs.map(entry => `[${entry.timestamp}] ${entry.message}`).join('\n');
+  const time = ((run.durationMs || 0) / 1000).toFixed(3);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${suite}" tests="${cases.length}" failures="${failures}" errors="${errored ? 1 : 0}" skipped="${skipped}" time="${time}">
+  <testsuite name="${suite}" id="${escapeXml(run.id)}" tests="${cases.length}" failures="${failures}" errors="${errored ? 1 : 0}" skipped="${skipped}" time="${time}" timestamp="${escapeXml(run.startedAt)}">
+${cases.join('\n')}
+    <system-out>${escapeXml(systemOut)}</system-out>
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Render the report of a run
+ * @returns The report, or null if the run does not exist
+ */
+export const generateRunReport = async (runId: string, format: ReportFormat): Promise<RunReport | null> => {
+  const run = await getRun(runId);
+  if (!run) {
+    return null;
+  }
+
+  if (format === 'junit') {
+    return {
+      content: renderJUnit(run),
+      contentType: 'application/xml',
+      fileName: `run-${run.id}.xml`
+    };
+  }
+
+  const screenshotName = run.artifacts.find(name => name.endsWith('.png'));
+  const screenshot = screenshotName
+    ? await fs.readFile(path.join(getArtifactsDir(run.id), screenshotName)).catch(() => null)
+    : null;
+
+  return {
+    content: renderHtml(run, screenshot),
+    contentType: 'text/html',
+    fileName: `run-${run.id}.html`
+  };
+};
@@ -0,0 +1,249 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Session, ReplayOptions } from '../types/session';
+import { ReplayRun, RunStatus, StepResult } from '../types/run';
+import { LogEntry } from '../utils/processManager';
+import { getCurrentScriptVersion } from './versionService';
+
+// Path constants
+const RUNS_DIR = path.join(process.cwd(), 'runs');
+
+// Notifies waiters when a run record has been finalized
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+/**
+ * Ensure the runs directory exists
+ */
+async function ensureRunsDirExists(): Promise<void> {
+  await fs.mkdir(RUNS_DIR, { recursive: true });
+}
+
+/**
+ * Get the directory holding the artifacts (trace, video, screenshot) of a run
+ */
+export const getArtifactsDir = (runId: string): string => path.join(RUNS_DIR, path.basename(runId));
+
+/**
+ * Persist a run record to disk
+ */
+async function writeRun(run: ReplayRun): Promise<void> {
+  await ensureRunsDirExists();
+  await fs.writeFile(
+    path.join(RUNS_DIR, `${run.id}.json`),
+    JSON.stringify(run, null, 2)
+  );
+}
+
+/**
+ * Create a run record for a replay that is starting
+ */
+export const createRun = async (
+  session: Session,
+  processId?: string,
+  replayOptions?: ReplayOptions,
+  variables?: Record<string, string>
+): Promise<ReplayRun> => {
+  const run: ReplayRun = {
+    id: uuidv4(),
+    sessionId: session.id,
+    sessionName: session.name,
+    processId,
+    replayOptions,
+    variables,
+    scriptVersion: (await getCurrentScriptVersion(session))?.version,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    logs: [],
+    artifacts: []
+  };
+  
+  await writeRun(run);
+  return run;
+};
+
+/**
+ * Finalize a run record once its replay has finished
+ */
+export const finishRun = async (
+  runId: string,
+  result: {
+    status: RunStatus;
+    exitCode?: number | null;
+    logs?: LogEntry[];
+    steps?: StepResult[];
+    artifacts?: string[];
+  }
+): Promise<ReplayRun | null> => {
+  try {
+    const run = await getRun(runId);
+    if (!run) {
+      console.error(`Run ${runId} not found`);
+      return null;
+    }
+    
+    const endedAt = new Date();
+    run.status = result.status;
+    run.exitCode = result.exitCode;
+    run.endedAt = endedAt.toISOString();
+    run.durationMs = endedAt.getTime() - new Date(run.startedAt).getTime();
+    
+    if (result.logs) {
+      run.logs = result.logs;
+    }
+    if (result.steps) {
+      run.steps = result.steps;
+    }
+    if (result.artifacts) {
+      run.artifacts = result.artifacts;
+    }
+    
+    await writeRun(run);
+    runEvents.emit('finished', run);
+    return run;
+  } catch (error) {
+    console.error(`Error finishing run ${runId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Save a finished run recorded elsewhere, such as one from an imported bundle, under a new ID
+ * @param run Run record; its ID is replaced
+ * @param artifacts Artifact files of the run
+ */
+export const importRun = async (
+  run: ReplayRun,
+  artifacts: { name: string; data: Buffer }[]
+): Promise<ReplayRun> => {
+  const imported: ReplayRun = {
+    ...run,
+    id: uuidv4(),
+    processId: undefined,
+    artifacts: artifacts.map(file => file.name)
+  };
+  
+  if (artifacts.length > 0) {
+    const dir = getArtifactsDir(imported.id);
+    await fs.mkdir(dir, { recursive: true });
+    await Promise.all(artifacts.map(file => fs.writeFile(path.join(dir, file.name), file.data)));
+  }
+  
+  await writeRun(imported);
+  return imported;
+};
+
+/**
+ * Get a specific run by ID
+ */
+export const getRun = async (runId: string): Promise<ReplayRun | null> => {
+  try {
+    const id = path.basename(runId);
+    const data = await fs.readFile(path.join(RUNS_DIR, `${id}.json`), 'utf-8');
+    const run = JSON.parse(data) as ReplayRun;
+    
+    // Anything but the record of this run is treated as missing
+    if (!run || typeof run !== 'object' || run.id !== id || typeof run.sessionId !== 'string') {
+      return null;
+    }
+    // Runs recorded before artifacts were captured have none
+    return { ...run, logs: Array.isArray(run.logs) ? run.logs : [], artifacts: Array.isArray(run.artifacts) ? run.artifacts : [] };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Wait until a run has finished
+ * @param runId Run to wait for
+ * @returns The finished run, or null if the run does not exist
+ */
+export const waitForRun = (runId: string): Promise<ReplayRun | null> =>
+  new Promise(resolve => {
+    const onFinished = (run: ReplayRun) => {
+      if (run.id === runId) {
+        runEvents.off('finished', onFinished);
+        resolve(run);
+      }
+    };
+    runEvents.on('finished', onFinished);
+    
+    // The run may already have finished before we started listening
+    getRun(runId).then(run => {
+      if (!run || run.status !== 'running') {
+        runEvents.off('finished', onFinished);
+        resolve(run);
+      }
+    });
+  });
+
+/**
+ * Get the runs of a session, newest first
+ * @param sessionId Session to get runs for
+ * @param status Optional status to filter by
+ * @param limit Optional maximum number of runs to return
+ */
+export const getRunsForSession = async (
+  sessionId: string,
+  status?: RunStatus,
+  limit?: number
+): Promise<ReplayRun[]> => {
+  try {
+    await ensureRunsDirExists();
+    const files = await fs.readdir(RUNS_DIR);
+    
+    // Runs of other sessions are dropped as soon as they are read, and a file that
+    // cannot be read or parsed is skipped rather than hiding the whole history
+    const runs = (await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async (file) => {
+          try {
+            const data = await fs.readFile(path.join(RUNS_DIR, file), 'utf-8');
+            const run = JSON.parse(data) as ReplayRun;
+            return run?.sessionId === sessionId && (!status || run.status === status) ? run : null;
+          } catch (error) {
+            console.error(`Error reading run ${file}:`, error);
+            return null;
+          }
+        })
+    )).filter((run): run is ReplayRun => run !== null);
+    
+    const sessionRuns = runs
+      .sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime());
+    
+    return limit ? sessionRuns.slice(0, limit) : sessionRuns;
+  } catch (error) {
+    console.error(`Error getting runs for session ${sessionId}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Close out the runs left running when the server stopped
+ * Replays run inside the server process, so none of them can still be running at startup.
+ * @returns The number of runs marked as errored
+ */
+export const closeInterruptedRuns = async (): Promise<number> => {
+  await ensureRunsDirExists();
+  const files = (await fs.readdir(RUNS_DIR)).filter(file => file.endsWith('.json'));
+  
+  let closed = 0;
+  for (const file of files) {
+    const run = await getRun(path.basename(file, '.json'));
+    if (run?.status !== 'running') {
+      continue;
+    }
+    
+    const endedAt = new Date();
+    run.status = 'error';
+    run.endedAt = endedAt.toISOString();
+    run.durationMs = endedAt.getTime() - new Date(run.startedAt).getTime();
+    run.logs.push({ timestamp: run.endedAt, message: 'Replay interrupted: the server stopped while it was running', type: 'error' });
+    await writeRun(run);
+    closed++;
+  }
+  return closed;
+};
@@ -0,0 +1,390 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getSession, executeSession } from './sessionService';
+import { waitForRun } from './runService';
+import { getSuite, startSuiteRun, stopSuiteRun, waitForSuiteRun } from './suiteService';
+import { getEnvironment } from './environmentService';
+import { ProcessManager } from '../utils/processManager';
+import { parseCron, getNextCronTime, isValidTimeZone } from '../utils/cron';
+import { Schedule, ScheduleInput, ScheduleResult, ScheduleSummary } from '../types/schedule';
+
+// Path constants
+const SCHEDULES_DIR = path.join(process.cwd(), 'schedules');
+
+// Number of firings kept in the history of a schedule
+const MAX_SCHEDULE_HISTORY = 50;
+
+// setTimeout cannot wait longer than this; later firings are re-armed when it elapses
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Longest a firing waits for its replay, so a replay that never reports back cannot skip later firings forever
+const MAX_REPLAY_WAIT = 6 * 60 * 60 * 1000;
+
+// Timers of the armed schedules, by schedule ID
+const timers = new Map<string, NodeJS.Timeout>();
+
+// Schedules whose last firing is still replaying
+const running = new Set<string>();
+
+/**
+ * Time zone of the server, used when a schedule does not set one
+ */
+const getDefaultTimeZone = (): string => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Validate schedule fields received from a client
+ * The target is given as either `sessionId` or `suiteId`.
+ * @returns The normalized fields, or an error message when they are invalid
+ */
+export const validateSchedule = async (input: Record<string, unknown>): Promise<ScheduleInput | string> => {
+  const { name, sessionId, suiteId, cron, timezone = getDefaultTimeZone(), environment, enabled = true } = input;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+
+  if ((sessionId === undefined) === (suiteId === undefined)) {
+    return 'Either sessionId or suiteId is required';
+  }
+
+  const target = sessionId !== undefined
+    ? { type: 'session' as const, id: sessionId }
+    : { type: 'suite' as const, id: suiteId };
+  if (typeof target.id !== 'string' || !target.id) {
+    return `${target.type}Id must be a non-empty string`;
+  }
+  const exists = target.type === 'session' ? await getSession(target.id) : await getSuite(target.id);
+  if (!exists) {
+    return `${target.type === 'session' ? 'Session' : 'Suite'} not found: ${target.id}`;
+  }
+
+  if (typeof cron !== 'string') {
+    return 'cron is required';
+  }
+  const parsed = parseCron(cron);
+  if (typeof parsed === 'string') {
+    return parsed;
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    return `Invalid time zone: ${timezone}`;
+  }
+
+  if (environment !== undefined && (typeof environment !== 'string' || !(await getEnvironment(environment)))) {
+    return `Environment not found: ${environment}`;
+  }
+
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return {
+    ...(typeof name === 'string' && { name: name.trim() }),
+    target: { type: target.type, id: target.id },
+    cron: cron.trim(),
+    timezone,
+    ...(environment !== undefined && { environment: environment as string }),
+    enabled
+  };
+};
+
+/**
+ * Get the next time a schedule fires
+ * @returns The time, or null when the schedule is disabled or its expression never matches
+ */
+const getNextRunAt = (schedule: Schedule, after: Date = new Date()): Date | null => {
+  const parsed = parseCron(schedule.cron);
+  return schedule.enabled && typeof parsed !== 'string'
+    ? getNextCronTime(parsed, schedule.timezone, after)
+    : null;
+};
+
+/**
+ * Add the next fire time and last result to a schedule
+ */
+const toSummary = (schedule: Schedule): ScheduleSummary => ({
+  ...schedule,
+  nextRunAt: getNextRunAt(schedule)?.toISOString() ?? null,
+  lastResult: schedule.history[0] ?? null
+});
+
+/**
+ * Persist a schedule to disk
+ */
+async function writeSchedule(schedule: Schedule): Promise<void> {
+  await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(SCHEDULES_DIR, `${schedule.id}.json`),
+    JSON.stringify(schedule, null, 2)
+  );
+}
+
+/**
+ * Read a schedule from disk
+ */
+async function readSchedule(id: string): Promise<Schedule | null> {
+  try {
+    const data = await fs.readFile(path.join(SCHEDULES_DIR, `${path.basename(id)}.json`), 'utf-8');
+    return JSON.parse(data) as Schedule;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add or update a firing in the history of a schedule
+ */
+async function recordResult(id: string, result: ScheduleResult): Promise<void> {
+  const schedule = await readSchedule(id);
+  if (!schedule) {
+    return;
+  }
+
+  schedule.history = [
+    result,
+    ...schedule.history.filter(item => item.firedAt !== result.firedAt)
+  ].slice(0, MAX_SCHEDULE_HISTORY);
+  await writeSchedule(schedule);
+}
+
+/**
+ * Wait for a replay to finish, for at most MAX_REPLAY_WAIT
+ * @returns What the wait resolved with, or undefined when it timed out
+ */
+function waitAtMost<T>(finished: Promise<T>): Promise<T | undefined> {
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<undefined>(resolve => {
+    timer = setTimeout(() => resolve(undefined), MAX_REPLAY_WAIT);
+  });
+  return Promise.race([finished, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Replay the target of a schedule headlessly and record the outcome
+ */
+async function runScheduledReplay(schedule: Schedule, result: ScheduleResult): Promise<void> {
+  const options = {
+    headless: true,
+    ...(schedule.environment && { environment: schedule.environment })
+  };
+
+  if (schedule.target.type === 'suite') {
+    const suiteRun = await startSuiteRun(schedule.target.id, options);
+    if (!suiteRun) {
+      result.status = 'error';
+      result.error = `Suite with ID ${schedule.target.id} not found`;
+      return;
+    }
+
+    result.suiteRunId = suiteRun.id;
+    await recordResult(schedule.id, result);
+    const finished = await waitAtMost(waitForSuiteRun(suiteRun.id));
+    if (finished === undefined) {
+      result.status = 'error';
+      result.error = `Suite run did not finish within ${MAX_REPLAY_WAIT / 3600000} hours and was stopped`;
+      stopSuiteRun(suiteRun.id);
+      return;
+    }
+    result.status = finished && finished.status !== 'running' ? finished.status : 'error';
+    return;
+  }
+
+  const replay = await executeSession(schedule.target.id, options);
+  if (!replay.success || !replay.runId) {
+    result.status = 'error';
+    result.error = replay.message;
+    return;
+  }
+
+  result.runId = replay.runId;
+  await recordResult(schedule.id, result);
+  const run = await waitAtMost(waitForRun(replay.runId));
+  if (run === undefined) {
+    result.status = 'error';
+    result.error = `Replay did not finish within ${MAX_REPLAY_WAIT / 3600000} hours and was stopped`;
+    if (replay.processId) {
+      ProcessManager.getInstance().killProcess(replay.processId);
+    }
+    return;
+  }
+  result.status = run ? run.status : 'error';
+}
+
+/**
+ * Fire a schedule: arm its next firing, then replay its target
+ * @param scheduledAt Time the firing was due; timers may fire slightly early
+ */
+async function fireSchedule(id: string, scheduledAt: Date): Promise<void> {
+  timers.delete(id);
+  const schedule = await readSchedule(id);
+  if (!schedule || !schedule.enabled) {
+    return;
+  }
+  armSchedule(schedule, new Date(Math.max(Date.now(), scheduledAt.getTime())));
+
+  const result: ScheduleResult = { firedAt: new Date().toISOString(), status: 'running' };
+
+  // Firings do not overlap; a replay outlasting the interval skips the next firing
+  if (running.has(id)) {
+    result.status = 'skipped';
+    await recordResult(id, result);
+    return;
+  }
+
+  console.log(`Firing schedule ${id} (${schedule.target.type} ${schedule.target.id})`);
+  running.add(id);
+  try {
+    await recordResult(id, result);
+    await runScheduledReplay(schedule, result);
+  } catch (error) {
+    result.status = 'error';
+    result.error = error instanceof Error ? error.message : 'Unknown error';
+  } finally {
+    running.delete(id);
+  }
+  await recordResult(id, result);
+}
+
+/**
+ * Stop the timer of a schedule
+ */
+function disarmSchedule(id: string): void {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+}
+
+/**
+ * Start the timer for the next firing of a schedule, replacing any existing one
+ * @param after Time after which the next firing is looked for
+ */
+function armSchedule(schedule: Schedule, after: Date = new Date()): void {
+  disarmSchedule(schedule.id);
+
+  const nextRunAt = getNextRunAt(schedule, after);
+  if (!nextRunAt) {
+    return;
+  }
+
+  const delay = nextRunAt.getTime() - Date.now();
+  const timer = delay > MAX_TIMER_DELAY
+    ? setTimeout(() => armSchedule(schedule), MAX_TIMER_DELAY)
+    : setTimeout(() => {
+      fireSchedule(schedule.id, nextRunAt).catch((error: Error) => {
+        console.error(`Error firing schedule ${schedule.id}:`, error);
+      });
+    }, delay);
+
+  // Pending firings should not keep the process alive on their own
+  timer.unref();
+  timers.set(schedule.id, timer);
+}
+
+/**
+ * Get all schedules with their next fire time and last result, soonest first
+ */
+export const getSchedules = async (): Promise<ScheduleSummary[]> => {
+  try {
+    await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+    const files = await fs.readdir(SCHEDULES_DIR);
+
+    // A file that cannot be read or parsed is skipped rather than hiding every schedule
+    const schedules = (await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async (file) => {
+          try {
+            const data = await fs.readFile(path.join(SCHEDULES_DIR, file), 'utf-8');
+            return toSummary(JSON.parse(data) as Schedule);
+          } catch (error) {
+            console.error(`Error reading schedule ${file}:`, error);
+            return null;
+          }
+        })
+    )).filter((schedule): schedule is ScheduleSummary => schedule !== null);
+
+    // Schedules that will not fire go last
+    return schedules.sort((a, b) =>
+      (a.nextRunAt || '\uffff').localeCompare(b.nextRunAt || '\uffff')
+    );
+  } catch (error) {
+    console.error('Error getting schedules:', error);
+    return [];
+  }
+};
+
+/**
+ * Get a schedule by ID with its next fire time and last result
+ */
+export const getSchedule = async (id: string): Promise<ScheduleSummary | null> => {
+  const schedule = await readSchedule(id);
+  return schedule ? toSummary(schedule) : null;
+};
+
+/**
+ * Create a schedule and arm it
+ */
+export const createSchedule = async (input: ScheduleInput): Promise<ScheduleSummary> => {
+  const schedule: Schedule = {
+    id: uuidv4(),
+    ...input,
+    createdAt: new Date().toISOString(),
+    history: []
+  };
+
+  await writeSchedule(schedule);
+  armSchedule(schedule);
+  return toSummary(schedule);
+};
+
+/**
+ * Replace the fields of a schedule and re-arm it, keeping its history
+ * @returns The updated schedule, or null if it does not exist
+ */
+export const updateSchedule = async (id: string, input: ScheduleInput): Promise<ScheduleSummary | null> => {
+  const schedule = await readSchedule(id);
+  if (!schedule) {
+    return null;
+  }
+
+  const updated: Schedule = {
+    id: schedule.id,
+    ...input,
+    createdAt: schedule.createdAt,
+    updatedAt: new Date().toISOString(),
+    history: schedule.history
+  };
+
+  await writeSchedule(updated);
+  armSchedule(updated);
+  return toSummary(updated);
+};
+
+/**
+ * Delete a schedule and cancel its next firing
+ * A replay the schedule already started keeps running.
+ * @returns Whether a schedule was deleted
+ */
+export const deleteSchedule = async (id: string): Promise<boolean> => {
+  disarmSchedule(id);
+  try {
+    await fs.unlink(path.join(SCHEDULES_DIR, `${path.basename(id)}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Arm every enabled schedule saved on disk
+ * Called once when the server starts; firings missed while it was down are not caught up.
+ */
+export const startScheduler = async (): Promise<void> => {
+  const schedules = await getSchedules();
+  for (const schedule of schedules) {
+    armSchedule(schedule);
+  }
+
+  const armed = schedules.filter(schedule => schedule.nextRunAt).length;
+  console.log(`Scheduler started: ${armed} of ${schedules.length} schedule(s) armed`);
+};
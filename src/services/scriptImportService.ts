@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { insertSession } from './sessionService';
+import { getFreeScriptPath } from './bundleService';
+import { saveSessionScript } from './versionService';
+import { parseScript, findSyntaxError } from '../utils/scriptParser';
+import { findUnreplayableCode } from './replayRunner';
+import { Session } from '../types/session';
+
+// Path constants
+const SESSIONS_DIR = path.join(process.cwd(), 'sessions');
+
+// Upper bound on the size of an imported script
+export const MAX_SCRIPT_SIZE = 1024 * 1024;
+
+// Modules whose `test` and `expect` a replay provides itself
+const PLAYWRIGHT_MODULES = ['@playwright/test', 'playwright/test'];
+
+// Fixtures in scope of a replayed test body
+const REPLAY_FIXTURES = ['page', 'context', 'browser'];
+
+// Module specifiers of import declarations and require calls
+const IMPORT_PATTERN = /^\s*(?:import\s[^'"]*?from\s*|import\s*|.*\brequire\(\s*)(['"])([^'"]+)\1/gm;
+
+// Opening lines of tests, including test.only and friends but not test.describe
+const TEST_PATTERN = /^\s*test(?:\.(?:only|skip|fixme|fail|slow))?\(\s*['"`]/gm;
+
+/**
+ * Script uploaded to create a session from
+ */
+export interface ScriptImportInput {
+  /** Source of the script */
+  source: string;
+
+  /** Name of the uploaded file (default: `imported.spec.ts`) */
+  fileName?: string;
+
+  /** Name of the session (default: the test name, or the file name) */
+  name?: string;
+
+  /** URL of the session (default: the first `page.goto` of the script) */
+  url?: string;
+
+  /** Tags of the session */
+  tags?: string[];
+
+  /** Who imported the script, saved as the author of its first revision */
+  author?: string;
+}
+
+/**
+ * Session created from an imported script
+ */
+export interface ScriptImportResult {
+  /** The created session */
+  session: Session;
+
+  /** Parts of the script a replay runs differently than Playwright Test would */
+  warnings: string[];
+}
+
+/**
+ * Check that a URL is an absolute http(s) URL
+ */
+function isHttpUrl(value: string): boolean {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List what a replay of a script cannot do as Playwright Test would
+ * Replays run the body of the first test with page, context, browser and expect in scope.
+ */
+function findReplayWarnings(source: string, header: string[]): string[] {
+  const warnings: string[] = [];
+
+  const tests = source.match(TEST_PATTERN)?.length ?? 0;
+  if (tests > 1) {
+    warnings.push(`The script has ${tests} tests; only the first one is replayed.`);
+  }
+
+  const modules = [...new Set(Array.from(source.matchAll(IMPORT_PATTERN), match => match[2]))]
+    .filter(name => !PLAYWRIGHT_MODULES.includes(name));
+  if (modules.length > 0) {
+    warnings.push(`Replays do not load imported modules: ${modules.join(', ')}. Steps using them will fail.`);
+  }
+
+  const fixtures = (header[header.length - 1].match(/\(\s*\{([^}]*)\}/)?.[1] || '')
+    .split(',')
+    .map(fixture => fixture.trim().split(/\s*:/)[0])
+    .filter(fixture => fixture && !REPLAY_FIXTURES.includes(fixture));
+  if (fixtures.length > 0) {
+    warnings.push(`Replays only provide the page, context and browser fixtures; the test also uses ${fixtures.join(', ')}.`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Create a session from an existing Playwright script, copying it into the sessions directory
+ * The script must parse and contain a test with no code outside the tests; its first
+ * navigation gives the session URL.
+ * @returns The session with warnings about the replay, or an error message when the script cannot be imported
+ */
+export const importScript = async (input: ScriptImportInput): Promise<ScriptImportResult | string> => {
+  const { source } = input;
+  if (!source.trim()) {
+    return 'Script is empty';
+  }
+  if (Buffer.byteLength(source) > MAX_SCRIPT_SIZE) {
+    return `Script must not be larger than ${MAX_SCRIPT_SIZE / 1024} KB`;
+  }
+
+  const baseName = path.basename(input.fileName || 'imported.spec.ts')
+    .replace(/\.(?:[cm]?[jt]s|tsx|jsx)$/, '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[^\w]+/, '') || 'imported';
+  const fileName = `${baseName}.ts`;
+
+  const syntaxError = findSyntaxError(source, fileName);
+  if (syntaxError) {
+    return syntaxError;
+  }
+
+  const script = parseScript(source);
+  if (script.testName === undefined) {
+    return 'Script has no test, e.g. test(\'name\', async ({ page }) => { ... })';
+  }
+  if (script.steps.length === 0) {
+    return `Test "${script.testName}" has no steps`;
+  }
+  const unreplayable = findUnreplayableCode(source);
+  if (unreplayable) {
+    return unreplayable;
+  }
+
+  const warnings = findReplayWarnings(source, script.header);
+
+  const goto = script.steps.find(step => step.action === 'goto')?.value;
+  const url = input.url || goto;
+  if (!url) {
+    return 'Script has no page.goto() to take the session URL from; pass url';
+  }
+  if (!isHttpUrl(url)) {
+    return input.url
+      ? `Invalid URL: ${input.url}`
+      : `The first page.goto() of the script is relative (${goto}); pass url with the site it runs against`;
+  }
+
+  const relative = script.steps.find(step => step.action === 'goto' && step.value && !isHttpUrl(step.value));
+  if (relative) {
+    warnings.push(`Relative navigations such as ${relative.value} need a baseURL, which replays do not set. Make them absolute, or use {{variables}}.`);
+  }
+
+  const id = uuidv4();
+  await fs.mkdir(SESSIONS_DIR, { recursive: true });
+
+  const now = new Date().toISOString();
+  const session: Session = {
+    id,
+    name: input.name || (script.testName !== 'test' ? script.testName : baseName),
+    url,
+    scriptPath: await getFreeScriptPath(fileName, id),
+    createdAt: now,
+    updatedAt: now,
+    ...(input.tags?.length && { tags: input.tags })
+  };
+  await saveSessionScript(session, source, { author: input.author, note: `Imported from ${input.fileName || 'an uploaded script'}` });
+
+  return { session: await insertSession(session), warnings };
+};
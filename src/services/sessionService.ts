@@ -1,14 +1,25 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
+import { exec, ChildProcess } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
+import { ProcessManager } from '../utils/processManager';
+import { createRun, finishRun } from './runService';
+import { ReplayRunner, ReplayRunnerOptions, validateReplayOptions, findUnreplayableCode } from './replayRunner';
+import { authStateExists, getAuthStatePath } from './authStateService';
+import { getEnvironment } from './environmentService';
+import { enqueueReplay } from './jobService';
+import { deleteScriptVersions } from './versionService';
+import { findVariables } from '../utils/sessionVariables';
 import { 
   Session, 
   ReplayResult, 
   ConnectionEvent, 
   HistoricalMetrics, 
-  ConnectionAlert 
+  ConnectionAlert,
+  ReplayOptions,
+  RecordingOptions
 } from '../types/session';
+import { toCodegenArgs, quoteShellArg } from '../utils/recordingOptions';
 
 // Path constants
 const METADATA_DIR = path.join(process.cwd(), 'metadata');
@@ -85,7 +96,8 @@ export const saveSession = async (
   scriptPath: string, 
   name?: string,
   processId?: string,
-  tags?: string[]
+  tags?: string[],
+  recordingOptions?: RecordingOptions
 ): Promise<Session> => {
   try {
     await ensureDirectoriesExist();
@@ -107,6 +119,7 @@ export const saveSession = async (
       updatedAt: new Date().toISOString(),
       processId,
       tags,
+      recordingOptions,
       connectionMetrics: {
         disconnectionCount: 0,
         totalDisconnectionTime: 0,
@@ -135,6 +148,51 @@ export const saveSession = async (
   }
 };
 
+/**
+ * Save the metadata of a session that was not recorded here, such as an imported one
+ */
+export const insertSession = async (session: Session): Promise<Session> => {
+  await ensureDirectoriesExist();
+  await fs.writeFile(
+    path.join(METADATA_DIR, `${session.id}.json`),
+    JSON.stringify(session, null, 2)
+  );
+  return session;
+};
+
+/**
+ * Update fields of a session and bump its updatedAt timestamp
+ */
+export const updateSession = async (
+  id: string,
+  changes: Partial<Omit<Session, 'id' | 'createdAt'>>
+): Promise<Session | null> => {
+  try {
+    const session = await getSession(id);
+    if (!session) {
+      return null;
+    }
+    
+    const updatedSession: Session = {
+      ...session,
+      ...changes,
+      id: session.id,
+      createdAt: session.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await fs.writeFile(
+      path.join(METADATA_DIR, `${id}.json`),
+      JSON.stringify(updatedSession, null, 2)
+    );
+    
+    return updatedSession;
+  } catch (error) {
+    console.error(`Error updating session ${id}:`, error);
+    return null;
+  }
+};
+
 /**
  * Add a connection event to a session with enhanced metrics
  */
@@ -834,6 +892,8 @@ export const removeSession = async (id: string): Promise<boolean> => {
       }
     }
     
+    await deleteScriptVersions(id);
+    
     return true;
   } catch (error) {
     console.error(`Error removing session ${id}:`, error);
@@ -843,8 +903,18 @@ export const removeSession = async (id: string): Promise<boolean> => {
 
 /**
  * Execute a session by ID
+ * The script is replayed in-process so it can be paused, stepped and sped up.
+ * The replay is queued and starts once the job queue has a free slot.
+ * @param id Session to replay
+ * @param overrides Speed and browser settings for this run, overriding the session defaults,
+ * and the priority of its job
+ * @param saveAsDefault Store the resulting browser settings as the session defaults
  */
-export const executeSession = async (id: string): Promise<ReplayResult> => {
+export const executeSession = async (
+  id: string,
+  overrides: ReplayRunnerOptions & { priority?: number } = {},
+  saveAsDefault = false
+): Promise<ReplayResult> => {
   try {
     const session = await getSession(id);
     
@@ -857,8 +927,9 @@ export const executeSession = async (id: string): Promise<ReplayResult> => {
     }
     
     // Check if script file exists
+    let script: string;
     try {
-      await fs.access(session.scriptPath);
+      script = await fs.readFile(session.scriptPath, 'utf-8');
     } catch (e) {
       return {
         success: false,
@@ -867,20 +938,133 @@ export const executeSession = async (id: string): Promise<ReplayResult> => {
       };
     }
     
-    // Execute the script using Playwright
+    const unreplayable = findUnreplayableCode(script);
+    if (unreplayable) {
+      return {
+        success: false,
+        message: unreplayable,
+        logs: [],
+        invalid: true
+      };
+    }
+    
+    // Settings given for this run override the session defaults; a browser
+    // chosen for this run does not inherit the default channel
+    const { speed, headless, browser, channel, viewport, authState, environment, artifacts } = overrides;
+    const replayOptions: ReplayOptions = { ...session.replayOptions };
+    if (headless !== undefined) {
+      replayOptions.headless = headless;
+    }
+    if (browser !== undefined) {
+      replayOptions.browser = browser;
+      delete replayOptions.channel;
+    }
+    if (channel !== undefined) {
+      replayOptions.channel = channel;
+    }
+    if (viewport !== undefined) {
+      replayOptions.viewport = viewport;
+    }
+    if (authState !== undefined) {
+      replayOptions.authState = authState;
+    }
+    if (environment !== undefined) {
+      replayOptions.environment = environment;
+    }
+    if (artifacts !== undefined) {
+      replayOptions.artifacts = artifacts;
+    }
+    
+    let invalid = validateReplayOptions({ ...replayOptions });
+    
+    // The environment's auth state replaces the session default but not one given for this run
+    const profile = !invalid && replayOptions.environment ? await getEnvironment(replayOptions.environment) : null;
+    if (!invalid && replayOptions.environment && !profile) {
+      invalid = `Environment not found: ${replayOptions.environment}`;
+    }
+    const runAuthState = authState ?? profile?.authState ?? replayOptions.authState;
+    if (!invalid && runAuthState && !(await authStateExists(runAuthState))) {
+      invalid = `Auth state not found: ${runAuthState}`;
+    }
+    if (invalid) {
+      return {
+        success: false,
+        message: invalid,
+        logs: [],
+        invalid: true
+      };
+    }
+    
+    // Values given for this run override the environment's, which override the
+    // session defaults; every variable the script uses needs a value
+    const names = findVariables(script);
+    const values = { ...session.variables, ...profile?.variables, ...overrides.variables };
+    const missing = names.filter(name => values[name] === undefined);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        message: `Missing values for variables: ${missing.join(', ')}`,
+        logs: [],
+        invalid: true
+      };
+    }
+    const variables = names.length ? Object.fromEntries(names.map(name => [name, values[name]])) : undefined;
+    
+    if (saveAsDefault) {
+      await updateSession(id, { replayOptions });
+    }
+    
+    // Replay the script with the Playwright library
     const logs: string[] = [];
     logs.push(`Starting replay of session: ${session.name}`);
-    logs.push(`Navigating to URL: ${session.url}`);
+    if (profile) {
+      logs.push(`Using environment: ${profile.name} (${profile.baseUrl})`);
+    } else {
+      logs.push(`Navigating to URL: ${session.url}`);
+    }
     
-    // Execute the script in a new process
-    const process = exec(`npx playwright test ${session.scriptPath} --headed`);
+    const runner = new ReplayRunner(session.scriptPath, {
+      ...replayOptions,
+      authState: runAuthState,
+      speed,
+      recordingOptions: session.recordingOptions,
+      variables,
+      baseUrl: profile?.baseUrl,
+      headers: profile?.headers,
+      storageStatePath: overrides.storageStatePath,
+      saveStorageStatePath: overrides.saveStorageStatePath
+    });
+    const processId = runner.processId;
+    
+    // Record the run so its result is kept after the process is cleaned up
+    const run = await createRun(session, processId, replayOptions, variables);
+    
+    // Register the replay so its output, status and exit code can be tracked; a replay
+    // whose run could not be recorded is never registered, so it cannot linger as running
+    const processManager = ProcessManager.getInstance();
+    processManager.registerProcess(processId, 'replay', runner);
+    logs.forEach(message => processManager.addLog(processId, message));
+    runner.on('exit', (code: number | null) => {
+      finishRun(run.id, {
+        status: processManager.getOutcome(processId) || 'error',
+        exitCode: code,
+        logs: processManager.getLogs(processId),
+        steps: runner.getStepResults(),
+        artifacts: runner.getArtifacts()
+      }).catch((err: Error) => {
+        console.error(`Error finishing run for process ${processId}:`, err);
+      });
+    });
+    const job = enqueueReplay(runner, run, overrides.priority);
     
     // Return immediately with process ID for real-time logs later
     return {
       success: true,
-      message: 'Session replay started',
+      message: job.status === 'queued' ? 'Session replay queued' : 'Session replay started',
       logs,
-      processId: process.pid?.toString()
+      processId,
+      runId: run.id,
+      jobId: job.id
     };
   } catch (error) {
     console.error(`Error executing session ${id}:`, error);
@@ -895,27 +1079,39 @@ export const executeSession = async (id: string): Promise<ReplayResult> => {
 /**
  * Start a new recording session
  */
-export const startRecordingSession = async (url: string): Promise<{
+export const startRecordingSession = async (
+  url: string,
+  options: RecordingOptions = {},
+  storage: { load?: string; save?: string } = {}
+): Promise<{
   success: boolean;
   message: string;
   processId?: string;
   outputPath?: string;
+  process?: ChildProcess;
 }> => {
   try {
     // Generate a temporary filename for the codegen output
     const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
     const outputPath = path.join(SESSIONS_DIR, `session_${timestamp}.ts`);
     
-    // Start the Playwright codegen process
-    // Ensure URL is properly quoted to avoid shell interpretation issues
-    const escapedUrl = url.replace(/"/g, '\\"');
-    const process = exec(`npx playwright codegen "${escapedUrl}" --output "${outputPath}"`);
+    // Start the Playwright codegen process with the requested emulation, loading and
+    // saving the browser storage when auth states are given
+    const storageArgs = [
+      ...(storage.load ? ['--load-storage', getAuthStatePath(storage.load)] : []),
+      ...(storage.save ? ['--save-storage', getAuthStatePath(storage.save)] : [])
+    ];
+    
+    // Ensure every argument is properly quoted to avoid shell interpretation issues
+    const args = [...toCodegenArgs(options), ...storageArgs, url, '--output', outputPath].map(quoteShellArg);
+    const process = exec(`npx playwright codegen ${args.join(' ')}`);
     
     return {
       success: true,
       message: 'Recording session started',
       processId: process.pid?.toString(),
-      outputPath
+      outputPath,
+      process
     };
   } catch (error) {
     console.error('Error starting recording session:', error);
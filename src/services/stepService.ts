@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getSession, updateSession } from './sessionService';
+import { getScriptVersion, saveSessionScript } from './versionService';
+import { parseScript, parseStep, renderScript, renderStep, findSyntaxError } from '../utils/scriptParser';
+import { Session } from '../types/session';
+import { ParsedScript, SessionStep, StepInput, StepOperation } from '../types/step';
+import { ScriptVersion, VersionDetails } from '../types/version';
+
+/**
+ * Result of loading, parsing or editing a session script
+ */
+export interface SessionScriptResult {
+  /** Whether the operation succeeded */
+  success: boolean;
+  
+  /** Message describing why the operation failed */
+  message?: string;
+  
+  /** Whether the failure was caused by invalid input rather than a missing session or script */
+  invalid?: boolean;
+  
+  /** Session the script belongs to */
+  session?: Session;
+  
+  /** Parsed view of the script */
+  script?: ParsedScript;
+  
+  /** Script source as stored on disk */
+  source?: string;
+}
+
+/**
+ * Load and parse the script of a session
+ */
+export const loadSessionScript = async (id: string): Promise<SessionScriptResult> => {
+  const session = await getSession(id);
+  
+  if (!session) {
+    return { success: false, message: `Session with ID ${id} not found` };
+  }
+  
+  try {
+    const source = await fs.readFile(session.scriptPath, 'utf-8');
+    return { success: true, session, script: parseScript(source), source };
+  } catch {
+    return { success: false, message: `Script file not found: ${session.scriptPath}` };
+  }
+};
+
+// Step fields that are source text when given
+const STEP_TEXT_FIELDS = ['page', 'locator', 'value', 'assertion', 'options', 'source'] as const;
+
+/**
+ * Check that a step has the fields its action requires
+ * @returns Error message, or null if the step is complete
+ */
+function validateStepInput(input: StepInput): string | null {
+  if (!input || typeof input !== 'object') {
+    return 'Steps must be objects';
+  }
+  const field = STEP_TEXT_FIELDS.find(name => input[name] !== undefined && typeof input[name] !== 'string');
+  if (field) {
+    return `${field} must be a string`;
+  }
+  
+  switch (input.action) {
+    case 'raw':
+      return input.source?.trim() ? null : 'Raw steps require source';
+    case 'goto':
+      return input.value !== undefined ? null : 'goto steps require a value';
+    case 'expect':
+      return input.assertion ? null : 'expect steps require an assertion';
+    case 'fill':
+    case 'press':
+    case 'select':
+      return input.locator && input.value !== undefined ? null : `${input.action} steps require a locator and a value`;
+    case 'click':
+    case 'dblclick':
+    case 'hover':
+    case 'check':
+    case 'uncheck':
+      return input.locator ? null : `${input.action} steps require a locator`;
+    default:
+      return `Unknown step action: ${(input as StepInput).action}`;
+  }
+}
+
+/**
+ * Build a step from its fields, regenerating its source
+ * @returns The step, or an error message if the fields do not form a valid statement
+ */
+function buildStep(input: StepInput): SessionStep | string {
+  const error = validateStepInput(input);
+  if (error) {
+    return error;
+  }
+  
+  const source = input.action === 'raw' ? (input.source as string).trim() : renderStep(input);
+  const parsed = parseStep(source);
+  
+  if (input.action !== 'raw' && parsed?.action !== input.action) {
+    return `Invalid ${input.action} step: ${source}`;
+  }
+  
+  return { ...(parsed || { action: 'raw' }), index: 0, line: 0, source };
+}
+
+/**
+ * Apply one edit operation to a step list in place
+ * @returns Error message, or null if the operation was applied
+ */
+function applyOperation(steps: SessionStep[], operation: StepOperation): string | null {
+  const isIndex = (index: unknown, max: number) =>
+    typeof index === 'number' && Number.isInteger(index) && index >= 0 && index < max;
+  
+  if (!operation || typeof operation !== 'object' || typeof operation.op !== 'string') {
+    return 'Operations must be objects with an op';
+  }
+  
+  switch (operation.op) {
+    case 'insert': {
+      if (!(operation.after === -1 || isIndex(operation.after, steps.length))) {
+        return `Invalid insert position: ${operation.after}`;
+      }
+      if (!operation.step) {
+        return 'Insert operations require a step';
+      }
+      const step = buildStep(operation.step);
+      if (typeof step === 'string') {
+        return step;
+      }
+      steps.splice(operation.after + 1, 0, step);
+      return null;
+    }
+    case 'delete':
+      if (!isIndex(operation.index, steps.length)) {
+        return `Invalid step index: ${operation.index}`;
+      }
+      steps.splice(operation.index, 1);
+      return null;
+    case 'move': {
+      if (!isIndex(operation.from, steps.length) || !isIndex(operation.to, steps.length)) {
+        return `Invalid move from ${operation.from} to ${operation.to}`;
+      }
+      const [step] = steps.splice(operation.from, 1);
+      steps.splice(operation.to, 0, step);
+      return null;
+    }
+    case 'update': {
+      if (!isIndex(operation.index, steps.length)) {
+        return `Invalid step index: ${operation.index}`;
+      }
+      const current = steps[operation.index];
+      if (current.action === 'raw') {
+        return 'Raw steps cannot be updated; delete and insert them instead';
+      }
+      if (current.action === 'goto' && operation.locator !== undefined) {
+        return 'goto steps have no locator';
+      }
+      const step = buildStep({
+        ...current,
+        locator: operation.locator ?? current.locator,
+        value: operation.value ?? current.value
+      });
+      if (typeof step === 'string') {
+        return step;
+      }
+      steps[operation.index] = step;
+      return null;
+    }
+    default:
+      return `Unknown operation: ${(operation as { op?: string }).op}`;
+  }
+}
+
+/**
+ * Apply edit operations to the steps of a session and save the regenerated script as a new revision
+ * @param details Author and note of the revision (default note: `Edited steps`)
+ */
+export const updateSessionSteps = async (
+  id: string,
+  operations: StepOperation[],
+  details: VersionDetails = {}
+): Promise<SessionScriptResult> => {
+  const loaded = await loadSessionScript(id);
+  if (!loaded.success || !loaded.session || !loaded.script) {
+    return loaded;
+  }
+  
+  const steps = [...loaded.script.steps];
+  for (const [position, operation] of operations.entries()) {
+    const error = applyOperation(steps, operation);
+    if (error) {
+      return { success: false, invalid: true, message: `Operation ${position}: ${error}` };
+    }
+  }
+  
+  // An edit must not break a script that parsed before it
+  const source = renderScript({ ...loaded.script, steps });
+  const fileName = path.basename(loaded.session.scriptPath);
+  const syntaxError = findSyntaxError(source, fileName);
+  if (syntaxError && !findSyntaxError(loaded.source as string, fileName)) {
+    return { success: false, invalid: true, message: syntaxError };
+  }
+  
+  await saveSessionScript(loaded.session, source, { ...details, note: details.note || 'Edited steps' });
+  
+  const session = await updateSession(id, {});
+  
+  return {
+    success: true,
+    session: session || loaded.session,
+    script: parseScript(source)
+  };
+};
+
+/**
+ * Write a saved revision back as the script of a session
+ * The restore is saved as a new revision, so it can be undone like any other change.
+ * @param details Author and note of the revision (default note: `Restored version <n>`)
+ * @returns The session and the revision holding the restored script, or null if the session or revision does not exist
+ */
+export const restoreSessionScript = async (
+  id: string,
+  version: number,
+  details: VersionDetails = {}
+): Promise<{ session: Session; version: ScriptVersion } | null> => {
+  const session = await getSession(id);
+  const saved = session && await getScriptVersion(id, version);
+  if (!session || !saved) {
+    return null;
+  }
+  
+  const restored = await saveSessionScript(session, saved.source, {
+    ...details,
+    note: details.note || `Restored version ${version}`
+  });
+  
+  return {
+    session: await updateSession(id, {}) || session,
+    version: restored
+  };
+};
@@ -0,0 +1,335 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getSession, executeSession } from './sessionService';
+import { waitForRun } from './runService';
+import { ReplayRunnerOptions } from './replayRunner';
+import { ProcessManager } from '../utils/processManager';
+import { Suite, SuiteInput, SuiteRun, SuiteSessionResult } from '../types/suite';
+
+// Path constants
+const SUITES_DIR = path.join(process.cwd(), 'suites');
+const SUITE_RUNS_DIR = path.join(process.cwd(), 'suite-runs');
+
+// Notifies waiters when a suite run has been finalized
+const suiteRunEvents = new EventEmitter();
+suiteRunEvents.setMaxListeners(0);
+
+// Suite runs that have not finished yet, with the process of the replay each one waits on
+const activeSuiteRuns = new Map<string, string | undefined>();
+
+// Suite runs asked to stop before their next session
+const stoppingSuiteRuns = new Set<string>();
+
+/**
+ * Options of a suite run, applied to every session in it
+ */
+export type SuiteRunOptions = Pick<ReplayRunnerOptions, 'headless' | 'browser' | 'environment' | 'artifacts' | 'speed'>;
+
+/**
+ * Validate suite fields received from a client
+ * @returns The normalized fields, or an error message when they are invalid
+ */
+export const validateSuite = async (input: Record<string, unknown>): Promise<SuiteInput | string> => {
+  const { name, sessionIds, stopOnFailure = false, shareStorageState = false } = input;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required';
+  }
+
+  if (!Array.isArray(sessionIds) || !sessionIds.every(id => typeof id === 'string' && id)) {
+    return 'sessionIds must be an array of session IDs';
+  }
+
+  if (typeof stopOnFailure !== 'boolean' || typeof shareStorageState !== 'boolean') {
+    return 'stopOnFailure and shareStorageState must be booleans';
+  }
+
+  const sessions = await Promise.all(sessionIds.map(id => getSession(id)));
+  const missing = sessionIds.filter((id, i) => !sessions[i]);
+  if (missing.length > 0) {
+    return `Sessions not found: ${missing.join(', ')}`;
+  }
+
+  return { name: name.trim(), sessionIds, stopOnFailure, shareStorageState };
+};
+
+/**
+ * Persist a suite to disk
+ */
+async function writeSuite(suite: Suite): Promise<void> {
+  await fs.mkdir(SUITES_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(SUITES_DIR, `${suite.id}.json`),
+    JSON.stringify(suite, null, 2)
+  );
+}
+
+/**
+ * Get all suites, sorted by name
+ */
+export const getSuites = async (): Promise<Suite[]> => {
+  try {
+    await fs.mkdir(SUITES_DIR, { recursive: true });
+    const files = await fs.readdir(SUITES_DIR);
+
+    const suites = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async (file) => {
+          const data = await fs.readFile(path.join(SUITES_DIR, file), 'utf-8');
+          return JSON.parse(data) as Suite;
+        })
+    );
+
+    return suites.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting suites:', error);
+    return [];
+  }
+};
+
+/**
+ * Get a suite by ID
+ */
+export const getSuite = async (id: string): Promise<Suite | null> => {
+  try {
+    const data = await fs.readFile(path.join(SUITES_DIR, `${path.basename(id)}.json`), 'utf-8');
+    return JSON.parse(data) as Suite;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a suite
+ */
+export const createSuite = async (input: SuiteInput): Promise<Suite> => {
+  const suite: Suite = {
+    id: uuidv4(),
+    ...input,
+    createdAt: new Date().toISOString()
+  };
+
+  await writeSuite(suite);
+  return suite;
+};
+
+/**
+ * Replace the fields of a suite
+ * @returns The updated suite, or null if it does not exist
+ */
+export const updateSuite = async (id: string, input: SuiteInput): Promise<Suite | null> => {
+  const suite = await getSuite(id);
+  if (!suite) {
+    return null;
+  }
+
+  const updated: Suite = {
+    ...suite,
+    ...input,
+    updatedAt: new Date().toISOString()
+  };
+
+  await writeSuite(updated);
+  return updated;
+};
+
+/**
+ * Delete a suite
+ * @returns Whether a suite was deleted
+ */
+export const deleteSuite = async (id: string): Promise<boolean> => {
+  try {
+    await fs.unlink(path.join(SUITES_DIR, `${path.basename(id)}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Persist a suite run to disk
+ */
+async function writeSuiteRun(suiteRun: SuiteRun): Promise<void> {
+  await fs.mkdir(SUITE_RUNS_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(SUITE_RUNS_DIR, `${suiteRun.id}.json`),
+    JSON.stringify(suiteRun, null, 2)
+  );
+}
+
+/**
+ * Replay a single session of a suite and record its outcome
+ * @param storageStatePath File holding the storage state shared between the sessions, if any
+ */
+async function runSuiteSession(
+  suiteRun: SuiteRun,
+  result: SuiteSessionResult,
+  options: SuiteRunOptions,
+  storageStatePath: string | null
+): Promise<void> {
+  // The first session starts from its own auth state; later ones from the state it left behind
+  const hasSharedState = storageStatePath !== null
+    && await fs.access(storageStatePath).then(() => true, () => false);
+
+  const replay = await executeSession(result.sessionId, {
+    ...options,
+    ...(hasSharedState && { storageStatePath: storageStatePath as string }),
+    ...(storageStatePath && { saveStorageStatePath: storageStatePath })
+  });
+  if (!replay.success || !replay.runId) {
+    result.status = 'error';
+    result.error = replay.message;
+    return;
+  }
+
+  result.status = 'running';
+  result.runId = replay.runId;
+  activeSuiteRuns.set(suiteRun.id, replay.processId);
+  if (stoppingSuiteRuns.has(suiteRun.id) && replay.processId) {
+    ProcessManager.getInstance().killProcess(replay.processId);
+  }
+  await writeSuiteRun(suiteRun);
+
+  const run = await waitForRun(replay.runId);
+  result.status = run ? run.status : 'error';
+  result.durationMs = run?.durationMs;
+
+  const failed = run?.steps?.find(step => step.status === 'failed');
+  if (failed) {
+    result.failure = { index: failed.index, line: failed.line, error: failed.error };
+  }
+}
+
+/**
+ * Replay the sessions of a suite one after another and finalize the suite run
+ */
+async function runSuite(suite: Suite, suiteRun: SuiteRun, options: SuiteRunOptions): Promise<void> {
+  const storageStatePath = suite.shareStorageState
+    ? path.join(SUITE_RUNS_DIR, `${suiteRun.id}.storage.json`)
+    : null;
+
+  try {
+    for (const result of suiteRun.sessions) {
+      if (stoppingSuiteRuns.has(suiteRun.id)) {
+        result.status = 'skipped';
+        continue;
+      }
+      if (suite.stopOnFailure && suiteRun.sessions.some(item => ['failed', 'error', 'stopped'].includes(item.status))) {
+        result.status = 'skipped';
+        continue;
+      }
+
+      try {
+        await runSuiteSession(suiteRun, result, options, storageStatePath);
+      } catch (error) {
+        result.status = 'error';
+        result.error = error instanceof Error ? error.message : 'Unknown error';
+      }
+      await writeSuiteRun(suiteRun);
+    }
+  } finally {
+    activeSuiteRuns.delete(suiteRun.id);
+    stoppingSuiteRuns.delete(suiteRun.id);
+
+    // The shared state holds session cookies, so it is not kept after the run
+    if (storageStatePath) {
+      await fs.rm(storageStatePath, { force: true });
+    }
+  }
+
+  const endedAt = new Date();
+  suiteRun.status = suiteRun.sessions.every(result => result.status === 'passed') ? 'passed' : 'failed';
+  suiteRun.endedAt = endedAt.toISOString();
+  suiteRun.durationMs = endedAt.getTime() - new Date(suiteRun.startedAt).getTime();
+  await writeSuiteRun(suiteRun);
+  suiteRunEvents.emit('finished', suiteRun);
+}
+
+/**
+ * Start executing the sessions of a suite in order
+ * The sessions run one after another; the returned suite run is updated on disk as they finish.
+ * @returns The initial suite run, or null if the suite does not exist
+ */
+export const startSuiteRun = async (id: string, options: SuiteRunOptions = {}): Promise<SuiteRun | null> => {
+  const suite = await getSuite(id);
+  if (!suite) {
+    return null;
+  }
+
+  const sessions = await Promise.all(suite.sessionIds.map(sessionId => getSession(sessionId)));
+  const suiteRun: SuiteRun = {
+    id: uuidv4(),
+    suiteId: suite.id,
+    suiteName: suite.name,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    sessions: suite.sessionIds.map((sessionId, i) => ({
+      sessionId,
+      sessionName: sessions[i]?.name,
+      status: 'pending'
+    }))
+  };
+  await writeSuiteRun(suiteRun);
+
+  activeSuiteRuns.set(suiteRun.id, undefined);
+  runSuite(suite, suiteRun, options).catch((error: Error) => {
+    console.error(`Error running suite ${suite.id}:`, error);
+  });
+
+  return suiteRun;
+};
+
+/**
+ * Stop a suite run: the session being replayed is stopped and the remaining ones are skipped
+ * @returns Whether the suite run was still running
+ */
+export const stopSuiteRun = (suiteRunId: string): boolean => {
+  if (!activeSuiteRuns.has(suiteRunId)) {
+    return false;
+  }
+
+  stoppingSuiteRuns.add(suiteRunId);
+  const processId = activeSuiteRuns.get(suiteRunId);
+  if (processId) {
+    ProcessManager.getInstance().killProcess(processId);
+  }
+  return true;
+};
+
+/**
+ * Get a suite run by ID
+ */
+export const getSuiteRun = async (suiteRunId: string): Promise<SuiteRun | null> => {
+  try {
+    const data = await fs.readFile(path.join(SUITE_RUNS_DIR, `${path.basename(suiteRunId)}.json`), 'utf-8');
+    return JSON.parse(data) as SuiteRun;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Wait for a suite run to finish
+ * @returns The finalized suite run, or null if it does not exist
+ */
+export const waitForSuiteRun = (suiteRunId: string): Promise<SuiteRun | null> =>
+  new Promise(resolve => {
+    const onFinished = (suiteRun: SuiteRun) => {
+      if (suiteRun.id === suiteRunId) {
+        suiteRunEvents.off('finished', onFinished);
+        resolve(suiteRun);
+      }
+    };
+    suiteRunEvents.on('finished', onFinished);
+
+    // The suite run may already have finished before we started listening
+    getSuiteRun(suiteRunId).then(suiteRun => {
+      if (!suiteRun || suiteRun.status !== 'running') {
+        suiteRunEvents.off('finished', onFinished);
+        resolve(suiteRun);
+      }
+    });
+  });
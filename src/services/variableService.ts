@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import { getSession, updateSession } from './sessionService';
+import { findVariables } from '../utils/sessionVariables';
+
+/**
+ * Variables used by a session script and their defaults
+ */
+export interface SessionVariables {
+  /** Names of the `{{variables}}` in the script, in order of first use */
+  names: string[];
+  
+  /** Default values stored on the session */
+  defaults: Record<string, string>;
+}
+
+/**
+ * Get the variables used by a session script and their default values
+ * @returns The variables, or null if the session or its script does not exist
+ */
+export const getSessionVariables = async (id: string): Promise<SessionVariables | null> => {
+  const session = await getSession(id);
+  if (!session) {
+    return null;
+  }
+  
+  try {
+    const script = await fs.readFile(session.scriptPath, 'utf-8');
+    return { names: findVariables(script), defaults: session.variables || {} };
+  } catch (error) {
+    console.error(`Error reading script of session ${id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Replace the default variable values of a session
+ * @returns The updated variables, or null if the session does not exist
+ */
+export const setSessionVariables = async (
+  id: string,
+  defaults: Record<string, string>
+): Promise<SessionVariables | null> => {
+  const session = await updateSession(id, { variables: defaults });
+  if (!session) {
+    return null;
+  }
+  return getSessionVariables(id);
+};
@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createUnifiedDiff } from '../utils/textDiff';
+import { Session } from '../types/session';
+import { ScriptVersion, VersionDetails } from '../types/version';
+
+// Path constants
+const VERSIONS_DIR = path.join(process.cwd(), 'versions');
+
+// Index of the revisions in a session's versions directory, next to one `<version>.ts` per revision
+const HISTORY_FILE = 'history.json';
+
+// Pending history updates by session ID, so concurrent saves get consecutive version numbers
+const historyLocks = new Map<string, Promise<unknown>>();
+
+/**
+ * Get the directory holding the revisions of a session script
+ */
+const getVersionsDir = (sessionId: string): string => path.join(VERSIONS_DIR, sessionId);
+
+/**
+ * Run an update of a session's history after the updates already pending for it
+ */
+function withHistoryLock<T>(sessionId: string, update: () => Promise<T>): Promise<T> {
+  const previous = historyLocks.get(sessionId) || Promise.resolve();
+  const next = previous.catch(() => undefined).then(update);
+  historyLocks.set(sessionId, next);
+  next.finally(() => {
+    if (historyLocks.get(sessionId) === next) {
+      historyLocks.delete(sessionId);
+    }
+  }).catch(() => undefined);
+  return next;
+}
+
+/**
+ * Read the revisions of a session script, oldest first
+ */
+async function readHistory(sessionId: string): Promise<ScriptVersion[]> {
+  try {
+    const data = await fs.readFile(path.join(getVersionsDir(sessionId), HISTORY_FILE), 'utf-8');
+    return JSON.parse(data) as ScriptVersion[];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save a revision of a session script, unless the script is unchanged since the latest one
+ * @returns The new revision, or the latest one when the script is unchanged
+ */
+async function addVersion(sessionId: string, source: string, details: VersionDetails): Promise<ScriptVersion> {
+  const history = await readHistory(sessionId);
+  const hash = createHash('sha256').update(source).digest('hex');
+  const latest = history[history.length - 1];
+  if (latest?.hash === hash) {
+    return latest;
+  }
+
+  const version: ScriptVersion = {
+    version: (latest?.version ?? 0) + 1,
+    hash,
+    size: Buffer.byteLength(source),
+    createdAt: new Date().toISOString(),
+    ...(details.author && { author: details.author }),
+    ...(details.note && { note: details.note })
+  };
+
+  const dir = getVersionsDir(sessionId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${version.version}.ts`), source);
+  await fs.writeFile(path.join(dir, HISTORY_FILE), JSON.stringify([...history, version], null, 2));
+  return version;
+}
+
+/**
+ * Get the revisions of a session script, newest first
+ */
+export const getScriptVersions = async (sessionId: string): Promise<ScriptVersion[]> =>
+  (await readHistory(sessionId)).reverse();
+
+/**
+ * Get the latest revision of a session script
+ * @returns The revision, or null if none was saved
+ */
+export const getLatestScriptVersion = async (sessionId: string): Promise<ScriptVersion | null> => {
+  const history = await readHistory(sessionId);
+  return history[history.length - 1] || null;
+};
+
+/**
+ * Get a revision of a session script with its content
+ * @returns The revision and its source, or null if it does not exist
+ */
+export const getScriptVersion = async (
+  sessionId: string,
+  version: number
+): Promise<{ version: ScriptVersion; source: string } | null> => {
+  const history = await readHistory(sessionId);
+  const found = history.find(item => item.version === version);
+  if (!found) {
+    return null;
+  }
+
+  try {
+    const source = await fs.readFile(path.join(getVersionsDir(sessionId), `${version}.ts`), 'utf-8');
+    return { version: found, source };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Save the script of a session as it is on disk as a new revision, e.g. after codegen wrote it
+ * @returns The revision, or null if the script does not exist
+ */
+export const snapshotSessionScript = async (session: Session, details: VersionDetails): Promise<ScriptVersion | null> => {
+  let source: string;
+  try {
+    source = await fs.readFile(session.scriptPath, 'utf-8');
+  } catch {
+    return null;
+  }
+  return withHistoryLock(session.id, () => addVersion(session.id, source, details));
+};
+
+/**
+ * Save the script of a session as it is on disk, unless a revision already holds it
+ * Call with the history lock held.
+ */
+async function addCurrentVersion(session: Session): Promise<ScriptVersion | null> {
+  const current = await fs.readFile(session.scriptPath, 'utf-8').catch(() => null);
+  if (current === null) {
+    return null;
+  }
+  const hasHistory = (await readHistory(session.id)).length > 0;
+  return addVersion(session.id, current, { note: hasHistory ? 'Changed outside the app' : 'Script before version history' });
+}
+
+/**
+ * Get the revision matching the script of a session as it is on disk
+ * Content no revision holds, from before the history started or from edits outside this app,
+ * is saved as a new revision.
+ * @returns The revision, or null if the script does not exist
+ */
+export const getCurrentScriptVersion = async (session: Session): Promise<ScriptVersion | null> =>
+  withHistoryLock(session.id, () => addCurrentVersion(session));
+
+/**
+ * Write the script of a session and save it as a new revision
+ * Content about to be overwritten that no revision holds is saved as a revision first.
+ */
+export const saveSessionScript = async (
+  session: Session,
+  source: string,
+  details: VersionDetails
+): Promise<ScriptVersion> => withHistoryLock(session.id, async () => {
+  await addCurrentVersion(session);
+  await fs.writeFile(session.scriptPath, source);
+  return addVersion(session.id, source, details);
+});
+
+/**
+ * Create a unified diff between two revisions of a session script
+ * @param version Revision to show
+ * @param against Revision to compare it with (default: the one before it)
+ * @returns The diff (empty when the revisions are equal), or null if a revision does not exist
+ */
+export const diffScriptVersions = async (
+  session: Session,
+  version: number,
+  against?: number
+): Promise<string | null> => {
+  // Without a revision to compare with, the first one is compared with nothing, as a new file
+  const isFirst = against === undefined && version === 1;
+  const target = await getScriptVersion(session.id, version);
+  const base = isFirst ? null : await getScriptVersion(session.id, against ?? version - 1);
+  if (!target || (!isFirst && !base)) {
+    return null;
+  }
+
+  const fileName = path.basename(session.scriptPath);
+  return createUnifiedDiff(
+    base?.source ?? '',
+    target.source,
+    base ? `${fileName} (version ${base.version.version})` : '/dev/null',
+    `${fileName} (version ${target.version.version})`
+  );
+};
+
+/**
+ * Delete the revisions of a session script
+ */
+export const deleteScriptVersions = async (sessionId: string): Promise<void> => {
+  await fs.rm(getVersionsDir(sessionId), { recursive: true, force: true });
+};
@@ -0,0 +1,42 @@
+/**
+ * Browser storage saved by Playwright (`--save-storage` / `context.storageState()`)
+ */
+export interface StorageState {
+  /** Cookies of the browser context */
+  cookies: Array<{
+    name: string;
+    value: string;
+    domain: string;
+    path: string;
+    expires: number;
+    httpOnly: boolean;
+    secure: boolean;
+    sameSite: 'Strict' | 'Lax' | 'None';
+  }>;
+  
+  /** Local storage per origin */
+  origins: Array<{
+    origin: string;
+    localStorage: Array<{ name: string; value: string }>;
+  }>;
+}
+
+/**
+ * Summary of a named auth state, without the stored secrets
+ */
+export interface AuthStateSummary {
+  /** Name the state is stored under */
+  name: string;
+  
+  /** Number of stored cookies */
+  cookieCount: number;
+  
+  /** Cookie domains in the state */
+  domains: string[];
+  
+  /** Origins with stored local storage */
+  origins: string[];
+  
+  /** ISO timestamp when the state was last written */
+  updatedAt: string;
+}
@@ -0,0 +1,72 @@
+import type { Session } from './session';
+import type { ReplayRun } from './run';
+
+/**
+ * File attached to a bundle, with its content base64-encoded
+ */
+export interface BundleFile {
+  /** File name */
+  name: string;
+
+  /** Base64-encoded content */
+  data: string;
+}
+
+/**
+ * Self-contained copy of a session that can be imported on another machine
+ * Stored as gzip-compressed JSON.
+ */
+export interface SessionBundle {
+  /** Identifies the file as a session bundle */
+  format: 'wag-session-bundle';
+
+  /** Version of the bundle layout */
+  version: 1;
+
+  /** ISO timestamp when the bundle was exported */
+  exportedAt: string;
+
+  /** Session metadata, including its default variables, without machine-specific fields */
+  session: Omit<Session, 'scriptPath' | 'processId'>;
+
+  /** The Playwright script */
+  script: {
+    /** File name of the script on the exporting machine */
+    name: string;
+
+    /** Script source */
+    source: string;
+  };
+
+  /**
+   * Names of the saved auth state and environment profile the session replays with
+   * Only the names travel with the bundle; stored cookies and profiles stay on the exporting machine.
+   */
+  references: {
+    authState?: string;
+    environment?: string;
+  };
+
+  /** Latest run of the session that kept artifacts, with its trace, video and screenshot */
+  run?: {
+    record: ReplayRun;
+    artifacts: BundleFile[];
+  };
+}
+
+/**
+ * Outcome of importing a bundle
+ */
+export interface BundleImportResult {
+  /** The imported session */
+  session: Session;
+
+  /** ID the session had in the bundle, when it was taken on this machine and the session got a new one */
+  originalId?: string;
+
+  /** ID of the imported run, when the bundle held one */
+  runId?: string;
+
+  /** References the session makes that do not exist on this machine */
+  warnings: string[];
+}
@@ -0,0 +1,57 @@
+import type { RunStatus } from './run';
+import type { MatrixFailure } from './matrix';
+
+/**
+ * One row of a data-driven replay
+ */
+export interface DatasetRow {
+  /** 0-based position of the row in the dataset */
+  index: number;
+  
+  /** Variable values the row replays with */
+  variables: Record<string, string>;
+  
+  /** Status of the row's run, 'pending' until it starts */
+  status: RunStatus | 'pending';
+  
+  /** ID of the replay run executing the row */
+  runId?: string;
+  
+  /** Duration of the run in milliseconds */
+  durationMs?: number;
+  
+  /** First failing step of the run */
+  failure?: MatrixFailure;
+  
+  /** Reason the run could not be started */
+  error?: string;
+}
+
+/**
+ * Aggregated report of replaying one session once per dataset row
+ */
+export interface DatasetReport {
+  /** Unique identifier for the data-driven replay */
+  id: string;
+  
+  /** ID of the session that was replayed */
+  sessionId: string;
+  
+  /** Name of the session at the time of the replay */
+  sessionName: string;
+  
+  /** 'running' until every row has finished, then 'passed' if all rows passed */
+  status: 'running' | 'passed' | 'failed';
+  
+  /** ISO timestamp when the replay started */
+  startedAt: string;
+  
+  /** ISO timestamp when the last row finished */
+  endedAt?: string;
+  
+  /** Total duration in milliseconds */
+  durationMs?: number;
+  
+  /** Dataset rows, in execution order */
+  rows: DatasetRow[];
+}
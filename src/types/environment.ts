@@ -0,0 +1,30 @@
+/**
+ * Named target a session can be replayed against (e.g. staging, QA, production)
+ */
+export interface Environment {
+  /** Name the profile is stored under */
+  name: string;
+  
+  /** URL whose origin replaces the origin of the script's `page.goto` calls */
+  baseUrl: string;
+  
+  /** Values for the script's `{{variables}}`, overriding the session defaults */
+  variables?: Record<string, string>;
+  
+  /** Name of the saved auth state to start the browser context with */
+  authState?: string;
+  
+  /** Extra HTTP headers sent with every request */
+  headers?: Record<string, string>;
+  
+  /** ISO timestamp when the profile was created */
+  createdAt: string;
+  
+  /** ISO timestamp when the profile was last updated */
+  updatedAt?: string;
+}
+
+/**
+ * Fields of an environment profile that can be set by a client
+ */
+export type EnvironmentInput = Omit<Environment, 'name' | 'createdAt' | 'updatedAt'>;
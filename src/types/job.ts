@@ -0,0 +1,55 @@
+import type { ProcessOutcome } from '../utils/processManager';
+
+/**
+ * Lifecycle status of a replay job
+ */
+export type JobStatus = 'queued' | 'running' | 'finished' | 'cancelled';
+
+/**
+ * Replay waiting for, holding or having released one of the queue's slots
+ */
+export interface Job {
+  /** Unique identifier for the job */
+  id: string;
+
+  /** ID of the session being replayed */
+  sessionId: string;
+
+  /** Name of the session at the time it was queued */
+  sessionName: string;
+
+  /** ID of the run record of the replay */
+  runId: string;
+
+  /** ID of the process tracking the replay's logs and status */
+  processId: string;
+
+  /** Jobs with a higher priority start first; equal priorities start in queue order */
+  priority: number;
+
+  /** Current status of the job */
+  status: JobStatus;
+
+  /** Outcome of the replay once it has finished */
+  outcome?: ProcessOutcome;
+
+  /** ISO timestamp when the job was queued */
+  queuedAt: string;
+
+  /** ISO timestamp when the replay started */
+  startedAt?: string;
+
+  /** ISO timestamp when the replay finished or the job was cancelled */
+  endedAt?: string;
+}
+
+/**
+ * State of the replay queue, as listed by the API
+ */
+export interface JobQueueState {
+  /** Maximum number of replays running at the same time */
+  maxConcurrency: number;
+
+  /** Running jobs, then queued jobs in the order they will start, then recently ended jobs */
+  jobs: Job[];
+}
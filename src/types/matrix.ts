@@ -0,0 +1,71 @@
+import type { ReplayBrowser, Viewport } from './session';
+import type { RunStatus } from './run';
+
+/**
+ * Step at which a matrix cell failed
+ */
+export interface MatrixFailure {
+  /** Index of the step in the session script */
+  index: number;
+  
+  /** 1-based line number of the step in the script file */
+  line: number;
+  
+  /** Error reported by the step */
+  error?: string;
+}
+
+/**
+ * One browser/viewport combination of a matrix replay
+ */
+export interface MatrixCell {
+  /** Browser engine the cell runs in */
+  browser: ReplayBrowser;
+  
+  /** Viewport the cell runs at (browser default when omitted) */
+  viewport?: Viewport;
+  
+  /** Status of the cell's run, 'pending' until it starts */
+  status: RunStatus | 'pending';
+  
+  /** ID of the replay run executing the cell */
+  runId?: string;
+  
+  /** Duration of the run in milliseconds */
+  durationMs?: number;
+  
+  /** First failing step of the run */
+  failure?: MatrixFailure;
+  
+  /** Reason the run could not be started */
+  error?: string;
+}
+
+/**
+ * Aggregated report of replaying one session across browsers and viewports
+ */
+export interface MatrixReport {
+  /** Unique identifier for the matrix replay */
+  id: string;
+  
+  /** ID of the session that was replayed */
+  sessionId: string;
+  
+  /** Name of the session at the time of the replay */
+  sessionName: string;
+  
+  /** 'running' until every cell has finished, then 'passed' if all cells passed */
+  status: 'running' | 'passed' | 'failed';
+  
+  /** ISO timestamp when the matrix replay started */
+  startedAt: string;
+  
+  /** ISO timestamp when the last cell finished */
+  endedAt?: string;
+  
+  /** Total duration in milliseconds */
+  durationMs?: number;
+  
+  /** Browser/viewport combinations, in execution order */
+  cells: MatrixCell[];
+}
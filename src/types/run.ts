@@ -0,0 +1,84 @@
+import type { LogEntry } from '../utils/processManager';
+import type { StepAction } from './step';
+import type { ReplayOptions } from './session';
+
+/**
+ * Lifecycle status of a replay run
+ */
+export type RunStatus = 'running' | 'passed' | 'failed' | 'stopped' | 'error';
+
+/**
+ * Result of a single script step within a run
+ */
+export interface StepResult {
+  /** Index of the step in the session script */
+  index: number;
+  
+  /** Action performed by the step */
+  action: StepAction;
+  
+  /** 1-based line number of the step in the script file */
+  line: number;
+  
+  /** Source text of the step as recorded, before variables are filled in */
+  source?: string;
+  
+  /** Whether the step passed, failed or was not reached */
+  status: 'passed' | 'failed' | 'skipped';
+  
+  /** Time spent executing the step in milliseconds */
+  durationMs?: number;
+  
+  /** Error message of a failed step */
+  error?: string;
+}
+
+/**
+ * Persisted record of a single session replay
+ */
+export interface ReplayRun {
+  /** Unique identifier for the run */
+  id: string;
+  
+  /** ID of the session that was replayed */
+  sessionId: string;
+  
+  /** Name of the session at the time of the run */
+  sessionName: string;
+  
+  /** ID of the process that executed the replay */
+  processId?: string;
+  
+  /** Browser settings the replay ran with */
+  replayOptions?: ReplayOptions;
+  
+  /** Values the script's `{{variables}}` were replaced with */
+  variables?: Record<string, string>;
+  
+  /** Revision of the session script the run replayed */
+  scriptVersion?: number;
+  
+  /** Current status of the run */
+  status: RunStatus;
+  
+  /** ISO timestamp when the run started */
+  startedAt: string;
+  
+  /** ISO timestamp when the run finished */
+  endedAt?: string;
+  
+  /** Total run duration in milliseconds */
+  durationMs?: number;
+  
+  /** Exit code of the replay process (null when killed by a signal) */
+  exitCode?: number | null;
+  
+  /** Log entries captured while the run was executing */
+  logs: LogEntry[];
+  
+  /** Per-step results of the run */
+  steps?: StepResult[];
+  
+  /** File names of artifacts produced by the run */
+  artifacts: string[];
+}
@@ -0,0 +1,83 @@
+import type { RunStatus } from './run';
+
+/**
+ * What a schedule replays: a single session or a suite
+ */
+export interface ScheduleTarget {
+  /** Kind of target */
+  type: 'session' | 'suite';
+
+  /** ID of the session or suite */
+  id: string;
+}
+
+/**
+ * Outcome of one firing of a schedule
+ */
+export interface ScheduleResult {
+  /** ISO timestamp when the schedule fired */
+  firedAt: string;
+
+  /** 'running' until the replay finishes; 'skipped' when the previous firing was still running */
+  status: RunStatus | 'skipped';
+
+  /** ID of the replay run, for session schedules */
+  runId?: string;
+
+  /** ID of the suite run, for suite schedules */
+  suiteRunId?: string;
+
+  /** Reason the replay could not be started */
+  error?: string;
+}
+
+/**
+ * Recurring replay of a session or suite, fired by the server on a cron expression
+ */
+export interface Schedule {
+  /** Unique identifier for the schedule */
+  id: string;
+
+  /** Optional display name of the schedule */
+  name?: string;
+
+  /** Session or suite to replay */
+  target: ScheduleTarget;
+
+  /** Five-field cron expression, e.g. `0 6 * * 1-5` */
+  cron: string;
+
+  /** IANA time zone the cron expression is evaluated in */
+  timezone: string;
+
+  /** Name of the environment profile to replay against */
+  environment?: string;
+
+  /** Whether the schedule fires */
+  enabled: boolean;
+
+  /** ISO timestamp when the schedule was created */
+  createdAt: string;
+
+  /** ISO timestamp when the schedule was last updated */
+  updatedAt?: string;
+
+  /** Recent firings, newest first */
+  history: ScheduleResult[];
+}
+
+/**
+ * Fields of a schedule that can be set by a client
+ */
+export type ScheduleInput = Pick<Schedule, 'name' | 'target' | 'cron' | 'timezone' | 'environment' | 'enabled'>;
+
+/**
+ * Schedule with its next fire time and last result, as listed by the API
+ */
+export interface ScheduleSummary extends Schedule {
+  /** ISO timestamp of the next firing, or null when disabled or never firing */
+  nextRunAt: string | null;
+
+  /** Most recent firing */
+  lastResult: ScheduleResult | null;
+}
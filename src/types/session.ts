@@ -119,6 +119,88 @@ export interface Session {
   
   /** Additional tags for the session */
   tags?: string[];
+  
+  /** Default browser settings for replays of this session */
+  replayOptions?: ReplayOptions;
+  
+  /** Emulation settings the session was recorded with, reused on replay */
+  recordingOptions?: RecordingOptions;
+  
+  /** Default values of the `{{variables}}` used in the script */
+  variables?: Record<string, string>;
+}
+
+/**
+ * Emulation settings passed to `playwright codegen` when recording a session
+ */
+export interface RecordingOptions {
+  /** Name of a Playwright device descriptor to emulate (e.g. `iPhone 13`) */
+  device?: string;
+  
+  /** Size of the page viewport */
+  viewport?: Viewport;
+  
+  /** Locale of the browser (e.g. `en-GB`) */
+  lang?: string;
+  
+  /** Time zone of the browser (e.g. `Europe/Rome`) */
+  timezone?: string;
+  
+  /** Geolocation reported to the page */
+  geolocation?: {
+    latitude: number;
+    longitude: number;
+  };
+  
+  /** Preferred color scheme reported to the page */
+  colorScheme?: 'light' | 'dark';
+  
+  /** User agent string of the browser */
+  userAgent?: string;
+}
+
+/**
+ * Browser engine used to replay a session
+ */
+export type ReplayBrowser = 'chromium' | 'firefox' | 'webkit';
+
+/**
+ * Browser settings for a replay
+ */
+export interface ReplayOptions {
+  /** Run the browser without a window (default: false) */
+  headless?: boolean;
+  
+  /** Browser engine to launch (default: chromium) */
+  browser?: ReplayBrowser;
+  
+  /** Branded Chromium build to launch instead of the bundled one (e.g. `chrome`, `msedge`) */
+  channel?: string;
+  
+  /** Size of the page viewport (default: 1280x720) */
+  viewport?: Viewport;
+  
+  /** Name of the saved auth state to start the browser context with */
+  authState?: string;
+  
+  /** Name of the environment profile to replay against */
+  environment?: string;
+  
+  /** When to keep the trace, video and screenshot of a replay (default: on-failure) */
+  artifacts?: ArtifactMode;
+}
+
+/**
+ * When the artifacts of a replay are kept
+ */
+export type ArtifactMode = 'always' | 'on-failure' | 'never';
+
+/**
+ * Size of a browser viewport in CSS pixels
+ */
+export interface Viewport {
+  width: number;
+  height: number;
 }
 
 /**
@@ -171,4 +253,13 @@ export interface ReplayResult {
   
   /** Optional ID of the process running the replay */
   processId?: string;
+  
+  /** Optional ID of the run record tracking the replay */
+  runId?: string;
+  
+  /** Optional ID of the queued job of the replay */
+  jobId?: string;
+  
+  /** Set when the replay was rejected because of invalid options */
+  invalid?: boolean;
 }
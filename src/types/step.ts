@@ -0,0 +1,84 @@
+/**
+ * Kind of action performed by a recorded step
+ * Statements the parser does not recognise are kept as 'raw' steps.
+ */
+export type StepAction =
+  | 'goto'
+  | 'click'
+  | 'dblclick'
+  | 'hover'
+  | 'fill'
+  | 'press'
+  | 'check'
+  | 'uncheck'
+  | 'select'
+  | 'expect'
+  | 'raw';
+
+/**
+ * A single step of a recorded session script
+ */
+export interface SessionStep {
+  /** Position of the step in the script (0-based) */
+  index: number;
+
+  /** Action performed by the step */
+  action: StepAction;
+
+  /** Variable holding the page the step runs against (e.g. `page`, `page1`) */
+  page?: string;
+
+  /** Locator expression relative to the page (e.g. `getByRole('button', { name: 'Sign in' })`) */
+  locator?: string;
+
+  /** URL for goto, text for fill, key for press, option for select, expected value for expect */
+  value?: string;
+
+  /** Matcher of an expect step (e.g. `toBeVisible`, `not.toHaveText`) */
+  assertion?: string;
+
+  /** Raw source of any extra options argument (e.g. `{ button: 'right' }`) */
+  options?: string;
+
+  /** 1-based line number of the step in the script file */
+  line: number;
+
+  /** Source text of the statement */
+  source: string;
+}
+
+/**
+ * Structured view of a session script
+ */
+export interface ParsedScript {
+  /** Source lines before the first step (imports and test declaration) */
+  header: string[];
+
+  /** Ordered steps of the test body */
+  steps: SessionStep[];
+
+  /** Source lines after the last step (end of the test and anything following it) */
+  footer: string[];
+
+  /** Indentation of the steps in the test body */
+  indent: string;
+
+  /** Title of the test, when the script declares one */
+  testName?: string;
+}
+
+/**
+ * Fields describing a step to insert or validate
+ * `source` is only used for raw steps.
+ */
+export type StepInput = Omit<SessionStep, 'index' | 'line' | 'source'> & { source?: string };
+
+/**
+ * Edit operation applied to the steps of a session script
+ * Indexes refer to the step list as left by the previous operation.
+ */
+export type StepOperation =
+  | { op: 'insert'; after: number; step: StepInput }
+  | { op: 'delete'; index: number }
+  | { op: 'move'; from: number; to: number }
+  | { op: 'update'; index: number; locator?: string; value?: string };
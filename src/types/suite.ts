@@ -0,0 +1,88 @@
+import type { RunStatus } from './run';
+import type { MatrixFailure } from './matrix';
+
+/**
+ * Named, ordered list of sessions replayed one after another
+ */
+export interface Suite {
+  /** Unique identifier for the suite */
+  id: string;
+  
+  /** Display name of the suite */
+  name: string;
+  
+  /** IDs of the sessions to replay, in order */
+  sessionIds: string[];
+  
+  /** Skip the remaining sessions once one fails (default: false, continue) */
+  stopOnFailure: boolean;
+  
+  /** Start each session with the cookies and local storage the previous one ended with */
+  shareStorageState: boolean;
+  
+  /** ISO timestamp when the suite was created */
+  createdAt: string;
+  
+  /** ISO timestamp when the suite was last updated */
+  updatedAt?: string;
+}
+
+/**
+ * Fields of a suite that can be set by a client
+ */
+export type SuiteInput = Pick<Suite, 'name' | 'sessionIds' | 'stopOnFailure' | 'shareStorageState'>;
+
+/**
+ * Result of one session within a suite run
+ */
+export interface SuiteSessionResult {
+  /** ID of the session */
+  sessionId: string;
+  
+  /** Name of the session at the time of the run */
+  sessionName?: string;
+  
+  /** Status of the session's replay; 'skipped' after an earlier failure with stopOnFailure */
+  status: RunStatus | 'pending' | 'skipped';
+  
+  /** ID of the replay run of the session */
+  runId?: string;
+  
+  /** Duration of the run in milliseconds */
+  durationMs?: number;
+  
+  /** First failing step of the run */
+  failure?: MatrixFailure;
+  
+  /** Reason the run could not be started */
+  error?: string;
+}
+
+/**
+ * Aggregated result of executing a suite
+ */
+export interface SuiteRun {
+  /** Unique identifier for the suite run */
+  id: string;
+  
+  /** ID of the suite that was executed */
+  suiteId: string;
+  
+  /** Name of the suite at the time of the run */
+  suiteName: string;
+  
+  /** 'running' until every session has finished, then 'passed' if all sessions passed */
+  status: 'running' | 'passed' | 'failed';
+  
+  /** ISO timestamp when the suite run started */
+  startedAt: string;
+  
+  /** ISO timestamp when the last session finished */
+  endedAt?: string;
+  
+  /** Total duration in milliseconds */
+  durationMs?: number;
+  
+  /** Per-session results, in execution order */
+  sessions: SuiteSessionResult[];
+}
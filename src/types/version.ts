@@ -0,0 +1,33 @@
+/**
+ * Saved revision of a session script
+ */
+export interface ScriptVersion {
+  /** Number of the revision, counting from 1 */
+  version: number;
+  
+  /** SHA-256 hash of the script content (hex) */
+  hash: string;
+  
+  /** Size of the script in bytes */
+  size: number;
+  
+  /** ISO timestamp when the revision was saved */
+  createdAt: string;
+  
+  /** Who saved the revision, as given by the client */
+  author?: string;
+  
+  /** What changed, e.g. `Recorded with codegen` or `Edited steps` */
+  note?: string;
+}
+
+/**
+ * Who saved a revision and why
+ */
+export interface VersionDetails {
+  /** Who saved the revision */
+  author?: string;
+  
+  /** What changed */
+  note?: string;
+}
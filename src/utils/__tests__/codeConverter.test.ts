@@ -0,0 +1,26 @@
+import { parseScript } from '../scriptParser';
+import { convertScript } from '../codeConverter';
+
+const SCRIPT = `import { test } from '@playwright/test';
+
+test('sign in', async ({ page }) => {
+  await page.goto('{{baseUrl}}/login');
+  await page.getByRole('button', { name: 'Hi {{user}}' }).click();
+  await page.getByLabel('Password').fill('{{password}}');
+});
+`;
+
+describe('convertScript', () => {
+  it('replaces variables with their values and lists those without one', () => {
+    const converted = convertScript(parseScript(SCRIPT), 'sign in', 'python', {
+      baseUrl: 'https://example.com',
+      user: 'o\'neil'
+    });
+
+    expect(converted.code).toContain('    page.goto("https://example.com/login")\n');
+    expect(converted.code).toContain('    page.get_by_role("button", name="Hi o\'neil").click()\n');
+    expect(converted.code).toContain('    page.get_by_label("Password").fill("{{password}}")\n');
+    expect(converted.unconverted).toBe(0);
+    expect(converted.unresolvedVariables).toEqual(['password']);
+  });
+});
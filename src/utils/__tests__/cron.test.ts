@@ -0,0 +1,97 @@
+import { CronSchedule, getNextCronTime, isValidTimeZone, parseCron } from '../cron';
+
+const parse = (expression: string): CronSchedule => {
+  const schedule = parseCron(expression);
+  if (typeof schedule === 'string') {
+    throw new Error(schedule);
+  }
+  return schedule;
+};
+
+const next = (expression: string, timeZone: string, after: string): string | undefined =>
+  getNextCronTime(parse(expression), timeZone, new Date(after))?.toISOString();
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    expect(parse('*/15 9-17 * JAN,jul MON-FRI')).toEqual({
+      minutes: [0, 15, 30, 45],
+      hours: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+      daysOfMonth: Array.from({ length: 31 }, (_, i) => i + 1),
+      months: [1, 7],
+      daysOfWeek: [1, 2, 3, 4, 5],
+      daysOfMonthRestricted: false,
+      daysOfWeekRestricted: true
+    });
+  });
+
+  it('reads a start with a step as running to the end of the range', () => {
+    expect(parse('5/20 * * * *').minutes).toEqual([5, 25, 45]);
+  });
+
+  it('accepts 7 as Sunday', () => {
+    expect(parse('0 0 * * 5-7').daysOfWeek).toEqual([0, 5, 6]);
+  });
+
+  it('expands macros', () => {
+    expect(parse('@daily')).toEqual(parse('0 0 * * *'));
+    expect(parse(' @Weekly ')).toEqual(parse('0 0 * * 0'));
+  });
+
+  it('reports invalid expressions', () => {
+    expect(parseCron('* * *')).toBe('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    expect(parseCron('60 * * * *')).toBe('Invalid minute field: 60');
+    expect(parseCron('0 17-9 * * *')).toBe('Invalid hour field: 17-9');
+    expect(parseCron('*/0 * * * *')).toBe('Invalid step in minute field: */0');
+    expect(parseCron('0 0 0 * *')).toBe('Invalid day of month field: 0');
+    expect(parseCron('0 0 * FOO *')).toBe('Invalid month field: FOO');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA time zone names only', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('getNextCronTime', () => {
+  it('returns the next matching minute strictly after the given time', () => {
+    expect(next('30 9 * * *', 'UTC', '2026-03-01T08:00:00Z')).toBe('2026-03-01T09:30:00.000Z');
+    expect(next('30 9 * * *', 'UTC', '2026-03-01T09:30:00Z')).toBe('2026-03-02T09:30:00.000Z');
+    expect(next('*/15 * * * *', 'UTC', '2026-03-01T09:14:59Z')).toBe('2026-03-01T09:15:00.000Z');
+  });
+
+  it('evaluates the schedule on the clock of the time zone', () => {
+    expect(next('0 9 * * *', 'Europe/Paris', '2026-01-15T00:00:00Z')).toBe('2026-01-15T08:00:00.000Z');
+    expect(next('0 9 * * *', 'Europe/Paris', '2026-07-15T00:00:00Z')).toBe('2026-07-15T07:00:00.000Z');
+  });
+
+  it('skips times that a daylight saving change skips', () => {
+    // Clocks in Paris jump from 02:00 to 03:00 on 29 March 2026
+    expect(next('30 2 * * *', 'Europe/Paris', '2026-03-28T12:00:00Z')).toBe('2026-03-30T00:30:00.000Z');
+  });
+
+  it('matches either a restricted day of month or a restricted day of week', () => {
+    // 18 October 2026 is a Sunday
+    expect(next('0 0 1 * 1', 'UTC', '2026-10-18T00:00:00Z')).toBe('2026-10-19T00:00:00.000Z');
+    expect(next('0 0 1 * *', 'UTC', '2026-10-18T00:00:00Z')).toBe('2026-11-01T00:00:00.000Z');
+  });
+
+  it('treats a day field starting with * as unrestricted', () => {
+    // Mondays falling on an odd day of the month, not odd days or Mondays
+    expect(parse('0 0 */2 * 1').daysOfMonthRestricted).toBe(false);
+    expect(next('0 0 */2 * 1', 'UTC', '2026-10-19T00:00:00Z')).toBe('2026-11-09T00:00:00.000Z');
+    expect(parse('0 0 1 * */2').daysOfWeekRestricted).toBe(false);
+  });
+
+  it('finds dates several years ahead', () => {
+    expect(next('0 0 29 2 *', 'UTC', '2026-01-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('returns null for a schedule that never fires', () => {
+    expect(getNextCronTime(parse('0 0 31 2 *'), 'UTC', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+import {
+  findCodeOutsideTests,
+  findSyntaxError,
+  formatStringLiteral,
+  parseScript,
+  parseStep,
+  parseStringLiteral,
+  renderScript,
+  renderStep,
+  splitTopLevel
+} from '../scriptParser';
+
+const SCRIPT = `import { test, expect } from '@playwright/test';
+
+test('sign in', async ({ page }) => {
+  await page.goto('https://example.com/');
+  await page.getByRole('button', { name: 'Sign in' }).click();
+  await page.getByLabel('Email').fill('me@example.com');
+  await expect(page.getByText('Welcome')).toBeVisible();
+  await page.locator('#menu').click({
+    button: 'right'
+  });
+  console.log('done');
+});
+`;
+
+describe('parseScript', () => {
+  it('splits the first test into header, steps and footer', () => {
+    const script = parseScript(SCRIPT);
+
+    expect(script.header).toEqual([
+      'import { test, expect } from \'@playwright/test\';',
+      '',
+      'test(\'sign in\', async ({ page }) => {'
+    ]);
+    expect(script.footer).toEqual(['});', '']);
+    expect(script.indent).toBe('  ');
+    expect(script.testName).toBe('sign in');
+    expect(script.steps.map(step => step.action)).toEqual(['goto', 'click', 'fill', 'expect', 'click', 'raw']);
+  });
+
+  it('reads the page, locator, value and line of each step', () => {
+    const [goto, click, fill, assertion] = parseScript(SCRIPT).steps;
+
+    expect(goto).toMatchObject({ index: 0, page: 'page', value: 'https://example.com/', line: 4 });
+    expect(click).toMatchObject({ index: 1, locator: 'getByRole(\'button\', { name: \'Sign in\' })', line: 5 });
+    expect(fill).toMatchObject({ locator: 'getByLabel(\'Email\')', value: 'me@example.com' });
+    expect(assertion).toMatchObject({ locator: 'getByText(\'Welcome\')', assertion: 'toBeVisible' });
+  });
+
+  it('keeps a statement spanning several lines as one step', () => {
+    const step = parseScript(SCRIPT).steps[4];
+
+    expect(step.line).toBe(8);
+    expect(step.options).toBe('{\n    button: \'right\'\n  }');
+    expect(step.source).toBe('await page.locator(\'#menu\').click({\n    button: \'right\'\n  });');
+  });
+
+  it('keeps unrecognised statements as raw steps', () => {
+    expect(parseScript(SCRIPT).steps[5]).toEqual({ index: 5, action: 'raw', line: 11, source: 'console.log(\'done\');' });
+  });
+
+  it('treats a script without a test block as a list of statements', () => {
+    const script = parseScript('await page.goto(\'https://example.com/\');\nawait page.reload();\n');
+
+    expect(script.header).toEqual([]);
+    expect(script.indent).toBe('');
+    expect(script.testName).toBeUndefined();
+    expect(script.steps.map(step => step.action)).toEqual(['goto', 'raw']);
+  });
+
+  it('renders a parsed script back to the same source', () => {
+    expect(renderScript(parseScript(SCRIPT))).toBe(SCRIPT);
+  });
+});
+
+describe('parseStep', () => {
+  it('parses a select with its option as the value', () => {
+    expect(parseStep('await page.locator(\'#size\').selectOption(\'large\');')).toMatchObject({
+      action: 'select',
+      locator: 'locator(\'#size\')',
+      value: 'large'
+    });
+  });
+
+  it('returns null for statements that are not actions', () => {
+    expect(parseStep('const value = 1;')).toBeNull();
+  });
+});
+
+describe('renderStep', () => {
+  it('renders the statement a step was parsed from', () => {
+    const statement = 'await page.getByLabel(\'Email\').fill(\'it\\\'s me\');';
+    const step = parseStep(statement);
+
+    expect(step).not.toBeNull();
+    expect(renderStep(step!)).toBe(statement);
+  });
+
+  it('returns the source of raw steps unchanged', () => {
+    expect(renderStep({ action: 'raw', source: 'console.log(1);' })).toBe('console.log(1);');
+  });
+});
+
+describe('string literals', () => {
+  it('decodes quotes, escapes and unicode sequences', () => {
+    expect(parseStringLiteral('\'it\\\'s\'')).toBe('it\'s');
+    expect(parseStringLiteral('"a\\nb"')).toBe('a\nb');
+    expect(parseStringLiteral('\'\\u00e9\\x41\\u{1F600}\'')).toBe('éA😀');
+  });
+
+  it('rejects expressions that are not a single literal', () => {
+    expect(parseStringLiteral('\'a\' + \'b\'')).toBeUndefined();
+    expect(parseStringLiteral('`${name}`')).toBeUndefined();
+    expect(parseStringLiteral('name')).toBeUndefined();
+  });
+
+  it('formats values that decode back to themselves', () => {
+    const value = 'line 1\nit\'s \\ done';
+
+    expect(parseStringLiteral(formatStringLiteral(value))).toBe(value);
+  });
+});
+
+describe('splitTopLevel', () => {
+  it('ignores separators inside brackets and strings', () => {
+    expect(splitTopLevel('a, { b, c }, \'d,e\'', ',')).toEqual(['a', '{ b, c }', '\'d,e\'']);
+  });
+});
+
+describe('findSyntaxError', () => {
+  it('returns null for a script that parses', () => {
+    expect(findSyntaxError(SCRIPT, 'test.spec.ts')).toBeNull();
+  });
+
+  it('reports the position of the first syntax error', () => {
+    expect(findSyntaxError('await page.goto(\'https://example.com/\';\n', 'test.spec.ts'))
+      .toMatch(/^Script does not parse \(line 1, column \d+\): /);
+  });
+});
+
+describe('findCodeOutsideTests', () => {
+  it('reports helpers, constants, hooks and settings outside the tests', () => {
+    const source = [
+      'import { test, expect } from \'@playwright/test\';',
+      'type Credentials = { user: string };',
+      'const BASE_URL = \'https://example.com\';',
+      'async function signIn(page) {',
+      '  await page.goto(BASE_URL);',
+      '}',
+      'test.use({ viewport: null });',
+      'test.describe(\'account\', () => {',
+      '  test.beforeEach(async ({ page }) => {});',
+      '  test(\'sign in\', async ({ page }) => {',
+      '    await signIn(page);',
+      '  });',
+      '});',
+      'test(\'other\', async ({ page }) => {});',
+      ''
+    ].join('\n');
+
+    expect(findCodeOutsideTests(source)).toEqual([
+      'line 3: const BASE_URL = \'https://example.com\';',
+      'line 4: async function signIn(page) {',
+      'line 7: test.use({ viewport: null });',
+      'line 9: test.beforeEach(async ({ page }) => {});'
+    ]);
+  });
+
+  it('accepts helpers declared inside the test', () => {
+    const source = SCRIPT.replace('  console.log(\'done\');', '  function done() {\n    console.log(\'done\');\n  }\n  done();');
+
+    expect(findCodeOutsideTests(source)).toEqual([]);
+  });
+
+  it('accepts scripts without a test, which run as a whole', () => {
+    expect(findCodeOutsideTests('const url = \'https://example.com/\';\nawait page.goto(url);\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  findVariables,
+  isValidVariableName,
+  MAX_DATASET_ROWS,
+  normalizeVariables,
+  parseDataset,
+  placeholdersToTemplates,
+  substituteVariables
+} from '../sessionVariables';
+
+describe('findVariables', () => {
+  it('returns each variable once, in order of first use', () => {
+    const source = 'await page.fill(\'#user\', \'{{ user }}\');\nawait page.goto(\'{{baseUrl}}/{{user}}\');';
+
+    expect(findVariables(source)).toEqual(['user', 'baseUrl']);
+  });
+
+  it('ignores braces that are not placeholders', () => {
+    expect(findVariables('{ a: 1 } {{1abc}} {{a-b}}')).toEqual([]);
+  });
+});
+
+describe('isValidVariableName', () => {
+  it('accepts identifiers only', () => {
+    expect(isValidVariableName('user_1')).toBe(true);
+    expect(isValidVariableName('1user')).toBe(false);
+    expect(isValidVariableName('user-name')).toBe(false);
+    expect(isValidVariableName(1)).toBe(false);
+  });
+});
+
+describe('substituteVariables', () => {
+  it('replaces placeholders with their values', () => {
+    expect(substituteVariables('\'{{user}}@{{ domain }}\'', { user: 'me', domain: 'example.com' }))
+      .toBe('\'me@example.com\'');
+  });
+
+  it('escapes values for the string literal around them', () => {
+    expect(substituteVariables('\'{{name}}\'', { name: 'it\'s "a" `b` ${c}\n' }))
+      .toBe('\'it\\\'s \\"a\\" \\`b\\` \\${c}\\n\'');
+  });
+
+  it('leaves placeholders without a value', () => {
+    expect(substituteVariables('\'{{user}}:{{password}}\'', { user: 'me' })).toBe('\'me:{{password}}\'');
+  });
+
+  it('does not read values from the object prototype', () => {
+    expect(substituteVariables('\'{{toString}}\'', {})).toBe('\'{{toString}}\'');
+  });
+});
+
+describe('placeholdersToTemplates', () => {
+  it('rewrites literals holding placeholders as template literals', () => {
+    expect(placeholdersToTemplates('await page.fill(\'#email\', \'{{user}}@example.com\');', 'variables'))
+      .toBe('await page.fill(\'#email\', `${variables.user}@example.com`);');
+  });
+
+  it('escapes the rest of the literal for a template', () => {
+    expect(placeholdersToTemplates('"{{a}} `${b}`"', 'env')).toBe('`${env.a} \\`\\${b}\\``');
+  });
+
+  it('leaves literals without placeholders unchanged', () => {
+    expect(placeholdersToTemplates('await page.goto(\'https://example.com/\');', 'variables'))
+      .toBe('await page.goto(\'https://example.com/\');');
+  });
+});
+
+describe('normalizeVariables', () => {
+  it('converts numbers and booleans to strings', () => {
+    expect(normalizeVariables({ count: 3, enabled: false, name: 'me' }))
+      .toEqual({ count: '3', enabled: 'false', name: 'me' });
+  });
+
+  it('rejects values that are not a map of names to scalars', () => {
+    expect(normalizeVariables(['a'])).toBe('variables must be an object mapping names to values');
+    expect(normalizeVariables({ 'bad-name': 'x' })).toBe('Invalid variable name: bad-name');
+    expect(normalizeVariables({ user: { name: 'me' } })).toBe('Value of variable user must be a string, number or boolean');
+  });
+});
+
+describe('parseDataset', () => {
+  it('accepts an array of objects', () => {
+    expect(parseDataset([{ user: 'a', age: 1 }])).toEqual([{ user: 'a', age: '1' }]);
+  });
+
+  it('accepts JSON text', () => {
+    expect(parseDataset('[{"user":"a"},{"user":"b"}]')).toEqual([{ user: 'a' }, { user: 'b' }]);
+  });
+
+  it('accepts CSV text with quoted fields', () => {
+    const csv = '\uFEFFuser, note\r\na,"one, ""two""\nthree"\n\nb,\n';
+
+    expect(parseDataset(csv)).toEqual([
+      { user: 'a', note: 'one, "two"\nthree' },
+      { user: 'b', note: '' }
+    ]);
+  });
+
+  it('reports rows with the wrong number of fields', () => {
+    expect(parseDataset('user,note\na,b\nc\n')).toBe('dataset CSV row 3 has 1 fields, expected 2');
+  });
+
+  it('reports the row of an invalid value', () => {
+    expect(parseDataset([{ user: 'a' }, { user: null }]))
+      .toBe('dataset row 2: Value of variable user must be a string, number or boolean');
+  });
+
+  it('rejects empty and oversized datasets', () => {
+    expect(parseDataset([])).toBe('dataset must contain at least one row');
+    expect(parseDataset('[not json')).toBe('dataset is not valid JSON');
+    expect(parseDataset(Array.from({ length: MAX_DATASET_ROWS + 1 }, () => ({}))))
+      .toBe(`dataset must not contain more than ${MAX_DATASET_ROWS} rows`);
+    expect(parseDataset(42)).toBe('dataset must be an array of objects, JSON text or CSV text');
+  });
+});
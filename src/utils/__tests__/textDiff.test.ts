@@ -0,0 +1,89 @@
+import { createUnifiedDiff } from '../textDiff';
+
+const lines = (...values: (string | number)[]): string => values.map(value => `${value}\n`).join('');
+
+describe('createUnifiedDiff', () => {
+  it('returns an empty string for equal texts', () => {
+    expect(createUnifiedDiff(lines('a', 'b'), lines('a', 'b'), 'v1', 'v2')).toBe('');
+  });
+
+  it('shows a changed line with its context', () => {
+    expect(createUnifiedDiff(lines('a', 'b', 'c'), lines('a', 'B', 'c'), 'v1', 'v2')).toBe([
+      '--- v1',
+      '+++ v2',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ''
+    ].join('\n'));
+  });
+
+  it('splits distant changes into separate hunks', () => {
+    const before = lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12);
+    const after = lines(1, 'X', 3, 4, 5, 6, 7, 8, 9, 10, 'Y', 12);
+
+    expect(createUnifiedDiff(before, after, 'a', 'b')).toBe([
+      '--- a',
+      '+++ b',
+      '@@ -1,5 +1,5 @@',
+      ' 1',
+      '-2',
+      '+X',
+      ' 3',
+      ' 4',
+      ' 5',
+      '@@ -8,5 +8,5 @@',
+      ' 8',
+      ' 9',
+      ' 10',
+      '-11',
+      '+Y',
+      ' 12',
+      ''
+    ].join('\n'));
+  });
+
+  it('joins changes close enough to share context into one hunk', () => {
+    const diff = createUnifiedDiff(lines(1, 2, 3, 4, 5, 6, 7, 8, 9), lines(1, 'X', 3, 4, 5, 6, 7, 'Y', 9), 'a', 'b');
+
+    expect(diff.match(/^@@/gm)).toHaveLength(1);
+    expect(diff).toContain('@@ -1,9 +1,9 @@\n');
+  });
+
+  it('finds the shortest list of edits', () => {
+    const diff = createUnifiedDiff(lines('a', 'b', 'c', 'a', 'b', 'b', 'a'), lines('c', 'b', 'a', 'b', 'a', 'c'), 'a', 'b');
+    const edits = diff.split('\n').filter(line => /^[-+](?![-+])/.test(line));
+
+    expect(edits).toHaveLength(5);
+  });
+
+  it('uses empty ranges for texts without lines', () => {
+    expect(createUnifiedDiff('', lines('x'), 'v1', 'v2')).toBe('--- v1\n+++ v2\n@@ -0,0 +1 @@\n+x\n');
+    expect(createUnifiedDiff(lines('x'), '', 'v1', 'v2')).toBe('--- v1\n+++ v2\n@@ -1 +0,0 @@\n-x\n');
+  });
+
+  it('marks a last line without a newline', () => {
+    expect(createUnifiedDiff('a\nb', lines('a', 'b'), 'v1', 'v2')).toBe([
+      '--- v1',
+      '+++ v2',
+      '@@ -1,2 +1,2 @@',
+      ' a',
+      '-b',
+      '\\ No newline at end of file',
+      '+b',
+      ''
+    ].join('\n'));
+  });
+
+  it('shows texts too different to search as replaced', () => {
+    const count = 3000;
+    const before = lines(...Array.from({ length: count }, (_, i) => `old ${i}`));
+    const after = lines(...Array.from({ length: count }, (_, i) => `new ${i}`));
+    const diff = createUnifiedDiff(before, after, 'a', 'b');
+
+    expect(diff.startsWith(`--- a\n+++ b\n@@ -1,${count} +1,${count} @@\n-old 0\n`)).toBe(true);
+    expect(diff.endsWith(`+new ${count - 1}\n`)).toBe(true);
+  });
+});
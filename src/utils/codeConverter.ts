@@ -0,0 +1,1322 @@
+/**
+ * Converter turning the parsed steps of a session script into equivalent code for other
+ * languages and browser automation frameworks
+ */
+
+import { ParsedScript, SessionStep } from '../types/step';
+import { splitTopLevel, parseSegment, parseStep, parseStringLiteral, formatStringLiteral } from './scriptParser';
+import { findVariables, substituteVariables } from './sessionVariables';
+
+/**
+ * Language or framework a session script can be converted to
+ */
+export type CodeTarget = 'python' | 'java' | 'csharp' | 'javascript' | 'puppeteer' | 'selenium';
+
+export const CODE_TARGETS: CodeTarget[] = ['python', 'java', 'csharp', 'javascript', 'puppeteer', 'selenium'];
+
+/**
+ * Result of converting a script
+ */
+export interface ConvertedCode {
+  /** Source of the converted script */
+  code: string;
+
+  /** Suggested file name for the converted script */
+  fileName: string;
+
+  /** Number of statements left as comments because they have no equivalent */
+  unconverted: number;
+
+  /** Names of the `{{variables}}` without a value, left as placeholders in the code */
+  unresolvedVariables: string[];
+}
+
+/**
+ * Value of a literal argument in a locator chain or options object
+ */
+export type Literal =
+  | { kind: 'string'; value: string }
+  | { kind: 'number'; value: number }
+  | { kind: 'boolean'; value: boolean }
+  | { kind: 'regex'; source: string; flags: string }
+  | { kind: 'object'; entries: [string, Literal][] }
+  | { kind: 'array'; items: Literal[] };
+
+/**
+ * A call in a locator chain, e.g. `getByRole('button', { name: 'Save' })`
+ */
+export interface LocatorCall {
+  method: string;
+  args: Literal[];
+}
+
+// An action waiting for the popup or download it triggers, as codegen writes it:
+//   const page1Promise = page.waitForEvent('popup');
+//   await page.getByRole('link', { name: 'Docs' }).click();
+//   const page1 = await page1Promise;
+interface WaitBlock {
+  event: 'popup' | 'download';
+  page: string;
+  result: string;
+  action: SessionStep;
+  statements: SessionStep[];
+}
+
+// Names derived from the test name for identifiers and file names
+interface TestNames {
+  title: string;
+  slug: string;
+  snake: string;
+  pascal: string;
+  camel: string;
+}
+
+// State shared by the steps of a conversion
+interface ConversionState {
+  /** Page variable the browser is switched to, for frameworks with a single window handle */
+  currentPage: string;
+
+  /** Whether the script opens more pages than the first */
+  multiplePages: boolean;
+}
+
+// Converter for one target
+interface CodeWriter {
+  /** File name of the converted script */
+  fileName(names: TestNames): string;
+
+  /** Comment prefix of the language */
+  comment: string;
+
+  /** Convert a step, or return null when it has no equivalent */
+  step(step: SessionStep, state: ConversionState): string[] | null;
+
+  /** Convert an action waiting for a popup or download, or return null when it has no equivalent */
+  wait(block: WaitBlock, action: string[], state: ConversionState): string[] | null;
+
+  /** Wrap the converted statements in a runnable file */
+  file(names: TestNames, body: string[], state: ConversionState): string;
+}
+
+const WAIT_START_PATTERN = /^const ([A-Za-z_$][\w$]*) = ([A-Za-z_$][\w$]*)\.waitForEvent\((['"])(popup|download)\3\);$/;
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Options whose string values are enum constants in Java and C#
+const ENUM_OPTIONS: Record<string, string> = {
+  button: 'MouseButton',
+  waitUntil: 'WaitUntilState'
+};
+
+// C# names of enum values that are not simply capitalized
+const CSHARP_ENUM_VALUES: Record<string, string> = {
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'NetworkIdle'
+};
+
+/**
+ * Parse the text of a literal argument
+ * @returns The literal, or null for anything that is not a plain value (variables, calls, ...)
+ */
+function parseLiteral(text: string): Literal | null {
+  const trimmed = text.trim();
+
+  const value = parseStringLiteral(trimmed);
+  if (value !== undefined) {
+    return { kind: 'string', value };
+  }
+  if (NUMBER_PATTERN.test(trimmed)) {
+    return { kind: 'number', value: Number(trimmed) };
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return { kind: 'boolean', value: trimmed === 'true' };
+  }
+
+  const regex = trimmed.match(/^\/((?:\\.|[^\\/])+)\/([dgimsuy]*)$/);
+  if (regex) {
+    return { kind: 'regex', source: regex[1], flags: regex[2] };
+  }
+
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    const items = splitTopLevel(trimmed.slice(1, -1), ',').filter(Boolean).map(parseLiteral);
+    return items.every(item => item) ? { kind: 'array', items: items as Literal[] } : null;
+  }
+
+  if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+    const entries: [string, Literal][] = [];
+    for (const entry of splitTopLevel(trimmed.slice(1, -1), ',').filter(Boolean)) {
+      const [key, ...rest] = splitTopLevel(entry, ':');
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : parseStringLiteral(key);
+      const item = rest.length ? parseLiteral(rest.join(':')) : null;
+      if (name === undefined || !item) {
+        return null;
+      }
+      entries.push([name, item]);
+    }
+    return { kind: 'object', entries };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the argument list of a call into literals
+ * @returns The arguments, or null if one of them is not a literal
+ */
+function parseArgs(text: string | undefined): Literal[] | null {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  const args = splitTopLevel(text, ',').map(parseLiteral);
+  return args.every(arg => arg) ? args as Literal[] : null;
+}
+
+/**
+ * Parse a locator expression such as `getByText('Menu').first()` into its calls
+ */
+export function parseLocator(locator: string | undefined): LocatorCall[] | null {
+  if (!locator) {
+    return null;
+  }
+
+  const calls: LocatorCall[] = [];
+  for (const part of splitTopLevel(locator, '.')) {
+    const segment = parseSegment(part);
+    const args = segment && segment.args !== undefined ? parseArgs(segment.args) : null;
+    if (!segment || !args) {
+      return null;
+    }
+    calls.push({ method: segment.name, args });
+  }
+  return calls;
+}
+
+/**
+ * Parse the extra options argument of a step
+ * @returns The options entries, an empty list when there are none, or null if they are not literal
+ */
+export function parseOptions(options: string | undefined): [string, Literal][] | null {
+  if (!options) {
+    return [];
+  }
+  const literal = parseLiteral(options);
+  return literal && literal.kind === 'object' ? literal.entries : null;
+}
+
+/**
+ * Group the statements codegen writes around actions opening a popup or starting a download
+ */
+function groupSteps(steps: SessionStep[]): (SessionStep | WaitBlock)[] {
+  const blocks: (SessionStep | WaitBlock)[] = [];
+
+  for (let i = 0; i < steps.length; i++) {
+    const start = steps[i].action === 'raw' ? steps[i].source.match(WAIT_START_PATTERN) : null;
+    const action = steps[i + 1];
+    const end = steps[i + 2]?.source.match(/^const ([A-Za-z_$][\w$]*) = await ([A-Za-z_$][\w$]*);$/);
+
+    if (start && action && action.action !== 'raw' && action.action !== 'expect' && end && end[2] === start[1]) {
+      blocks.push({
+        event: start[4] as WaitBlock['event'],
+        page: start[2],
+        result: end[1],
+        action,
+        statements: steps.slice(i, i + 3)
+      });
+      i += 2;
+    } else {
+      blocks.push(steps[i]);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a name into words for identifiers
+ */
+function toWords(name: string): string[] {
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  return words.length && !/^\d/.test(words[0]) ? words : ['session', ...words];
+}
+
+const capitalize = (word: string): string => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Convert a camelCase method or option name to snake_case, e.g. `toHaveURL` to `to_have_url`
+ */
+function toSnakeCase(name: string): string {
+  return name
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * Derive identifiers and file name parts from a test name
+ */
+function getTestNames(title: string): TestNames {
+  const words = toWords(title);
+  const pascal = words.map(capitalize).join('');
+  return {
+    title,
+    slug: words.join('-'),
+    snake: words.join('_'),
+    pascal,
+    camel: pascal.charAt(0).toLowerCase() + pascal.slice(1)
+  };
+}
+
+/**
+ * Quote a string for Java or C#, whose escapes cover JSON's
+ */
+const quote = (value: string): string => JSON.stringify(value);
+
+/**
+ * Quote a string for Python, in single quotes when that saves escaping double quotes
+ */
+function pythonString(value: string): string {
+  if (!value.includes('"') || value.includes('\'')) {
+    return quote(value);
+  }
+  return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"')}'`;
+}
+
+/**
+ * Indent the lines of a block
+ */
+const indent = (lines: string[], prefix: string): string[] =>
+  lines.map(line => line ? `${prefix}${line}` : line);
+
+// ===== Playwright for Python, Java and C# =====
+
+// Language-specific pieces of the Playwright APIs
+interface PlaywrightDialect {
+  /** Name of a page variable */
+  page(name: string): string;
+
+  /** Literal value, or null if the language has no simple equivalent */
+  literal(value: Literal): string | null;
+
+  /** Call of a locator method, or null if it cannot be converted */
+  call(receiver: 'Page' | 'Locator' | 'FrameLocator', call: LocatorCall): string | null;
+
+  /** Options argument, or null if it cannot be converted */
+  options(optionsClass: string, entries: [string, Literal][]): string | null;
+}
+
+/**
+ * Render a locator chain with a Playwright dialect
+ */
+function renderPlaywrightLocator(dialect: PlaywrightDialect, page: string, locator: string | undefined): string | null {
+  const calls = parseLocator(locator);
+  if (!calls) {
+    return null;
+  }
+
+  let receiver: 'Page' | 'Locator' | 'FrameLocator' = 'Page';
+  let expression = dialect.page(page);
+  for (const call of calls) {
+    const rendered = dialect.call(receiver, call);
+    if (rendered === null) {
+      return null;
+    }
+    expression += rendered;
+    receiver = call.method === 'frameLocator' || call.method === 'contentFrame' ? 'FrameLocator' : 'Locator';
+  }
+  return expression;
+}
+
+/**
+ * Render the arguments of a locator method call, with options objects in the dialect's form
+ */
+function renderCallArgs(dialect: PlaywrightDialect, optionsClass: string, args: Literal[]): string | null {
+  const rendered = args.map(arg => arg.kind === 'object' ? dialect.options(optionsClass, arg.entries) : dialect.literal(arg));
+  return rendered.every(arg => arg !== null) ? rendered.filter(Boolean).join(', ') : null;
+}
+
+/**
+ * Java assertion method for a Playwright Test matcher, e.g. `toBeVisible` to `isVisible`
+ */
+function toJavaAssertion(matcher: string): string | null {
+  const match = matcher.match(/^(toBe|toHave|toContain|toMatch)(\w+)$/);
+  if (!match) {
+    return null;
+  }
+  const prefixes: Record<string, string> = { toBe: 'is', toHave: 'has', toContain: 'contains', toMatch: 'matches' };
+  return `${prefixes[match[1]]}${match[2]}`;
+}
+
+const pythonDialect: PlaywrightDialect = {
+  page: name => name,
+  literal(value) {
+    switch (value.kind) {
+      case 'string':
+        return pythonString(value.value);
+      case 'number':
+        return String(value.value);
+      case 'boolean':
+        return value.value ? 'True' : 'False';
+      case 'regex':
+        return `re.compile(${quote(value.source)}${value.flags.includes('i') ? ', re.IGNORECASE' : ''})`;
+      case 'array': {
+        const items = value.items.map(item => this.literal(item));
+        return items.every(item => item !== null) ? `[${items.join(', ')}]` : null;
+      }
+      case 'object': {
+        const entries = value.entries.map(([key, item]) => [key, this.literal(item)]);
+        return entries.every(([, item]) => item !== null)
+          ? `{${entries.map(([key, item]) => `${quote(key as string)}: ${item}`).join(', ')}}`
+          : null;
+      }
+    }
+  },
+  call(receiver, call) {
+    if (['first', 'last', 'contentFrame'].includes(call.method) && call.args.length === 0) {
+      return `.${toSnakeCase(call.method)}`;
+    }
+    const args = renderCallArgs(this, '', call.args);
+    return args === null ? null : `.${toSnakeCase(call.method)}(${args})`;
+  },
+  options(optionsClass, entries) {
+    const rendered = entries.map(([key, value]) => [toSnakeCase(key), this.literal(value)]);
+    return rendered.every(([, value]) => value !== null)
+      ? rendered.map(([key, value]) => `${key}=${value}`).join(', ')
+      : null;
+  }
+};
+
+const javaDialect: PlaywrightDialect = {
+  page: name => name,
+  literal(value) {
+    switch (value.kind) {
+      case 'string':
+        return quote(value.value);
+      case 'number':
+      case 'boolean':
+        return String(value.value);
+      case 'regex':
+        return `Pattern.compile(${quote(value.source)}${value.flags.includes('i') ? ', Pattern.CASE_INSENSITIVE' : ''})`;
+      default:
+        return null;
+    }
+  },
+  call(receiver, call) {
+    const [first, ...rest] = call.args;
+    const role = call.method === 'getByRole' && first?.kind === 'string'
+      ? `AriaRole.${first.value.toUpperCase()}`
+      : null;
+    const args = role
+      ? renderCallArgs(this, `${receiver}.GetByRoleOptions`, rest)
+      : renderCallArgs(this, `${receiver}.${capitalize(call.method)}Options`, call.args);
+    return args === null ? null : `.${call.method}(${[role, args].filter(Boolean).join(', ')})`;
+  },
+  options(optionsClass, entries) {
+    const setters = entries.map(([key, value]) => {
+      const rendered = ENUM_OPTIONS[key] && value.kind === 'string'
+        ? `${ENUM_OPTIONS[key]}.${value.value.toUpperCase()}`
+        : this.literal(value);
+      return rendered === null ? null : `.set${capitalize(key)}(${rendered})`;
+    });
+    return setters.every(setter => setter !== null) ? `new ${optionsClass}()${setters.join('')}` : null;
+  }
+};
+
+const csharpDialect: PlaywrightDialect = {
+  page: name => name === 'page' ? 'Page' : name,
+  literal(value) {
+    switch (value.kind) {
+      case 'string':
+        return quote(value.value);
+      case 'number':
+      case 'boolean':
+        return String(value.value);
+      case 'regex':
+        return `new Regex(${quote(value.source)}${value.flags.includes('i') ? ', RegexOptions.IgnoreCase' : ''})`;
+      default:
+        return null;
+    }
+  },
+  call(receiver, call) {
+    if (['first', 'last', 'contentFrame'].includes(call.method) && call.args.length === 0) {
+      return `.${capitalize(call.method)}`;
+    }
+    const [first, ...rest] = call.args;
+    const role = call.method === 'getByRole' && first?.kind === 'string'
+      ? `AriaRole.${capitalize(first.value)}`
+      : null;
+    const args = renderCallArgs(this, '', role ? rest : call.args);
+    return args === null ? null : `.${capitalize(call.method)}(${[role, args].filter(Boolean).join(', ')})`;
+  },
+  options(optionsClass, entries) {
+    const properties = entries.map(([key, value]) => {
+      const rendered = ENUM_OPTIONS[key] && value.kind === 'string'
+        ? `${ENUM_OPTIONS[key]}.${CSHARP_ENUM_VALUES[value.value] || capitalize(value.value)}`
+        : this.literal(value);
+      return rendered === null ? null : `${capitalize(key)} = ${rendered}`;
+    });
+    return properties.every(property => property !== null) ? `new() { ${properties.join(', ')} }` : null;
+  }
+};
+
+/**
+ * Render a step's value and options as call arguments
+ */
+function renderStepArgs(
+  dialect: PlaywrightDialect,
+  optionsClass: string,
+  value: string | undefined,
+  options: string | undefined
+): string | null {
+  const entries = parseOptions(options);
+  if (!entries) {
+    return null;
+  }
+  const rendered = entries.length ? dialect.options(optionsClass, entries) : '';
+  if (rendered === null) {
+    return null;
+  }
+  return [value, rendered].filter(Boolean).join(', ');
+}
+
+// Playwright Test matchers of an expect step split into negation and matcher
+function splitAssertion(assertion: string | undefined): { negated: boolean; matcher: string } | null {
+  const parts = (assertion || '').split('.');
+  if (parts.length === 1 && parts[0]) {
+    return { negated: false, matcher: parts[0] };
+  }
+  if (parts.length === 2 && parts[0] === 'not') {
+    return { negated: true, matcher: parts[1] };
+  }
+  return null;
+}
+
+const pythonWriter: CodeWriter = {
+  comment: '#',
+  fileName: names => `test_${names.snake}.py`,
+  step(step) {
+    const page = pythonDialect.page(step.page || 'page');
+    const value = step.value !== undefined ? pythonString(step.value) : undefined;
+
+    if (step.action === 'goto') {
+      const args = renderStepArgs(pythonDialect, '', value, step.options);
+      return args === null ? null : [`${page}.goto(${args})`];
+    }
+
+    if (step.action === 'expect') {
+      const assertion = splitAssertion(step.assertion);
+      const subject = step.locator ? renderPlaywrightLocator(pythonDialect, step.page || 'page', step.locator) : page;
+      const args = renderStepArgs(pythonDialect, '', value, step.options);
+      if (!assertion || !subject || args === null) {
+        return null;
+      }
+      return [`expect(${subject}).${assertion.negated ? 'not_' : ''}${toSnakeCase(assertion.matcher)}(${args})`];
+    }
+
+    const subject = renderPlaywrightLocator(pythonDialect, step.page || 'page', step.locator);
+    const method = step.action === 'select' ? 'select_option' : step.action;
+    const args = renderStepArgs(pythonDialect, '', value, step.options);
+    return subject && args !== null ? [`${subject}.${method}(${args})`] : null;
+  },
+  wait(block, action) {
+    return [
+      `with ${block.page}.expect_${block.event}() as ${block.result}_info:`,
+      ...indent(action, '    '),
+      `${block.result} = ${block.result}_info.value`
+    ];
+  },
+  file(names, body) {
+    return [
+      'import re',
+      'from playwright.sync_api import Page, expect',
+      '',
+      '',
+      `def test_${names.snake}(page: Page) -> None:`,
+      ...indent(body.length ? body : ['pass'], '    '),
+      ''
+    ].join('\n');
+  }
+};
+
+const javaWriter: CodeWriter = {
+  comment: '//',
+  fileName: names => `${names.pascal}Test.java`,
+  step(step) {
+    const page = step.page || 'page';
+    const value = step.value !== undefined ? quote(step.value) : undefined;
+
+    if (step.action === 'goto') {
+      const args = renderStepArgs(javaDialect, 'Page.NavigateOptions', value, step.options);
+      return args === null ? null : [`${page}.navigate(${args});`];
+    }
+
+    if (step.action === 'expect') {
+      const assertion = splitAssertion(step.assertion);
+      const method = assertion && toJavaAssertion(assertion.matcher);
+      const subject = step.locator ? renderPlaywrightLocator(javaDialect, page, step.locator) : page;
+      const optionsClass = `${step.locator ? 'LocatorAssertions' : 'PageAssertions'}.${capitalize(method || '')}Options`;
+      const args = renderStepArgs(javaDialect, optionsClass, value, step.options);
+      if (!assertion || !method || !subject || args === null) {
+        return null;
+      }
+      return [`assertThat(${subject})${assertion.negated ? '.not()' : ''}.${method}(${args});`];
+    }
+
+    const subject = renderPlaywrightLocator(javaDialect, page, step.locator);
+    const method = step.action === 'select' ? 'selectOption' : step.action;
+    const args = renderStepArgs(javaDialect, `Locator.${capitalize(method)}Options`, value, step.options);
+    return subject && args !== null ? [`${subject}.${method}(${args});`] : null;
+  },
+  wait(block, action) {
+    const type = block.event === 'popup' ? 'Page' : 'Download';
+    return [
+      `${type} ${block.result} = ${block.page}.waitFor${capitalize(block.event)}(() -> {`,
+      ...indent(action, '    '),
+      '});'
+    ];
+  },
+  file(names, body) {
+    return [
+      'import com.microsoft.playwright.*;',
+      'import com.microsoft.playwright.assertions.*;',
+      'import com.microsoft.playwright.junit.UsePlaywright;',
+      'import com.microsoft.playwright.options.*;',
+      'import org.junit.jupiter.api.Test;',
+      '',
+      'import java.util.regex.Pattern;',
+      '',
+      'import static com.microsoft.playwright.assertions.PlaywrightAssertions.assertThat;',
+      '',
+      '@UsePlaywright',
+      `public class ${names.pascal}Test {`,
+      '    @Test',
+      `    void ${names.camel}(Page page) {`,
+      ...indent(body, '        '),
+      '    }',
+      '}',
+      ''
+    ].join('\n');
+  }
+};
+
+// C# names of the locator actions
+const CSHARP_ACTIONS: Record<string, string> = {
+  click: 'ClickAsync',
+  dblclick: 'DblClickAsync',
+  hover: 'HoverAsync',
+  fill: 'FillAsync',
+  press: 'PressAsync',
+  check: 'CheckAsync',
+  uncheck: 'UncheckAsync',
+  select: 'SelectOptionAsync'
+};
+
+const csharpWriter: CodeWriter = {
+  comment: '//',
+  fileName: names => `${names.pascal}Test.cs`,
+  step(step) {
+    const page = csharpDialect.page(step.page || 'page');
+    const value = step.value !== undefined
+      ? step.action === 'select' ? `new[] { ${quote(step.value)} }` : quote(step.value)
+      : undefined;
+
+    if (step.action === 'goto') {
+      const args = renderStepArgs(csharpDialect, '', value, step.options);
+      return args === null ? null : [`await ${page}.GotoAsync(${args});`];
+    }
+
+    if (step.action === 'expect') {
+      const assertion = splitAssertion(step.assertion);
+      const subject = step.locator ? renderPlaywrightLocator(csharpDialect, step.page || 'page', step.locator) : page;
+      const args = renderStepArgs(csharpDialect, '', value, step.options);
+      if (!assertion || !subject || args === null) {
+        return null;
+      }
+      return [`await Expect(${subject})${assertion.negated ? '.Not' : ''}.${capitalize(assertion.matcher)}Async(${args});`];
+    }
+
+    const subject = renderPlaywrightLocator(csharpDialect, step.page || 'page', step.locator);
+    const args = renderStepArgs(csharpDialect, '', value, step.options);
+    return subject && args !== null ? [`await ${subject}.${CSHARP_ACTIONS[step.action]}(${args});`] : null;
+  },
+  wait(block, action) {
+    return [
+      `var ${block.result} = await ${csharpDialect.page(block.page)}.RunAndWaitFor${capitalize(block.event)}Async(async () =>`,
+      '{',
+      ...indent(action, '    '),
+      '});'
+    ];
+  },
+  file(names, body) {
+    return [
+      'using System.Text.RegularExpressions;',
+      'using System.Threading.Tasks;',
+      'using Microsoft.Playwright;',
+      'using Microsoft.Playwright.NUnit;',
+      'using NUnit.Framework;',
+      '',
+      '[Parallelizable(ParallelScope.Self)]',
+      '[TestFixture]',
+      `public class ${names.pascal}Test : PageTest`,
+      '{',
+      '    [Test]',
+      `    public async Task ${names.pascal}()`,
+      '    {',
+      ...indent(body, '        '),
+      '    }',
+      '}',
+      ''
+    ].join('\n');
+  }
+};
+
+// ===== Playwright Test in JavaScript =====
+
+const javascriptWriter: CodeWriter = {
+  comment: '//',
+  fileName: names => `${names.slug}.spec.js`,
+  step: step => step.source.split('\n'),
+  wait: block => block.statements.flatMap(statement => statement.source.split('\n')),
+  file(names, body) {
+    return [
+      'const { test, expect } = require(\'@playwright/test\');',
+      '',
+      `test(${formatStringLiteral(names.title)}, async ({ page }) => {`,
+      ...indent(body, '  '),
+      '});',
+      ''
+    ].join('\n');
+  }
+};
+
+// ===== Puppeteer =====
+
+/**
+ * Quote a value for a CSS attribute selector or Puppeteer selector argument
+ */
+const cssString = (value: string): string => JSON.stringify(value);
+
+/**
+ * Build a Puppeteer selector for a locator chain; Puppeteer returns the first match
+ * @returns The selector, or null if the locator uses something Puppeteer cannot select by
+ */
+function toPuppeteerSelector(locator: string | undefined): string | null {
+  const calls = parseLocator(locator);
+  if (!calls) {
+    return null;
+  }
+
+  const parts: string[] = [];
+  for (const { method, args } of calls) {
+    const [first, options] = args;
+    const text = first?.kind === 'string' ? first.value : undefined;
+    const name = options?.kind === 'object' ? options.entries.find(([key]) => key === 'name')?.[1] : undefined;
+
+    if (method === 'first' && args.length === 0) {
+      continue;
+    }
+    if (text === undefined || (name && name.kind !== 'string')) {
+      return null;
+    }
+
+    switch (method) {
+      case 'getByRole':
+        parts.push(`::-p-aria(${name?.kind === 'string' ? `[name=${cssString(name.value)}]` : ''}[role=${cssString(text)}])`);
+        break;
+      case 'getByText':
+        parts.push(`::-p-text(${cssString(text)})`);
+        break;
+      case 'getByLabel':
+        parts.push(`::-p-aria(${cssString(text)})`);
+        break;
+      case 'getByPlaceholder':
+        parts.push(`[placeholder=${cssString(text)}]`);
+        break;
+      case 'getByTestId':
+        parts.push(`[data-testid=${cssString(text)}]`);
+        break;
+      case 'getByTitle':
+        parts.push(`[title=${cssString(text)}]`);
+        break;
+      case 'getByAltText':
+        parts.push(`[alt=${cssString(text)}]`);
+        break;
+      case 'locator':
+        if (/^(xpath=|\/|\()/.test(text)) {
+          parts.push(`::-p-xpath(${text.replace(/^xpath=/, '')})`);
+        } else if (/>>|:has-text\(|^(text|role|internal:)[=:]/.test(text)) {
+          return null;
+        } else {
+          parts.push(text);
+        }
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Convert a Playwright click options object to Puppeteer's
+ */
+function toPuppeteerClickOptions(options: string | undefined): string | null {
+  const entries = parseOptions(options);
+  if (!entries) {
+    return null;
+  }
+
+  const converted: string[] = [];
+  for (const [key, value] of entries) {
+    if (key === 'button' && value.kind === 'string') {
+      converted.push(`button: ${formatStringLiteral(value.value)}`);
+    } else if ((key === 'clickCount' || key === 'delay') && value.kind === 'number') {
+      converted.push(`${key === 'clickCount' ? 'count' : key}: ${value.value}`);
+    } else {
+      return null;
+    }
+  }
+  return converted.length ? `{ ${converted.join(', ')} }` : '';
+}
+
+const puppeteerWriter: CodeWriter = {
+  comment: '//',
+  fileName: names => `${names.slug}.js`,
+  step(step) {
+    const page = step.page || 'page';
+    const value = step.value !== undefined ? formatStringLiteral(step.value) : '';
+
+    if (step.action === 'goto') {
+      return step.options ? null : [`await ${page}.goto(${value});`];
+    }
+
+    if (step.action === 'expect' && !step.locator) {
+      const assertion = splitAssertion(step.assertion);
+      const equal = assertion?.negated ? 'notStrictEqual' : 'strictEqual';
+      if (!assertion || step.value === undefined || step.options) {
+        return null;
+      }
+      if (assertion.matcher === 'toHaveURL') {
+        return [`assert.${equal}(${page}.url(), ${value});`];
+      }
+      if (assertion.matcher === 'toHaveTitle') {
+        return [`assert.${equal}(await ${page}.title(), ${value});`];
+      }
+      return null;
+    }
+
+    const selector = toPuppeteerSelector(step.locator);
+    if (!selector) {
+      return null;
+    }
+    const locator = `${page}.locator(${formatStringLiteral(selector)})`;
+
+    switch (step.action) {
+      case 'click':
+      case 'dblclick': {
+        const options = toPuppeteerClickOptions(step.options);
+        if (options === null) {
+          return null;
+        }
+        const count = step.action === 'dblclick' ? 'count: 2' : '';
+        const merged = [count, options.replace(/^\{ | \}$/g, '')].filter(Boolean).join(', ');
+        return [`await ${locator}.click(${merged ? `{ ${merged} }` : ''});`];
+      }
+      case 'hover':
+        return step.options ? null : [`await ${locator}.hover();`];
+      case 'fill':
+        return step.options ? null : [`await ${locator}.fill(${value});`];
+      case 'press':
+        // ElementHandle.press takes a single key, not a combination such as Control+A
+        return step.options || /.\+/.test(step.value || '') ? null : [`await (await ${locator}.waitHandle()).press(${value});`];
+      case 'check':
+      case 'uncheck':
+        return step.options ? null : [
+          `await ${locator}.map(el => { if (${step.action === 'check' ? '!' : ''}el.checked) el.click(); return true; }).wait();`
+        ];
+      case 'select':
+        return step.options ? null : [
+          `await ${page}.waitForSelector(${formatStringLiteral(selector)});`,
+          `await ${page}.select(${formatStringLiteral(selector)}, ${value});`
+        ];
+      case 'expect': {
+        const assertion = splitAssertion(step.assertion);
+        if (!assertion || step.options) {
+          return null;
+        }
+        const visible = assertion.matcher === 'toBeVisible' ? !assertion.negated
+          : assertion.matcher === 'toBeHidden' ? assertion.negated
+            : undefined;
+        if (visible !== undefined) {
+          return [`await ${locator}.setVisibility('${visible ? 'visible' : 'hidden'}').wait();`];
+        }
+
+        const properties: Record<string, string> = {
+          toHaveText: 'el.textContent.trim()',
+          toContainText: 'el.textContent',
+          toHaveValue: 'el.value'
+        };
+        const property = properties[assertion.matcher];
+        if (!property || step.value === undefined) {
+          return null;
+        }
+        const actual = `await ${locator}.map(el => ${property}).wait()`;
+        return assertion.matcher === 'toContainText'
+          ? [`assert.ok(${assertion.negated ? '!' : ''}(${actual}).includes(${value}));`]
+          : [`assert.${assertion.negated ? 'notStrictEqual' : 'strictEqual'}(${actual}, ${value});`];
+      }
+      default:
+        return null;
+    }
+  },
+  wait(block, action) {
+    if (block.event !== 'popup') {
+      return null;
+    }
+    return [
+      `const ${block.result}Promise = new Promise(resolve => ${block.page}.once('popup', resolve));`,
+      ...action,
+      `const ${block.result} = await ${block.result}Promise;`
+    ];
+  },
+  file(names, body) {
+    return [
+      'const assert = require(\'node:assert\');',
+      'const puppeteer = require(\'puppeteer\');',
+      '',
+      `// ${names.title}`,
+      '(async () => {',
+      '  const browser = await puppeteer.launch({ headless: false });',
+      '  const page = await browser.newPage();',
+      '',
+      ...indent(body, '  '),
+      '',
+      '  await browser.close();',
+      '})();',
+      ''
+    ].join('\n');
+  }
+};
+
+// ===== Selenium WebDriver for Python =====
+
+// XPath conditions matching the elements that have an ARIA role implicitly
+const ROLE_ELEMENTS: Record<string, string> = {
+  button: 'self::button or (self::input and (@type="button" or @type="submit" or @type="reset"))',
+  link: 'self::a[@href]',
+  heading: 'self::h1 or self::h2 or self::h3 or self::h4 or self::h5 or self::h6',
+  checkbox: 'self::input[@type="checkbox"]',
+  radio: 'self::input[@type="radio"]',
+  textbox: 'self::textarea or (self::input and (not(@type) or @type="text" or @type="email" or @type="password" or @type="search" or @type="tel" or @type="url"))',
+  combobox: 'self::select',
+  option: 'self::option',
+  img: 'self::img',
+  list: 'self::ul or self::ol',
+  listitem: 'self::li',
+  row: 'self::tr',
+  cell: 'self::td',
+  table: 'self::table',
+  navigation: 'self::nav',
+  dialog: 'self::dialog'
+};
+
+// Selenium `Keys` constants for Playwright key names
+const SELENIUM_KEYS: Record<string, string> = {
+  Enter: 'ENTER',
+  Tab: 'TAB',
+  Escape: 'ESCAPE',
+  Backspace: 'BACKSPACE',
+  Delete: 'DELETE',
+  ArrowUp: 'ARROW_UP',
+  ArrowDown: 'ARROW_DOWN',
+  ArrowLeft: 'ARROW_LEFT',
+  ArrowRight: 'ARROW_RIGHT',
+  Home: 'HOME',
+  End: 'END',
+  PageUp: 'PAGE_UP',
+  PageDown: 'PAGE_DOWN',
+  Space: 'SPACE',
+  Shift: 'SHIFT',
+  Control: 'CONTROL',
+  Alt: 'ALT',
+  Meta: 'META'
+};
+
+/**
+ * Quote a string for an XPath expression, which has no escapes
+ */
+function xpathString(value: string): string {
+  if (!value.includes('"')) {
+    return `"${value}"`;
+  }
+  if (!value.includes('\'')) {
+    return `'${value}'`;
+  }
+  return `concat(${value.split('"').map(part => `"${part}"`).join(', \'"\', ')})`;
+}
+
+/**
+ * XPath condition on the text or accessible name of an element
+ */
+function xpathMatch(expression: string, value: string, exact: boolean): string {
+  return exact ? `${expression}=${xpathString(value)}` : `contains(${expression}, ${xpathString(value)})`;
+}
+
+// A Selenium lookup: `By` strategy, selector and which of the matches to take
+interface SeleniumLookup {
+  by: 'CSS_SELECTOR' | 'XPATH';
+  selector: string;
+  index?: number;
+}
+
+/**
+ * Build Selenium lookups for a locator chain, each searching within the previous match
+ * @returns The lookups, or null if the locator uses something Selenium cannot select by
+ */
+function toSeleniumLookups(locator: string | undefined): SeleniumLookup[] | null {
+  const calls = parseLocator(locator);
+  if (!calls) {
+    return null;
+  }
+
+  const lookups: SeleniumLookup[] = [];
+  for (const { method, args } of calls) {
+    const [first, options] = args;
+    const text = first?.kind === 'string' ? first.value : undefined;
+    const entries = options?.kind === 'object' ? options.entries : [];
+    const exact = entries.some(([key, value]) => key === 'exact' && value.kind === 'boolean' && value.value);
+    const name = entries.find(([key]) => key === 'name')?.[1];
+    const previous = lookups[lookups.length - 1];
+    const xpathRoot = lookups.length ? './/' : '//';
+
+    if (['first', 'last', 'nth'].includes(method)) {
+      if (!previous || previous.index !== undefined) {
+        return null;
+      }
+      if (method === 'last') {
+        previous.index = -1;
+      } else if (method === 'nth') {
+        if (first?.kind !== 'number') return null;
+        previous.index = first.value;
+      }
+      continue;
+    }
+    if (text === undefined || (name && name.kind !== 'string')) {
+      return null;
+    }
+
+    switch (method) {
+      case 'getByRole': {
+        const role = `@role=${xpathString(text)}${ROLE_ELEMENTS[text] ? ` or ${ROLE_ELEMENTS[text]}` : ''}`;
+        const accessibleName = name?.kind === 'string'
+          ? `[${['normalize-space(.)', '@aria-label', '@value', '@title', '@alt'].map(expression => xpathMatch(expression, name.value, exact)).join(' or ')}]`
+          : '';
+        lookups.push({ by: 'XPATH', selector: `${xpathRoot}*[${role}]${accessibleName}` });
+        break;
+      }
+      case 'getByText':
+        lookups.push({ by: 'XPATH', selector: `${xpathRoot}*[text()[${xpathMatch('normalize-space(.)', text, exact)}]]` });
+        break;
+      case 'getByLabel':
+        lookups.push({
+          by: 'XPATH',
+          selector: `${xpathRoot}*[@id=//label[${xpathMatch('normalize-space(.)', text, exact)}]/@for or ${xpathMatch('@aria-label', text, exact)}]`
+        });
+        break;
+      case 'getByPlaceholder':
+        lookups.push({ by: 'CSS_SELECTOR', selector: `[placeholder=${cssString(text)}]` });
+        break;
+      case 'getByTestId':
+        lookups.push({ by: 'CSS_SELECTOR', selector: `[data-testid=${cssString(text)}]` });
+        break;
+      case 'getByTitle':
+        lookups.push({ by: 'CSS_SELECTOR', selector: `[title=${cssString(text)}]` });
+        break;
+      case 'getByAltText':
+        lookups.push({ by: 'CSS_SELECTOR', selector: `[alt=${cssString(text)}]` });
+        break;
+      case 'locator':
+        if (/^(xpath=|\/|\()/.test(text)) {
+          const xpath = text.replace(/^xpath=/, '');
+          lookups.push({ by: 'XPATH', selector: lookups.length && xpath.startsWith('/') ? `.${xpath}` : xpath });
+        } else if (/>>|:has-text\(|^(text|role|internal:)[=:]/.test(text)) {
+          return null;
+        } else {
+          lookups.push({ by: 'CSS_SELECTOR', selector: text });
+        }
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return lookups.length ? lookups : null;
+}
+
+/**
+ * Render lookups as a Selenium element expression
+ * @param all Return every match of the last lookup instead of one element
+ */
+function renderSeleniumElement(lookups: SeleniumLookup[], all = false): string {
+  return lookups.reduce((expression, lookup, i) => {
+    const last = i === lookups.length - 1;
+    const args = `By.${lookup.by}, ${pythonString(lookup.selector)}`;
+    if (last && all && lookup.index === undefined) {
+      return `${expression}.find_elements(${args})`;
+    }
+    return lookup.index === undefined
+      ? `${expression}.find_element(${args})`
+      : `${expression}.find_elements(${args})[${lookup.index}]`;
+  }, 'driver');
+}
+
+/**
+ * Convert a Playwright key or key combination to `send_keys` arguments
+ */
+function toSeleniumKeys(key: string): string | null {
+  const parts = key === '+' ? ['+'] : key.split('+');
+  const keys = parts.map(part =>
+    SELENIUM_KEYS[part] ? `Keys.${SELENIUM_KEYS[part]}`
+      : /^F([1-9]|1[0-2])$/.test(part) ? `Keys.${part}`
+        : part.length === 1 ? pythonString(parts.length > 1 ? part.toLowerCase() : part)
+          : null);
+  return keys.every(item => item) ? keys.join(', ') : null;
+}
+
+const seleniumWriter: CodeWriter = {
+  comment: '#',
+  fileName: names => `test_${names.snake}_selenium.py`,
+  step(step, state) {
+    const page = step.page || 'page';
+    const lines: string[] = [];
+
+    // Selenium drives one window at a time
+    if (state.multiplePages && page !== state.currentPage) {
+      lines.push(`driver.switch_to.window(${page})`);
+      state.currentPage = page;
+    }
+
+    const converted = ((): string[] | null => {
+      if (step.action === 'goto') {
+        return step.options ? null : [`driver.get(${pythonString(step.value || '')})`];
+      }
+
+      const assertion = step.action === 'expect' ? splitAssertion(step.assertion) : null;
+      if (step.action === 'expect' && (!assertion || step.options)) {
+        return null;
+      }
+
+      if (assertion && !step.locator) {
+        const operator = assertion.negated ? '!=' : '==';
+        if (assertion.matcher === 'toHaveURL' && step.value !== undefined) {
+          return [`assert driver.current_url ${operator} ${pythonString(step.value)}`];
+        }
+        if (assertion.matcher === 'toHaveTitle' && step.value !== undefined) {
+          return [`assert driver.title ${operator} ${pythonString(step.value)}`];
+        }
+        return null;
+      }
+
+      const lookups = toSeleniumLookups(step.locator);
+      if (!lookups) {
+        return null;
+      }
+      const element = renderSeleniumElement(lookups);
+
+      if (assertion) {
+        const visible = assertion.matcher === 'toBeVisible' ? !assertion.negated
+          : assertion.matcher === 'toBeHidden' ? assertion.negated
+            : undefined;
+        if (visible === true) {
+          return [`assert ${element}.is_displayed()`];
+        }
+        if (visible === false) {
+          return [`assert not any(element.is_displayed() for element in ${renderSeleniumElement(lookups, true)})`];
+        }
+
+        const not = assertion.negated ? 'not ' : '';
+        const value = step.value !== undefined ? pythonString(step.value) : undefined;
+        switch (assertion.matcher) {
+          case 'toHaveText':
+            return value ? [`assert ${element}.text ${assertion.negated ? '!=' : '=='} ${value}`] : null;
+          case 'toContainText':
+            return value ? [`assert ${value} ${not}in ${element}.text`] : null;
+          case 'toHaveValue':
+            return value ? [`assert ${element}.get_attribute("value") ${assertion.negated ? '!=' : '=='} ${value}`] : null;
+          case 'toBeChecked':
+            return [`assert ${not}${element}.is_selected()`];
+          case 'toBeEnabled':
+            return [`assert ${not}${element}.is_enabled()`];
+          case 'toBeDisabled':
+            return [`assert ${assertion.negated ? '' : 'not '}${element}.is_enabled()`];
+          default:
+            return null;
+        }
+      }
+
+      const entries = parseOptions(step.options);
+      const button = entries?.length === 1 && entries[0][0] === 'button' && entries[0][1].kind === 'string'
+        ? entries[0][1].value
+        : undefined;
+      if (!entries || (entries.length && !(step.action === 'click' && button))) {
+        return null;
+      }
+
+      switch (step.action) {
+        case 'click':
+          if (button === 'right') {
+            return [`ActionChains(driver).context_click(${element}).perform()`];
+          }
+          return button && button !== 'left' ? null : [`${element}.click()`];
+        case 'dblclick':
+          return [`ActionChains(driver).double_click(${element}).perform()`];
+        case 'hover':
+          return [`ActionChains(driver).move_to_element(${element}).perform()`];
+        case 'fill':
+          return [`${element}.clear()`, `${element}.send_keys(${pythonString(step.value || '')})`];
+        case 'press': {
+          const keys = toSeleniumKeys(step.value || '');
+          return keys ? [`${element}.send_keys(${keys})`] : null;
+        }
+        case 'check':
+        case 'uncheck':
+          return [
+            `element = ${element}`,
+            `if ${step.action === 'check' ? 'not ' : ''}element.is_selected():`,
+            '    element.click()'
+          ];
+        case 'select':
+          return [`Select(${element}).select_by_value(${pythonString(step.value || '')})`];
+        default:
+          return null;
+      }
+    })();
+
+    return converted ? [...lines, ...converted] : null;
+  },
+  wait(block, action, state) {
+    if (block.event !== 'popup') {
+      return null;
+    }
+    state.currentPage = block.result;
+    return [
+      ...action,
+      `driver.switch_to.window(driver.window_handles[-1])`,
+      `${block.result} = driver.current_window_handle`
+    ];
+  },
+  file(names, body, state) {
+    return [
+      'import pytest',
+      'from selenium import webdriver',
+      'from selenium.webdriver.common.action_chains import ActionChains',
+      'from selenium.webdriver.common.by import By',
+      'from selenium.webdriver.common.keys import Keys',
+      'from selenium.webdriver.support.ui import Select',
+      '',
+      '',
+      '@pytest.fixture',
+      'def driver():',
+      '    driver = webdriver.Chrome()',
+      '    driver.implicitly_wait(10)',
+      '    yield driver',
+      '    driver.quit()',
+      '',
+      '',
+      `def test_${names.snake}(driver):`,
+      ...(state.multiplePages ? ['    page = driver.current_window_handle'] : []),
+      ...indent(body.length ? body : ['pass'], '    '),
+      ''
+    ].join('\n');
+  }
+};
+
+const WRITERS: Record<CodeTarget, CodeWriter> = {
+  python: pythonWriter,
+  java: javaWriter,
+  csharp: csharpWriter,
+  javascript: javascriptWriter,
+  puppeteer: puppeteerWriter,
+  selenium: seleniumWriter
+};
+
+/**
+ * Check that a value names a conversion target
+ */
+export const isCodeTarget = (target: unknown): target is CodeTarget =>
+  CODE_TARGETS.includes(target as CodeTarget);
+
+/**
+ * Convert a parsed session script to another language or framework
+ * Statements without an equivalent are kept as comments marked "Not converted".
+ * `{{variables}}` are replaced with the given values; the others stay as placeholders.
+ * @param script Parsed session script
+ * @param title Name of the test, used for the test function, class and file names
+ * @param target Language or framework to convert to
+ * @param variables Values of the script's variables, such as the session defaults
+ */
+export function convertScript(
+  script: ParsedScript,
+  title: string,
+  target: CodeTarget,
+  variables: Record<string, string> = {}
+): ConvertedCode {
+  const writer = WRITERS[target];
+  const names = getTestNames(title);
+  const steps = script.steps.map(step => {
+    // Statements spanning lines keep the script's indentation after their first line
+    const source = substituteVariables(
+      step.source.split('\n').map((line, i) => i > 0 && line.startsWith(script.indent) ? line.slice(script.indent.length) : line).join('\n'),
+      variables
+    );
+    // The locator, value and options are read again from the statement with the values in place
+    const parsed = step.action !== 'raw' && findVariables(step.source).length ? parseStep(source) : null;
+    return { ...step, ...parsed, source };
+  });
+  const blocks = groupSteps(steps);
+  const state: ConversionState = {
+    currentPage: 'page',
+    multiplePages: blocks.some(block => 'event' in block && block.event === 'popup')
+  };
+
+  const body: string[] = [];
+  let unconverted = 0;
+
+  const notConverted = (statements: SessionStep[]) => {
+    unconverted += statements.length;
+    body.push(...statements.flatMap(statement =>
+      statement.source.split('\n').map((line, i) =>
+        `${writer.comment} ${i === 0 ? 'Not converted: ' : ''}${line.trim()}`)));
+  };
+
+  for (const block of blocks) {
+    if ('event' in block) {
+      const action = writer.step(block.action, state);
+      const lines = action && writer.wait(block, action, state);
+      if (lines) {
+        body.push(...lines);
+      } else {
+        notConverted(block.statements);
+      }
+      continue;
+    }
+
+    const lines = block.action === 'raw' && target !== 'javascript' ? null : writer.step(block, state);
+    if (lines) {
+      body.push(...lines);
+    } else {
+      notConverted([block]);
+    }
+  }
+
+  return {
+    code: writer.file(names, body, state),
+    fileName: writer.fileName(names),
+    unconverted,
+    unresolvedVariables: findVariables(steps.map(step => step.source).join('\n'))
+  };
+}
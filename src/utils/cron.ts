@@ -0,0 +1,238 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in a time zone
+ */
+
+/**
+ * Parsed cron expression: the values each field matches, in ascending order
+ */
+export interface CronSchedule {
+  minutes: number[];
+  hours: number[];
+  daysOfMonth: number[];
+  months: number[];
+  daysOfWeek: number[];
+
+  /** Whether the day-of-month field is restricted (does not start with `*`) */
+  daysOfMonthRestricted: boolean;
+
+  /** Whether the day-of-week field is restricted (does not start with `*`) */
+  daysOfWeekRestricted: boolean;
+}
+
+interface CronField {
+  name: string;
+  min: number;
+  max: number;
+  names?: string[];
+}
+
+const FIELDS: CronField[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  // 7 is accepted as Sunday, like in crontab
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS: Record<string, string> = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// How far ahead to look for a matching time; covers expressions such as `0 0 29 2 *`
+const MAX_SEARCH_DAYS = 366 * 8;
+
+/**
+ * Parse a single value of a field, either a number or a month/weekday name
+ */
+function parseValue(text: string, field: CronField): number | null {
+  const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  const value = index >= 0 ? index + (field.min === 1 ? 1 : 0) : /^\d+$/.test(text) ? Number(text) : NaN;
+  return Number.isInteger(value) && value >= field.min && value <= field.max ? value : null;
+}
+
+/**
+ * Expand a field such as `*`, `1-5`, `*\/15` or `MON,WED,FRI` into the values it matches
+ * @returns The values, or an error message when the field is invalid
+ */
+function parseField(text: string, field: CronField): number[] | string {
+  const values = new Set<number>();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : /^\d+$/.test(stepText) ? Number(stepText) : 0;
+    if (rest.length > 0 || step < 1) {
+      return `Invalid step in ${field.name} field: ${part}`;
+    }
+
+    let start: number | null;
+    let end: number | null;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [from, to, ...extra] = range.split('-');
+      start = parseValue(from, field);
+      // `5/10` means from 5 to the end of the range
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+      if (extra.length > 0 || start === null || end === null || start > end) {
+        return `Invalid ${field.name} field: ${part}`;
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * Supports `*`, lists, ranges, steps, month and weekday names and the `@daily`-style macros.
+ * @returns The parsed schedule, or an error message when the expression is invalid
+ */
+export function parseCron(expression: string): CronSchedule | string {
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week';
+  }
+
+  const fields: number[][] = [];
+  for (const [i, field] of FIELDS.entries()) {
+    const values = parseField(parts[i], field);
+    if (typeof values === 'string') {
+      return values;
+    }
+    fields.push(values);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek: [...new Set(daysOfWeek.map(day => day % 7))].sort((a, b) => a - b),
+    // As in Vixie cron, a field starting with `*` (e.g. `*/2`) does not restrict the day
+    daysOfMonthRestricted: !parts[2].startsWith('*'),
+    daysOfWeekRestricted: !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Check that a value is an IANA time zone name such as `Europe/Paris`
+ */
+export function isValidTimeZone(timeZone: unknown): timeZone is string {
+  try {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+interface WallClock {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+/**
+ * Get the date and time shown by a clock in a time zone at an instant
+ */
+function toWallClock(time: number, timeZone: string): WallClock {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)])
+  );
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/**
+ * Get the instant a time zone's clock shows a date and time
+ * @returns The instant, or null when the time is skipped by a daylight saving change
+ */
+function fromWallClock(wall: WallClock, timeZone: string): Date | null {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+  const offsetAt = (time: number): number => {
+    const shown = toWallClock(time, timeZone);
+    return Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute) - (time - time % 60000);
+  };
+
+  // The offset at the guess may differ from the offset at the result around a daylight saving change
+  let time = asUtc - offsetAt(asUtc);
+  time = asUtc - offsetAt(time);
+
+  const shown = toWallClock(time, timeZone);
+  const matches = shown.year === wall.year && shown.month === wall.month && shown.day === wall.day
+    && shown.hour === wall.hour && shown.minute === wall.minute;
+  return matches ? new Date(time) : null;
+}
+
+/**
+ * Get the first time after `after` at which a cron schedule fires in a time zone
+ * @returns The time, or null when the schedule never fires (e.g. `0 0 31 2 *`)
+ */
+export function getNextCronTime(schedule: CronSchedule, timeZone: string, after: Date = new Date()): Date | null {
+  const start = toWallClock(after.getTime() + 60000, timeZone);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!schedule.months.includes(month)) {
+      continue;
+    }
+
+    // Like crontab, a restricted day of month and day of week match when either does
+    const domMatches = schedule.daysOfMonth.includes(day);
+    const dowMatches = schedule.daysOfWeek.includes(date.getUTCDay());
+    const dayMatches = schedule.daysOfMonthRestricted && schedule.daysOfWeekRestricted
+      ? domMatches || dowMatches
+      : domMatches && dowMatches;
+    if (!dayMatches) {
+      continue;
+    }
+
+    for (const hour of schedule.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+      for (const minute of schedule.minutes) {
+        if (offset === 0 && hour === start.hour && minute < start.minute) continue;
+
+        const time = fromWallClock({ year: date.getUTCFullYear(), month, day, hour, minute }, timeZone);
+        if (time && time.getTime() > after.getTime()) {
+          return time;
+        }
+      }
+    }
+  }
+
+  return null;
+}
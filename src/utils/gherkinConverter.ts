@@ -0,0 +1,456 @@
+/**
+ * Converter turning the parsed steps of a session script into a Gherkin feature file with
+ * matching step definitions for playwright-bdd
+ */
+
+import { ParsedScript, SessionStep, StepAction } from '../types/step';
+import { parseLocator, parseOptions, Literal } from './codeConverter';
+import { formatStringLiteral } from './scriptParser';
+import { findVariables, substituteVariables } from './sessionVariables';
+
+/**
+ * Description of the feature a script is converted into
+ */
+export interface FeatureInfo {
+  /** Name of the feature */
+  name: string;
+
+  /** Name of the scenario */
+  scenario: string;
+
+  /** Free text shown under the feature name */
+  description?: string;
+
+  /** Tags of the feature, without the `@` */
+  tags?: string[];
+
+  /** Default values of the `{{variables}}`, used as the examples of a scenario outline */
+  variables?: Record<string, string>;
+}
+
+/**
+ * Result of converting a script to Gherkin
+ */
+export interface GherkinFeature {
+  /** Source of the `.feature` file */
+  feature: string;
+
+  /** Source of the TypeScript step definitions */
+  steps: string;
+
+  /** Number of statements left as comments because they have no step phrasing */
+  unconverted: number;
+}
+
+type Keyword = 'Given' | 'When' | 'Then';
+
+// A value a step passes to its definition through a `{string}` parameter
+interface PhraseParam {
+  name: string;
+  value: string;
+}
+
+// Words and parameters of a step, e.g. ['I click the ', { name: 'name', value: 'Sign in' }, ' button']
+type Phrase = (string | PhraseParam)[];
+
+// Element a step acts on, described for readers and located for the step definition
+interface Target {
+  phrase: Phrase;
+
+  /** Expression locating the element from `page`, reading the phrase parameters */
+  locator: string;
+}
+
+// A step of the scenario with the definition it matches
+interface GherkinStep {
+  keyword: Keyword;
+  phrase: Phrase;
+  body: string;
+}
+
+// Nouns for ARIA roles that read oddly as they are
+const ROLE_NOUNS: Record<string, string> = {
+  textbox: 'field',
+  searchbox: 'search field',
+  spinbutton: 'number field',
+  combobox: 'dropdown',
+  radio: 'radio button',
+  img: 'image',
+  menuitem: 'menu item',
+  menuitemcheckbox: 'menu checkbox',
+  menuitemradio: 'menu option',
+  listitem: 'list item',
+  treeitem: 'tree item',
+  gridcell: 'cell',
+  columnheader: 'column header',
+  rowheader: 'row header',
+  tabpanel: 'tab panel'
+};
+
+// Locators finding an element by a single text, with how the element is described and the parameter name
+const TEXT_LOCATORS: Record<string, { noun: string; param: string; exact: boolean }> = {
+  getByText: { noun: 'the text', param: 'text', exact: true },
+  getByLabel: { noun: 'the field labelled', param: 'label', exact: true },
+  getByPlaceholder: { noun: 'the field with placeholder', param: 'placeholder', exact: true },
+  getByAltText: { noun: 'the image with alt text', param: 'altText', exact: true },
+  getByTitle: { noun: 'the element titled', param: 'title', exact: true },
+  getByTestId: { noun: 'the element with test id', param: 'testId', exact: false },
+  locator: { noun: 'the element matching', param: 'selector', exact: false }
+};
+
+// Phrasing of the actions on an element, with the method performing them and the name of their value
+const ACTIONS: Partial<Record<StepAction, { verb: string; method: string; value?: string; preposition?: string }>> = {
+  click: { verb: 'I click', method: 'click' },
+  dblclick: { verb: 'I double-click', method: 'dblclick' },
+  hover: { verb: 'I hover over', method: 'hover' },
+  check: { verb: 'I check', method: 'check' },
+  uncheck: { verb: 'I uncheck', method: 'uncheck' },
+  fill: { verb: 'I fill', method: 'fill', value: 'value', preposition: 'with' },
+  press: { verb: 'I press', method: 'press', value: 'key', preposition: 'in' },
+  select: { verb: 'I select', method: 'selectOption', value: 'option', preposition: 'in' }
+};
+
+// Phrasing of element assertions as the words before and after the element, plain and negated
+const ELEMENT_ASSERTIONS: Record<string, { phrase: [string, string]; negated: [string, string]; value?: boolean }> = {
+  toBeVisible: { phrase: ['I see ', ''], negated: ['I do not see ', ''] },
+  toBeHidden: { phrase: ['I do not see ', ''], negated: ['I see ', ''] },
+  toHaveText: { phrase: ['', ' has the text '], negated: ['', ' does not have the text '], value: true },
+  toContainText: { phrase: ['', ' contains the text '], negated: ['', ' does not contain the text '], value: true },
+  toHaveValue: { phrase: ['', ' has the value '], negated: ['', ' does not have the value '], value: true },
+  toBeChecked: { phrase: ['', ' is checked'], negated: ['', ' is not checked'] },
+  toBeEnabled: { phrase: ['', ' is enabled'], negated: ['', ' is not enabled'] },
+  toBeDisabled: { phrase: ['', ' is disabled'], negated: ['', ' is not disabled'] },
+  toBeEditable: { phrase: ['', ' is editable'], negated: ['', ' is not editable'] },
+  toBeEmpty: { phrase: ['', ' is empty'], negated: ['', ' is not empty'] },
+  toBeFocused: { phrase: ['', ' is focused'], negated: ['', ' is not focused'] }
+};
+
+// Phrasing of page assertions, plain and negated, with the name of their value
+const PAGE_ASSERTIONS: Record<string, { phrase: string; negated: string; value: string }> = {
+  toHaveURL: { phrase: 'the page URL is ', negated: 'the page URL is not ', value: 'url' },
+  toHaveTitle: { phrase: 'the page title is ', negated: 'the page title is not ', value: 'title' }
+};
+
+// Page variable of the test; steps on popups have no phrasing
+const MAIN_PAGE = 'page';
+
+/**
+ * Collapse an expression spanning lines into one line for a step phrase
+ */
+const oneLine = (text: string): string => text.replace(/\s*\n\s*/g, ' ');
+
+/**
+ * Escape the characters with a meaning in Cucumber expressions
+ */
+const escapeExpression = (text: string): string => text.replace(/[\\(){}/]/g, '\\$&');
+
+/**
+ * Render a phrase as the expression of its step definition
+ */
+const toExpression = (phrase: Phrase): string =>
+  phrase.map(part => typeof part === 'string' ? escapeExpression(part) : '{string}').join('');
+
+/**
+ * Render a phrase as step text, with `{{variables}}` as scenario outline `<parameters>`
+ */
+function toStepText(phrase: Phrase): string {
+  return phrase.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    const names = findVariables(part.value);
+    const value = substituteVariables(part.value, Object.fromEntries(names.map(name => [name, `<${name}>`])));
+    return `"${value.replace(/"/g, '\\"')}"`;
+  }).join('');
+}
+
+/**
+ * Find the value of an entry of an options object
+ */
+function getOption(entries: [string, Literal][], name: string): Literal | undefined {
+  return entries.find(([key]) => key === name)?.[1];
+}
+
+/**
+ * Describe the element a locator finds, using the role or text it is found by
+ * Locators without such a description are quoted as they are.
+ */
+function describeTarget(locator: string): Target {
+  const fallback: Target = {
+    phrase: [`the element \`${oneLine(locator)}\``],
+    locator: `${MAIN_PAGE}.${oneLine(locator)}`
+  };
+
+  const calls = parseLocator(locator);
+  if (!calls || calls.length > 2) {
+    return fallback;
+  }
+
+  const [base, pick] = calls;
+  let target: Target | null = null;
+
+  const [first, second] = base.args;
+  const options = second?.kind === 'object' ? second.entries : second ? null : [];
+  const exact = options && getOption(options, 'exact');
+  const exactOnly = options && options.every(([key, value]) => key === 'exact' && value.kind === 'boolean');
+
+  if (base.method === 'getByRole' && first?.kind === 'string' && options && base.args.length <= 2) {
+    const noun = ROLE_NOUNS[first.value] || first.value;
+    const name = getOption(options, 'name');
+    const known = options.every(([key, value]) =>
+      (key === 'name' && value.kind === 'string') || (key === 'exact' && value.kind === 'boolean'));
+
+    if (known && name?.kind === 'string') {
+      const isExact = exact?.kind === 'boolean' && exact.value;
+      const param = { name: 'name', value: name.value };
+      target = {
+        phrase: isExact ? [`the ${noun} named exactly `, param] : ['the ', param, ` ${noun}`],
+        locator: `${MAIN_PAGE}.getByRole(${formatStringLiteral(first.value)}, { name${isExact ? ', exact: true' : ''} })`
+      };
+    } else if (options.length === 0) {
+      target = {
+        phrase: [`the ${noun}`],
+        locator: `${MAIN_PAGE}.getByRole(${formatStringLiteral(first.value)})`
+      };
+    }
+  }
+
+  const textLocator = TEXT_LOCATORS[base.method];
+  if (textLocator && first?.kind === 'string' && base.args.length <= 2 && exactOnly && (textLocator.exact || !second)) {
+    const isExact = exact?.kind === 'boolean' && exact.value;
+    target = {
+      phrase: [`${textLocator.noun} ${isExact ? 'exactly ' : ''}`, { name: textLocator.param, value: first.value }],
+      locator: `${MAIN_PAGE}.${base.method}(${textLocator.param}${isExact ? ', { exact: true }' : ''})`
+    };
+  }
+
+  if (!target) {
+    return fallback;
+  }
+
+  // .first(), .last() and .nth(n) pick one of the matching elements
+  if (pick) {
+    const index = pick.args[0];
+    if ((pick.method === 'first' || pick.method === 'last') && pick.args.length === 0) {
+      target.phrase.push(` (${pick.method} match)`);
+      target.locator += `.${pick.method}()`;
+    } else if (pick.method === 'nth' && pick.args.length === 1 && index.kind === 'number' && Number.isInteger(index.value)) {
+      target.phrase.push(` (match ${index.value + 1})`);
+      target.locator += `.nth(${index.value})`;
+    } else {
+      return fallback;
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Quote the extra options of a step after its phrase
+ */
+const describeOptions = (options: string | undefined): string =>
+  options ? ` with options \`${oneLine(options)}\`` : '';
+
+/**
+ * Phrase right and middle clicks as such
+ * @returns The verb of the action, and whether it already says what its options do
+ */
+function describeVerb(verb: string, options: string | undefined): { verb: string; describesOptions: boolean } {
+  const entries = options ? parseOptions(options) : null;
+  const button = entries?.length === 1 ? getOption(entries, 'button') : undefined;
+  if (verb === 'I click' && button?.kind === 'string' && (button.value === 'right' || button.value === 'middle')) {
+    return { verb: `I ${button.value}-click`, describesOptions: true };
+  }
+  return { verb, describesOptions: false };
+}
+
+/**
+ * Phrase a step and write the body of its definition
+ * @returns The step, or null when it cannot be phrased
+ */
+function toGherkinStep(step: SessionStep, keyword: Keyword): GherkinStep | null {
+  if (step.action === 'raw' || (step.page || MAIN_PAGE) !== MAIN_PAGE || step.value?.includes('\n')) {
+    return null;
+  }
+
+  const optionsArg = step.options ? `, ${oneLine(step.options)}` : '';
+
+  if (step.action === 'goto') {
+    return {
+      keyword,
+      phrase: ['I open ', { name: 'url', value: step.value || '' }, describeOptions(step.options)],
+      body: `await ${MAIN_PAGE}.goto(url${optionsArg});`
+    };
+  }
+
+  if (step.action === 'expect') {
+    const negated = step.assertion?.startsWith('not.') ?? false;
+    const matcher = negated ? step.assertion?.slice('not.'.length) : step.assertion;
+    const assertion = `${negated ? '.not' : ''}.${matcher}`;
+    const suffix = describeOptions(step.options);
+
+    if (!step.locator) {
+      const phrasing = matcher ? PAGE_ASSERTIONS[matcher] : undefined;
+      if (!phrasing || step.value === undefined) {
+        return null;
+      }
+      return {
+        keyword,
+        phrase: [negated ? phrasing.negated : phrasing.phrase, { name: phrasing.value, value: step.value }, suffix],
+        body: `await expect(${MAIN_PAGE})${assertion}(${phrasing.value}${optionsArg});`
+      };
+    }
+
+    const phrasing = matcher ? ELEMENT_ASSERTIONS[matcher] : undefined;
+    if (!phrasing || !!phrasing.value !== (step.value !== undefined)) {
+      return null;
+    }
+
+    const target = describeTarget(step.locator);
+    const [before, after] = negated ? phrasing.negated : phrasing.phrase;
+    const expected = step.value !== undefined ? [{ name: 'expected', value: step.value }] : [];
+    return {
+      keyword,
+      phrase: [before, ...target.phrase, after, ...expected, suffix],
+      body: `await expect(${target.locator})${assertion}(${expected.length ? `expected${optionsArg}` : ''});`
+    };
+  }
+
+  const action = ACTIONS[step.action];
+  if (!action || !step.locator) {
+    return null;
+  }
+
+  const target = describeTarget(step.locator);
+  const { verb, describesOptions } = describeVerb(action.verb, step.options);
+  const suffix = describesOptions ? '' : describeOptions(step.options);
+  const args = [...(action.value ? [action.value] : []), ...(step.options ? [oneLine(step.options)] : [])];
+
+  // A filled value reads best last; keys and options read best before the element
+  const value: Phrase = action.value ? [{ name: action.value, value: step.value || '' }] : [];
+  const phrase: Phrase = step.action === 'fill'
+    ? [`${verb} `, ...target.phrase, ` ${action.preposition} `, ...value, suffix]
+    : [`${verb} `, ...value, ...(value.length ? [` ${action.preposition} `] : []), ...target.phrase, suffix];
+
+  return {
+    keyword,
+    phrase,
+    body: `await ${target.locator}.${action.method}(${args.join(', ')});`
+  };
+}
+
+/**
+ * Escape a value for a cell of an examples table
+ */
+const escapeCell = (value: string): string =>
+  value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+
+/**
+ * Render the examples table of a scenario outline, one column per variable
+ */
+function renderExamples(names: string[], values: Record<string, string>): string[] {
+  const rows = [names, names.map(name => values[name] ?? '')].map(row => row.map(escapeCell));
+  const widths = names.map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => `      | ${row.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`);
+}
+
+/**
+ * Render the step definitions matching the steps of a scenario
+ * Steps with the same phrasing share one definition.
+ */
+function renderDefinitions(info: FeatureInfo, featureFile: string, steps: GherkinStep[]): string {
+  const definitions = new Map<string, GherkinStep>();
+  for (const step of steps) {
+    const expression = toExpression(step.phrase);
+    if (!definitions.has(expression)) {
+      definitions.set(expression, step);
+    }
+  }
+
+  const keywords = (['Given', 'When', 'Then'] as Keyword[])
+    .filter(keyword => [...definitions.values()].some(step => step.keyword === keyword));
+  const usesExpect = [...definitions.values()].some(step => step.body.includes('expect('));
+
+  const lines = [
+    '/**',
+    ` * Step definitions for ${featureFile}, generated from recorded session "${info.name}"`,
+    ' * Run them with playwright-bdd (https://github.com/vitalets/playwright-bdd).',
+    ' */',
+    ...(usesExpect ? ["import { expect } from '@playwright/test';"] : []),
+    "import { createBdd } from 'playwright-bdd';",
+    '',
+    ...(keywords.length ? [`const { ${keywords.join(', ')} } = createBdd();`, ''] : [])
+  ];
+
+  for (const [expression, step] of definitions) {
+    const params = step.phrase
+      .filter((part): part is PhraseParam => typeof part !== 'string')
+      .map(param => `, ${param.name}: string`)
+      .join('');
+    lines.push(
+      `${step.keyword}(${formatStringLiteral(expression)}, async ({ ${MAIN_PAGE} }${params}) => {`,
+      `  ${step.body}`,
+      '});',
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a parsed session script into a Gherkin feature and its step definitions
+ * Steps are phrased from their role and text locators (`When I click the "Sign in" button`).
+ * Scripts using `{{variables}}` become a scenario outline with the defaults as examples.
+ * Statements without a phrasing, such as custom code or steps on popups, are kept as
+ * comments marked "Not converted".
+ * @param script Parsed session script
+ * @param info Names and description of the feature
+ * @param featureFile Path of the feature file, mentioned in the step definitions
+ */
+export function convertToGherkin(script: ParsedScript, info: FeatureInfo, featureFile: string): GherkinFeature {
+  const body: string[] = [];
+  const steps: GherkinStep[] = [];
+  let unconverted = 0;
+  let previous: Keyword | null = null;
+  let acted = false;
+
+  for (const step of script.steps) {
+    // Gotos before the first action set the scene; everything else is an action or an outcome
+    const keyword: Keyword = step.action === 'expect' ? 'Then' : step.action === 'goto' && !acted ? 'Given' : 'When';
+    const converted = toGherkinStep(step, keyword);
+
+    if (!converted) {
+      unconverted++;
+      body.push(...step.source.split('\n').map((line, i) => `    # ${i === 0 ? 'Not converted: ' : ''}${line.trim()}`));
+      continue;
+    }
+
+    acted ||= step.action !== 'goto';
+    steps.push(converted);
+    body.push(`    ${keyword === previous ? 'And' : keyword} ${toStepText(converted.phrase)}`);
+    previous = keyword;
+  }
+
+  const variables = findVariables(steps
+    .flatMap(step => step.phrase)
+    .map(part => typeof part === 'string' ? '' : part.value)
+    .join('\n'));
+
+  const feature = [
+    ...(info.tags?.length ? [info.tags.map(tag => `@${tag.replace(/\s+/g, '-')}`).join(' ')] : []),
+    `Feature: ${oneLine(info.name)}`,
+    ...(info.description ? info.description.split('\n').map(line => `  ${line}`) : []),
+    '',
+    `  ${variables.length ? 'Scenario Outline' : 'Scenario'}: ${oneLine(info.scenario)}`,
+    ...body,
+    ...(variables.length ? ['', '    Examples:', ...renderExamples(variables, info.variables || {})] : []),
+    ''
+  ].join('\n');
+
+  return {
+    feature,
+    steps: renderDefinitions(info, featureFile, steps),
+    unconverted
+  };
+}
@@ -2,25 +2,58 @@
  * Utility to manage running processes
  */
 
-import { ChildProcess } from 'child_process';
+import { Readable } from 'stream';
 
 // Log entry type
-interface LogEntry {
+export interface LogEntry {
   timestamp: string;
   message: string;
   type: 'info' | 'error' | 'success';
 }
 
+// Outcome of a finished replay process
+export type ProcessOutcome = 'passed' | 'failed' | 'stopped';
+
+// Snapshot of a process's state as reported to clients
+export interface ProcessStatus {
+  status: 'recording' | 'stopped' | 'queued' | 'replaying' | 'replay_stopped' | 'unknown';
+  isRunning: boolean;
+  exitCode?: number | null;
+  outcome?: ProcessOutcome;
+}
+
+// Event pushed to process subscribers
+export type ProcessEvent =
+  | { type: 'log'; entry: LogEntry; index: number }
+  | { type: 'status'; status: ProcessStatus };
+
+// Process that can be tracked: a child process or an in-process replay runner
+export interface ManagedProcess {
+  kill(): boolean;
+  on(event: 'exit', listener: (code: number | null) => void): unknown;
+  stdout?: Readable | null;
+  stderr?: Readable | null;
+}
+
 // Process info type
 interface ProcessInfo {
-  process: ChildProcess | null;
+  process: ManagedProcess | null;
   type: 'recording' | 'replay';
   logs: LogEntry[];
+  /** Exit code once the process has exited (null when killed by a signal) */
+  exitCode?: number | null;
+  /** Pass/fail outcome of a replay process once it has exited */
+  outcome?: ProcessOutcome;
+  /** Whether the process was stopped through killProcess */
+  stoppedByUser?: boolean;
+  /** Whether the replay is waiting in the job queue for a free slot */
+  queued?: boolean;
 }
 
 export class ProcessManager {
   private static instance: ProcessManager;
   private processes: Map<string, ProcessInfo> = new Map();
+  private listeners: Map<string, Set<(event: ProcessEvent) => void>> = new Map();
   
   private constructor() {
     // Private constructor for singleton pattern
@@ -40,9 +73,9 @@ export class ProcessManager {
    * Register a new process
    * @param processId Process ID
    * @param type Type of process
-   * @param process Optional ChildProcess object
+   * @param process Optional child process or replay runner
    */
-  public registerProcess(processId: string, type: 'recording' | 'replay', process?: ChildProcess): void {
+  public registerProcess(processId: string, type: 'recording' | 'replay', process?: ManagedProcess): void {
     this.processes.set(processId, {
       process: process || null,
       type,
@@ -54,6 +87,7 @@ export class ProcessManager {
         }
       ]
     });
+    this.emitStatus(processId);
     
     // Clean up process when it exits
     if (process) {
@@ -64,7 +98,13 @@ export class ProcessManager {
         const info = this.processes.get(processId);
         if (info) {
           info.process = null;
+          info.exitCode = code;
+          
+          if (info.type === 'replay') {
+            info.outcome = this.resolveOutcome(code, !!info.stoppedByUser);
+          }
         }
+        this.emitStatus(processId);
       });
       
       // Capture stdout
@@ -97,7 +137,13 @@ export class ProcessManager {
       
       if (success) {
         this.addLog(processId, 'Process stopped by user', 'info');
+        info.stoppedByUser = true;
         info.process = null;
+        
+        if (info.type === 'replay') {
+          info.outcome = 'stopped';
+        }
+        this.emitStatus(processId);
       }
       
       return success;
@@ -131,12 +177,81 @@ export class ProcessManager {
     const info = this.processes.get(processId);
     
     if (info) {
-      info.logs.push({
+      const entry: LogEntry = {
         timestamp: new Date().toISOString(),
         message,
         type
-      });
+      };
+      info.logs.push(entry);
+      this.emit(processId, { type: 'log', entry, index: info.logs.length - 1 });
+    }
+  }
+  
+  /**
+   * Get the current status of a process
+   * @param processId Process ID
+   * @returns Status snapshot, with status 'unknown' for untracked processes
+   */
+  public getStatus(processId: string): ProcessStatus {
+    const info = this.processes.get(processId);
+    const isRunning = !!(info && info.process);
+    
+    let status: ProcessStatus['status'] = 'unknown';
+    if (info?.type === 'recording') {
+      status = isRunning ? 'recording' : 'stopped';
+    } else if (info?.type === 'replay') {
+      status = isRunning ? (info.queued ? 'queued' : 'replaying') : 'replay_stopped';
+    }
+    
+    return {
+      status,
+      isRunning,
+      exitCode: info?.exitCode,
+      outcome: info?.outcome
+    };
+  }
+  
+  /**
+   * Subscribe to log entries and status changes of a process
+   * The process does not need to be registered yet.
+   * @param processId Process ID
+   * @param listener Callback invoked for every event
+   * @returns Unsubscribe function
+   */
+  public subscribe(processId: string, listener: (event: ProcessEvent) => void): () => void {
+    let processListeners = this.listeners.get(processId);
+    if (!processListeners) {
+      processListeners = new Set();
+      this.listeners.set(processId, processListeners);
     }
+    processListeners.add(listener);
+    
+    return () => {
+      processListeners.delete(listener);
+      if (processListeners.size === 0) {
+        this.listeners.delete(processId);
+      }
+    };
+  }
+  
+  /**
+   * Push an event to the subscribers of a process
+   */
+  private emit(processId: string, event: ProcessEvent): void {
+    this.listeners.get(processId)?.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in listener for process ${processId}:`, error);
+      }
+    });
+  }
+  
+  /**
+   * Push the current status of a process to its subscribers
+   */
+  private emitStatus(processId: string): void {
+    this.emit(processId, { type: 'status', status: this.getStatus(processId) });
   }
   
   /**
@@ -159,6 +274,57 @@ export class ProcessManager {
     return info ? info.type : undefined;
   }
   
+  /**
+   * Get the outcome of a finished replay process
+   * @param processId Process ID
+   * @returns Outcome, or undefined while the process is running or if it is not a replay
+   */
+  public getOutcome(processId: string): ProcessOutcome | undefined {
+    return this.processes.get(processId)?.outcome;
+  }
+  
+  /**
+   * Mark a replay as waiting in the job queue, or as started
+   * @param processId Process ID
+   * @param queued Whether the replay is waiting for a free slot
+   */
+  public setQueued(processId: string, queued: boolean): void {
+    const info = this.processes.get(processId);
+    if (info && !!info.queued !== queued) {
+      info.queued = queued;
+      this.emitStatus(processId);
+    }
+  }
+  
+  /**
+   * Check whether a process was stopped through killProcess
+   * @param processId Process ID
+   */
+  public wasStoppedByUser(processId: string): boolean {
+    return !!this.processes.get(processId)?.stoppedByUser;
+  }
+  
+  /**
+   * Get the exit code of a finished process
+   * @param processId Process ID
+   * @returns Exit code, or undefined if the process has not exited yet
+   */
+  public getExitCode(processId: string): number | null | undefined {
+    return this.processes.get(processId)?.exitCode;
+  }
+  
+  /**
+   * Map a process exit code to a replay outcome
+   * @param code Exit code reported by the process
+   * @param stoppedByUser Whether the process was stopped through killProcess
+   */
+  private resolveOutcome(code: number | null, stoppedByUser: boolean): ProcessOutcome {
+    if (stoppedByUser) {
+      return 'stopped';
+    }
+    return code === 0 ? 'passed' : 'failed';
+  }
+  
   /**
    * Get the process info for a given process ID
    * @param processId Process ID
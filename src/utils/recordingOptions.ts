@@ -0,0 +1,128 @@
+/**
+ * Browser emulation settings shared by `playwright codegen` recordings and their replays
+ */
+
+import { devices, BrowserContextOptions } from 'playwright';
+import { RecordingOptions, ReplayBrowser } from '../types/session';
+
+const COLOR_SCHEMES = ['light', 'dark'];
+
+/**
+ * Names of the devices that can be emulated
+ */
+export const getDeviceNames = (): string[] => Object.keys(devices);
+
+/**
+ * Validate recording options received from a client
+ * @returns An error message, or null when the options are valid
+ */
+export function validateRecordingOptions(options: Record<string, unknown>): string | null {
+  const { device, viewport, lang, timezone, geolocation, colorScheme, userAgent } = options;
+
+  if (device !== undefined && (typeof device !== 'string' || !Object.hasOwn(devices, device))) {
+    return `Unknown device: ${device}`;
+  }
+
+  if (viewport !== undefined) {
+    const { width, height } = (viewport || {}) as Record<string, unknown>;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || (width as number) <= 0 || (height as number) <= 0) {
+      return 'viewport must be an object with positive integer width and height';
+    }
+  }
+
+  if (lang !== undefined) {
+    try {
+      if (typeof lang !== 'string' || !lang) throw new RangeError();
+      Intl.getCanonicalLocales(lang);
+    } catch {
+      return `Invalid language: ${lang}`;
+    }
+  }
+
+  if (timezone !== undefined) {
+    try {
+      if (typeof timezone !== 'string' || !timezone) throw new RangeError();
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return `Invalid time zone: ${timezone}`;
+    }
+  }
+
+  if (geolocation !== undefined) {
+    const { latitude, longitude } = (geolocation || {}) as Record<string, unknown>;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number'
+      || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return 'geolocation must be an object with a latitude (-90 to 90) and longitude (-180 to 180)';
+    }
+  }
+
+  if (colorScheme !== undefined && !COLOR_SCHEMES.includes(colorScheme as string)) {
+    return `colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}`;
+  }
+
+  if (userAgent !== undefined && (typeof userAgent !== 'string' || !userAgent.trim())) {
+    return 'userAgent must be a non-empty string';
+  }
+
+  return null;
+}
+
+/**
+ * Pick the recording options out of a request body, leaving out unset fields
+ */
+export function pickRecordingOptions(body: Record<string, unknown>): RecordingOptions {
+  const { device, viewport, lang, timezone, geolocation, colorScheme, userAgent } = body;
+  const picked = { device, viewport, lang, timezone, geolocation, colorScheme, userAgent };
+
+  return Object.fromEntries(
+    Object.entries(picked).filter(([, value]) => value !== undefined)
+  ) as RecordingOptions;
+}
+
+/**
+ * Quote a value for use as a single argument in a shell command
+ */
+export function quoteShellArg(value: string): string {
+  return `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * Build the `playwright codegen` flags for recording options
+ */
+export function toCodegenArgs(options: RecordingOptions): string[] {
+  const args: string[] = [];
+
+  if (options.device) args.push('--device', options.device);
+  if (options.viewport) args.push('--viewport-size', `${options.viewport.width},${options.viewport.height}`);
+  if (options.lang) args.push('--lang', options.lang);
+  if (options.timezone) args.push('--timezone', options.timezone);
+  if (options.geolocation) args.push('--geolocation', `${options.geolocation.latitude},${options.geolocation.longitude}`);
+  if (options.colorScheme) args.push('--color-scheme', options.colorScheme);
+  if (options.userAgent) args.push('--user-agent', options.userAgent);
+
+  return args;
+}
+
+/**
+ * Build browser context options emulating the same environment codegen recorded in
+ */
+export function toContextOptions(options: RecordingOptions): BrowserContextOptions {
+  const { defaultBrowserType, ...device } = options.device ? devices[options.device] : { defaultBrowserType: undefined };
+
+  return {
+    ...device,
+    ...(options.viewport && { viewport: options.viewport }),
+    ...(options.lang && { locale: options.lang }),
+    ...(options.timezone && { timezoneId: options.timezone }),
+    ...(options.geolocation && { geolocation: options.geolocation, permissions: ['geolocation'] }),
+    ...(options.colorScheme && { colorScheme: options.colorScheme }),
+    ...(options.userAgent && { userAgent: options.userAgent })
+  };
+}
+
+/**
+ * Browser codegen launches for the recording options, when a device forces one
+ */
+export function getDeviceBrowser(options: RecordingOptions): ReplayBrowser | undefined {
+  return options.device ? devices[options.device]?.defaultBrowserType : undefined;
+}
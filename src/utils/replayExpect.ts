@@ -0,0 +1,183 @@
+/**
+ * Minimal implementation of Playwright Test's `expect` for scripts replayed in-process
+ * Only the web-first assertions codegen emits are supported; they are retried
+ * until they pass or the timeout expires.
+ */
+
+import type { Locator, Page } from 'playwright';
+
+// Default time an assertion is retried for, as in Playwright Test
+const DEFAULT_EXPECT_TIMEOUT = 5000;
+
+// Delay between attempts of a retried assertion
+const POLL_INTERVAL = 100;
+
+type Expected = string | RegExp;
+
+interface MatcherOptions {
+  timeout?: number;
+  ignoreCase?: boolean;
+}
+
+// Reads the current state of the subject and reports whether it matches
+type Check = () => Promise<{ pass: boolean; received: unknown }>;
+
+/**
+ * Compare a received string with an expected string or pattern
+ * Whitespace is normalized the way Playwright does for text assertions.
+ */
+function matchText(received: string, expected: Expected, contains: boolean, ignoreCase = false): boolean {
+  if (expected instanceof RegExp) {
+    return expected.test(received);
+  }
+
+  const normalize = (text: string) => {
+    const collapsed = text.replace(/\s+/g, ' ').trim();
+    return ignoreCase ? collapsed.toLowerCase() : collapsed;
+  };
+  return contains ? normalize(received).includes(normalize(expected)) : normalize(received) === normalize(expected);
+}
+
+/**
+ * Compare received strings with one expected value or a list of them
+ */
+function matchTexts(received: string[], expected: Expected | Expected[], contains: boolean, ignoreCase?: boolean): boolean {
+  if (Array.isArray(expected)) {
+    return received.length === expected.length
+      && expected.every((item, i) => matchText(received[i], item, contains, ignoreCase));
+  }
+  return received.length > 0 && matchText(received.join(''), expected, contains, ignoreCase);
+}
+
+function isPage(subject: Page | Locator): subject is Page {
+  return typeof (subject as Page).goto === 'function';
+}
+
+function describe(value: unknown): string {
+  return value instanceof RegExp ? value.toString() : JSON.stringify(value);
+}
+
+/**
+ * Retry a check until it reaches the wanted result or the timeout expires
+ */
+async function poll(name: string, negated: boolean, expected: unknown, check: Check, timeout: number): Promise<void> {
+  const deadline = Date.now() + timeout;
+  let received: unknown;
+  let lastError: unknown;
+
+  do {
+    try {
+      const result = await check();
+      received = result.received;
+      lastError = undefined;
+      if (result.pass !== negated) {
+        return;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  } while (Date.now() < deadline);
+
+  const matcher = negated ? `not.${name}` : name;
+  const details = lastError instanceof Error
+    ? lastError.message
+    : `${expected !== undefined ? `expected ${describe(expected)}, ` : ''}received ${describe(received)}`;
+  throw new Error(`expect.${matcher} failed after ${timeout}ms: ${details}`);
+}
+
+/**
+ * Build the matchers for a subject
+ */
+function createMatchers(subject: Page | Locator, negated: boolean, defaultTimeout: number) {
+  const assert = (name: string, expected: unknown, options: MatcherOptions | undefined, check: Check) =>
+    poll(name, negated, expected, check, options?.timeout ?? defaultTimeout);
+
+  const locator = () => {
+    if (isPage(subject)) {
+      throw new Error('This assertion requires a locator, not a page');
+    }
+    return subject;
+  };
+
+  const page = () => {
+    if (!isPage(subject)) {
+      throw new Error('This assertion requires a page, not a locator');
+    }
+    return subject;
+  };
+
+  const state = (name: string, read: (target: Locator) => Promise<boolean>) => (options?: MatcherOptions) =>
+    assert(name, undefined, options, async () => {
+      const received = await read(locator());
+      return { pass: received, received };
+    });
+
+  return {
+    toBeVisible: state('toBeVisible', target => target.isVisible()),
+    toBeHidden: state('toBeHidden', target => target.isHidden()),
+    toBeChecked: state('toBeChecked', target => target.isChecked()),
+    toBeEnabled: state('toBeEnabled', target => target.isEnabled()),
+    toBeDisabled: state('toBeDisabled', target => target.isDisabled()),
+    toBeEditable: state('toBeEditable', target => target.isEditable()),
+    toBeEmpty: state('toBeEmpty', async target => {
+      const value = await target.evaluate(element =>
+        'value' in element ? String((element as { value: unknown }).value) : element.textContent || '');
+      return value.trim() === '';
+    }),
+
+    toHaveText: (expected: Expected | Expected[], options?: MatcherOptions) =>
+      assert('toHaveText', expected, options, async () => {
+        const received = await locator().allInnerTexts();
+        return { pass: matchTexts(received, expected, false, options?.ignoreCase), received };
+      }),
+
+    toContainText: (expected: Expected | Expected[], options?: MatcherOptions) =>
+      assert('toContainText', expected, options, async () => {
+        const received = await locator().allInnerTexts();
+        return { pass: matchTexts(received, expected, true, options?.ignoreCase), received };
+      }),
+
+    toHaveValue: (expected: Expected, options?: MatcherOptions) =>
+      assert('toHaveValue', expected, options, async () => {
+        const received = await locator().inputValue();
+        return { pass: matchText(received, expected, false), received };
+      }),
+
+    toHaveAttribute: (name: string, expected?: Expected, options?: MatcherOptions) =>
+      assert('toHaveAttribute', expected, options, async () => {
+        const received = await locator().getAttribute(name);
+        const pass = received !== null && (expected === undefined || matchText(received, expected, false));
+        return { pass, received };
+      }),
+
+    toHaveCount: (expected: number, options?: MatcherOptions) =>
+      assert('toHaveCount', expected, options, async () => {
+        const received = await locator().count();
+        return { pass: received === expected, received };
+      }),
+
+    toHaveURL: (expected: Expected, options?: MatcherOptions) =>
+      assert('toHaveURL', expected, options, async () => {
+        const received = page().url();
+        return { pass: matchText(received, expected, false), received };
+      }),
+
+    toHaveTitle: (expected: Expected, options?: MatcherOptions) =>
+      assert('toHaveTitle', expected, options, async () => {
+        const received = await page().title();
+        return { pass: matchText(received, expected, false), received };
+      })
+  };
+}
+
+/**
+ * Create an `expect` function for replayed scripts
+ * @param defaultTimeout Time assertions are retried for unless they pass their own timeout
+ */
+export function createExpect(defaultTimeout = DEFAULT_EXPECT_TIMEOUT) {
+  return (subject: Page | Locator) => ({
+    ...createMatchers(subject, false, defaultTimeout),
+    not: createMatchers(subject, true, defaultTimeout)
+  });
+}
@@ -0,0 +1,506 @@
+/**
+ * Parser turning Playwright codegen TypeScript into a structured list of steps
+ */
+
+import ts from 'typescript';
+import { ParsedScript, SessionStep, StepAction } from '../types/step';
+
+// Locator methods mapped to the step action they perform
+const ACTION_METHODS: Record<string, StepAction> = {
+  click: 'click',
+  dblclick: 'dblclick',
+  hover: 'hover',
+  fill: 'fill',
+  press: 'press',
+  check: 'check',
+  uncheck: 'uncheck',
+  selectOption: 'select'
+};
+
+// Actions whose first argument is the step value
+const VALUE_ACTIONS: StepAction[] = ['fill', 'press', 'select'];
+
+// Matches the opening line of a test block, e.g. `test('test', async ({ page }) => {`
+const TEST_START_PATTERN = /^\s*test(?:\.\w+)?\(\s*(['"`])((?:\\.|(?!\1).)*)\1\s*,.*=>\s*\{\s*$/;
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// Callees of test declarations, e.g. `test` and `test.only`
+const TEST_CALLEE_PATTERN = /^test(?:\.(?:only|skip|fixme|fail|slow))?$/;
+
+// Callees of describe blocks, e.g. `test.describe` and `test.describe.serial.only`
+const DESCRIBE_CALLEE_PATTERN = /^test\.describe(?:\.(?:only|skip|fixme|serial|parallel))*$/;
+
+// Statements a replay can leave out without changing what the test body does
+const IGNORED_STATEMENT_KINDS = [
+  ts.SyntaxKind.ImportDeclaration,
+  ts.SyntaxKind.InterfaceDeclaration,
+  ts.SyntaxKind.TypeAliasDeclaration,
+  ts.SyntaxKind.EmptyStatement
+];
+
+// Lexer state carried across the lines of a statement
+interface ScanState {
+  depth: number;
+  quote: string | null;
+  blockComment: boolean;
+}
+
+/**
+ * A `name` or `name(args)` segment of a call chain
+ */
+export interface ChainSegment {
+  name: string;
+  args?: string;
+}
+
+/**
+ * Update the scan state with the characters of one line
+ * @returns The lowest bracket depth reached while scanning the line
+ */
+function scanLine(line: string, state: ScanState): number {
+  let lowest = state.depth;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    const next = line[i + 1];
+
+    if (state.blockComment) {
+      if (char === '*' && next === '/') {
+        state.blockComment = false;
+        i++;
+      }
+    } else if (state.quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === state.quote) {
+        state.quote = null;
+      }
+    } else if (char === '/' && next === '/') {
+      break;
+    } else if (char === '/' && next === '*') {
+      state.blockComment = true;
+      i++;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      state.quote = char;
+    } else if (char === '(' || char === '[' || char === '{') {
+      state.depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      state.depth--;
+      lowest = Math.min(lowest, state.depth);
+    }
+  }
+
+  return lowest;
+}
+
+/**
+ * Split an expression at a separator character that is not nested in brackets or strings
+ */
+export function splitTopLevel(text: string, separator: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quote: string | null = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+
+  const last = text.slice(start).trim();
+  if (last || parts.length) {
+    parts.push(last);
+  }
+  return parts;
+}
+
+/**
+ * Parse a chain segment into its name and, for calls, its raw argument text
+ */
+export function parseSegment(segment: string): ChainSegment | null {
+  if (IDENTIFIER_PATTERN.test(segment)) {
+    return { name: segment };
+  }
+
+  const match = segment.match(/^([A-Za-z_$][\w$]*)\s*\(([\s\S]*)\)$/);
+  if (!match) {
+    return null;
+  }
+
+  // The closing parenthesis must belong to the opening one, not to a nested call
+  const state: ScanState = { depth: 0, quote: null, blockComment: false };
+  if (scanLine(match[2], state) < 0 || state.depth !== 0 || state.quote) {
+    return null;
+  }
+
+  return { name: match[1], args: match[2].trim() };
+}
+
+/**
+ * Decode a single JavaScript string literal
+ * @returns The string value, or undefined if the text is not exactly one literal
+ */
+export function parseStringLiteral(text: string): string | undefined {
+  const literal = text.trim();
+  const quote = literal[0];
+
+  if (literal.length < 2 || !['\'', '"', '`'].includes(quote) || literal[literal.length - 1] !== quote) {
+    return undefined;
+  }
+  if (quote === '`' && literal.includes('${')) {
+    return undefined;
+  }
+
+  const escapes: Record<string, string> = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', '0': '\0' };
+  let value = '';
+
+  for (let i = 1; i < literal.length - 1; i++) {
+    const char = literal[i];
+
+    if (char === quote) {
+      // Unescaped quote before the end, e.g. `'a' + 'b'`
+      return undefined;
+    }
+
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const next = literal[++i];
+    if (next === 'u' || next === 'x') {
+      const hex = next === 'x'
+        ? literal.slice(i + 1, i + 3)
+        : literal[i + 1] === '{'
+          ? literal.slice(i + 2, literal.indexOf('}', i))
+          : literal.slice(i + 1, i + 5);
+      value += String.fromCodePoint(parseInt(hex, 16));
+      i += next === 'x' ? 2 : literal[i + 1] === '{' ? hex.length + 2 : 4;
+    } else if (next === '\n') {
+      // Line continuation
+    } else {
+      value += escapes[next] ?? next;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Encode a string as a single-quoted JavaScript literal, as codegen writes them
+ */
+export function formatStringLiteral(value: string): string {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `'${escaped}'`;
+}
+
+/**
+ * Classify a statement of the test body
+ * @returns Step fields, or null for statements kept as raw steps
+ */
+function parseStatement(statement: string): Omit<SessionStep, 'index' | 'line' | 'source'> | null {
+  if (!statement.startsWith('await ')) {
+    return null;
+  }
+
+  const expression = statement.slice('await '.length).trim().replace(/;\s*$/, '');
+  const segments = splitTopLevel(expression, '.');
+  if (segments.length < 2) {
+    return null;
+  }
+
+  const first = parseSegment(segments[0]);
+  const last = parseSegment(segments[segments.length - 1]);
+  if (!first || !last || last.args === undefined) {
+    return null;
+  }
+
+  const args = splitTopLevel(last.args, ',');
+
+  // await expect(page.getByText('Welcome')).toBeVisible();
+  if (first.name === 'expect' && first.args !== undefined) {
+    const subject = splitTopLevel(first.args, '.');
+    const modifiers = segments.slice(1, -1);
+    if (!IDENTIFIER_PATTERN.test(subject[0]) || !modifiers.every(modifier => IDENTIFIER_PATTERN.test(modifier))) {
+      return null;
+    }
+
+    const value = args.length ? parseStringLiteral(args[0]) : undefined;
+    if (args.length && value === undefined) {
+      return null;
+    }
+
+    return {
+      action: 'expect',
+      page: subject[0],
+      locator: subject.length > 1 ? subject.slice(1).join('.') : undefined,
+      assertion: [...modifiers, last.name].join('.'),
+      value,
+      options: args.slice(1).join(', ') || undefined
+    };
+  }
+
+  if (first.args !== undefined) {
+    return null;
+  }
+
+  const locatorSegments = segments.slice(1, -1);
+
+  // await page.goto('https://example.com/');
+  if (last.name === 'goto' && locatorSegments.length === 0) {
+    const value = parseStringLiteral(args[0] || '');
+    if (value === undefined) {
+      return null;
+    }
+    return {
+      action: 'goto',
+      page: first.name,
+      value,
+      options: args.slice(1).join(', ') || undefined
+    };
+  }
+
+  // await page.getByRole('button', { name: 'Sign in' }).click();
+  const action = ACTION_METHODS[last.name];
+  if (!action || locatorSegments.length === 0 || !locatorSegments.every(segment => parseSegment(segment))) {
+    return null;
+  }
+
+  if (VALUE_ACTIONS.includes(action)) {
+    const value = parseStringLiteral(args[0] || '');
+    if (value === undefined) {
+      return null;
+    }
+    return {
+      action,
+      page: first.name,
+      locator: locatorSegments.join('.'),
+      value,
+      options: args.slice(1).join(', ') || undefined
+    };
+  }
+
+  return {
+    action,
+    page: first.name,
+    locator: locatorSegments.join('.'),
+    options: args.join(', ') || undefined
+  };
+}
+
+/**
+ * Parse a Playwright test script into header, steps and footer
+ * Only the first test block is split into steps; scripts without a test block
+ * are treated as a bare list of statements.
+ * @param source Contents of the script file
+ */
+export function parseScript(source: string): ParsedScript {
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  const testLine = lines.findIndex(line => TEST_START_PATTERN.test(line));
+  const testMatch = testLine >= 0 ? lines[testLine].match(TEST_START_PATTERN) : null;
+
+  const header = testLine >= 0 ? lines.slice(0, testLine + 1) : [];
+  const steps: SessionStep[] = [];
+  let footer: string[] = [];
+  let indent: string | undefined;
+
+  let buffer: string[] = [];
+  let bufferStart = 0;
+  let state: ScanState = { depth: 0, quote: null, blockComment: false };
+
+  const flush = () => {
+    const statement = buffer.join('\n').trim();
+    const parsed = parseStatement(statement);
+
+    steps.push({
+      index: steps.length,
+      ...(parsed || { action: 'raw' }),
+      line: bufferStart + 1,
+      source: statement
+    });
+
+    buffer = [];
+    state = { depth: 0, quote: null, blockComment: false };
+  };
+
+  for (let i = testLine + 1; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (buffer.length === 0) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      // Closing brace of the test callback ends the body
+      if (testLine >= 0 && line.trim().startsWith('}')) {
+        footer = lines.slice(i);
+        break;
+      }
+
+      bufferStart = i;
+      indent ??= line.match(/^\s*/)?.[0];
+    }
+
+    buffer.push(line);
+    scanLine(line, state);
+
+    if (state.depth <= 0 && !state.quote && !state.blockComment) {
+      flush();
+    }
+  }
+
+  if (buffer.length) {
+    flush();
+  }
+
+  return {
+    header,
+    steps,
+    footer,
+    indent: indent ?? (testLine >= 0 ? '  ' : ''),
+    testName: testMatch ? parseStringLiteral(`${testMatch[1]}${testMatch[2]}${testMatch[1]}`) : undefined
+  };
+}
+
+/**
+ * Render a step back into a TypeScript statement
+ * Raw steps are returned unchanged.
+ */
+export function renderStep(step: Omit<SessionStep, 'index' | 'line' | 'source'> & { source?: string }): string {
+  const page = step.page || 'page';
+  const value = step.value !== undefined ? formatStringLiteral(step.value) : undefined;
+  const args = (...parts: (string | undefined)[]) => parts.filter(part => part !== undefined && part !== '').join(', ');
+
+  switch (step.action) {
+    case 'raw':
+      return step.source || '';
+    case 'goto':
+      return `await ${page}.goto(${args(value, step.options)});`;
+    case 'expect': {
+      const subject = step.locator ? `${page}.${step.locator}` : page;
+      return `await expect(${subject}).${step.assertion}(${args(value, step.options)});`;
+    }
+    default: {
+      const method = Object.keys(ACTION_METHODS).find(name => ACTION_METHODS[name] === step.action);
+      const actionArgs = VALUE_ACTIONS.includes(step.action) ? args(value, step.options) : args(step.options);
+      return `await ${page}.${step.locator}.${method}(${actionArgs});`;
+    }
+  }
+}
+
+/**
+ * Render a parsed script back into source text
+ */
+export function renderScript(script: ParsedScript): string {
+  const body = script.steps.map(step => `${script.indent}${step.source}`);
+  return [...script.header, ...body, ...script.footer].join('\n');
+}
+
+/**
+ * Parse a single statement into step fields
+ * @returns Step fields, or null if the statement is not a recognised action
+ */
+export function parseStep(statement: string): Omit<SessionStep, 'index' | 'line' | 'source'> | null {
+  return parseStatement(statement.trim());
+}
+
+/**
+ * Check the syntax of a script
+ * @returns Error message for the first syntax error, or null when the script parses
+ */
+export function findSyntaxError(source: string, fileName: string): string | null {
+  const { diagnostics } = ts.transpileModule(source, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.CommonJS }
+  });
+
+  const [diagnostic] = diagnostics || [];
+  if (!diagnostic) {
+    return null;
+  }
+
+  const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+  if (diagnostic.file && diagnostic.start !== undefined) {
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    return `Script does not parse (line ${line + 1}, column ${character + 1}): ${message}`;
+  }
+  return `Script does not parse: ${message}`;
+}
+
+/**
+ * Get the callee of a statement such as `test('name', ...)`, e.g. `test`
+ */
+function getStatementCallee(statement: ts.Statement, file: ts.SourceFile): string | null {
+  if (!ts.isExpressionStatement(statement) || !ts.isCallExpression(statement.expression)) {
+    return null;
+  }
+  return statement.expression.expression.getText(file).replace(/\s+/g, '');
+}
+
+/**
+ * Find the code outside the tests of a script, such as helper functions, constants, hooks
+ * and `test.use()` settings
+ * Replays run the body of the first test alone, so a test using that code fails with a
+ * ReferenceError or runs with different settings. Imports, types and the
+ * `test.describe()` blocks around tests are not reported.
+ * @returns A `line N: statement` entry per statement, empty for scripts without a test
+ */
+export function findCodeOutsideTests(source: string): string[] {
+  if (parseScript(source).testName === undefined) {
+    return [];
+  }
+
+  const file = ts.createSourceFile('script.ts', source, ts.ScriptTarget.ES2022, true, ts.ScriptKind.TS);
+  const found: string[] = [];
+
+  const visit = (statements: ts.NodeArray<ts.Statement>) => {
+    for (const statement of statements) {
+      if (IGNORED_STATEMENT_KINDS.includes(statement.kind)) {
+        continue;
+      }
+
+      const callee = getStatementCallee(statement, file);
+      if (callee && TEST_CALLEE_PATTERN.test(callee)) {
+        continue;
+      }
+
+      const callback = callee && DESCRIBE_CALLEE_PATTERN.test(callee)
+        ? (statement as ts.ExpressionStatement & { expression: ts.CallExpression }).expression.arguments.at(-1)
+        : undefined;
+      if (callback && (ts.isArrowFunction(callback) || ts.isFunctionExpression(callback)) && ts.isBlock(callback.body)) {
+        visit(callback.body.statements);
+        continue;
+      }
+
+      const { line } = file.getLineAndCharacterOfPosition(statement.getStart(file));
+      const text = statement.getText(file).split('\n')[0];
+      found.push(`line ${line + 1}: ${text.length > 60 ? `${text.slice(0, 57)}...` : text}`);
+    }
+  };
+
+  visit(file.statements);
+  return found;
+}
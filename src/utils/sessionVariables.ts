@@ -0,0 +1,196 @@
+/**
+ * `{{variable}}` placeholders in session scripts and the datasets that fill them
+ */
+
+import { parseStringLiteral } from './scriptParser';
+
+// A placeholder such as `{{username}}`, with optional spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Upper bound on the rows of a data-driven replay
+export const MAX_DATASET_ROWS = 500;
+
+/**
+ * Check that a value can be used as a variable name
+ */
+export const isValidVariableName = (name: unknown): name is string =>
+  typeof name === 'string' && VARIABLE_NAME_PATTERN.test(name);
+
+/**
+ * Get the names of the variables used in a script, in order of first use
+ */
+export function findVariables(source: string): string[] {
+  return [...new Set(Array.from(source.matchAll(VARIABLE_PATTERN), match => match[1]))];
+}
+
+/**
+ * Escape a value so it can be placed inside a single-, double- or backtick-quoted string literal
+ */
+function escapeForStringLiteral(value: string): string {
+  return value
+    .replace(/[\\'"`]/g, '\\$&')
+    .replace(/\$\{/g, '\\${')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Replace the placeholders in script source with their values
+ * Placeholders sit inside string literals, so the values are escaped for them.
+ * Placeholders without a value are left as they are.
+ */
+export function substituteVariables(source: string, values: Record<string, string>): string {
+  return source.replace(VARIABLE_PATTERN, (placeholder, name: string) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? escapeForStringLiteral(values[name]) : placeholder
+  );
+}
+
+/**
+ * Rewrite the single- and double-quoted string literals holding placeholders as template
+ * literals reading the values from an object, e.g. `'{{user}}@example.com'` becomes
+ * `` `${variables.user}@example.com` ``
+ * @param source Script source
+ * @param objectName Expression holding the variable values
+ */
+export function placeholdersToTemplates(source: string, objectName: string): string {
+  return source.replace(/(['"])(?:\\.|(?!\1)[^\\\n])*\1/g, literal => {
+    const value = parseStringLiteral(literal);
+    if (value === undefined || !value.match(VARIABLE_PATTERN)) {
+      return literal;
+    }
+
+    const template = value
+      .split(VARIABLE_PATTERN)
+      .map((part, index) => index % 2 === 1
+        ? `\${${objectName}.${part}}`
+        : part
+          .replace(/[\\`]/g, '\\$&')
+          .replace(/\$\{/g, '\\${')
+          .replace(/\n/g, '\\n')
+          .replace(/\r/g, '\\r')
+          .replace(/\t/g, '\\t'))
+      .join('');
+    return `\`${template}\``;
+  });
+}
+
+/**
+ * Normalize a variable map received from a client, converting numbers and booleans to strings
+ * @returns The variables, or an error message when the map is invalid
+ */
+export function normalizeVariables(value: unknown): Record<string, string> | string {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'variables must be an object mapping names to values';
+  }
+  
+  const variables: Record<string, string> = {};
+  for (const [name, item] of Object.entries(value)) {
+    if (!isValidVariableName(name)) {
+      return `Invalid variable name: ${name}`;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof item)) {
+      return `Value of variable ${name} must be a string, number or boolean`;
+    }
+    variables[name] = String(item);
+  }
+  return variables;
+}
+
+/**
+ * Split CSV text into records of fields (RFC 4180: quoted fields may contain commas,
+ * line breaks and doubled quotes)
+ */
+function parseCsvRecords(text: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  
+  // Skip blank lines
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parse a dataset for a data-driven replay
+ * Accepts an array of objects, JSON text of one, or CSV text whose header row names the variables.
+ * @returns One variable map per row, or an error message when the dataset is invalid
+ */
+export function parseDataset(dataset: unknown): Record<string, string>[] | string {
+  let rows: unknown[];
+  
+  if (Array.isArray(dataset)) {
+    rows = dataset;
+  } else if (typeof dataset === 'string' && dataset.trim().startsWith('[')) {
+    try {
+      rows = JSON.parse(dataset);
+    } catch {
+      return 'dataset is not valid JSON';
+    }
+  } else if (typeof dataset === 'string') {
+    const [header, ...records] = parseCsvRecords(dataset.replace(/^\uFEFF/, ''));
+    if (!header) {
+      return 'dataset CSV must have a header row';
+    }
+    
+    const names = header.map(name => name.trim());
+    const invalidRecord = records.findIndex(fields => fields.length !== names.length);
+    if (invalidRecord !== -1) {
+      return `dataset CSV row ${invalidRecord + 2} has ${records[invalidRecord].length} fields, expected ${names.length}`;
+    }
+    rows = records.map(fields => Object.fromEntries(names.map((name, i) => [name, fields[i]])));
+  } else {
+    return 'dataset must be an array of objects, JSON text or CSV text';
+  }
+  
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return 'dataset must contain at least one row';
+  }
+  if (rows.length > MAX_DATASET_ROWS) {
+    return `dataset must not contain more than ${MAX_DATASET_ROWS} rows`;
+  }
+  
+  const parsed: Record<string, string>[] = [];
+  for (const [index, row] of rows.entries()) {
+    const variables = normalizeVariables(row);
+    if (typeof variables === 'string') {
+      return `dataset row ${index + 1}: ${variables}`;
+    }
+    parsed.push(variables);
+  }
+  return parsed;
+}
@@ -0,0 +1,93 @@
+/**
+ * Minimal writer for ustar archives, enough to package generated files for download
+ */
+
+const BLOCK_SIZE = 512;
+
+/**
+ * File to store in an archive
+ */
+export interface TarEntry {
+  /** Path of the file inside the archive, with `/` separators */
+  name: string;
+
+  /** File content */
+  content: string | Buffer;
+
+  /** Unix permissions (default: 0o644) */
+  mode?: number;
+}
+
+/**
+ * Write a number as a zero-padded octal field terminated by NUL
+ */
+function writeOctal(header: Buffer, value: number, offset: number, length: number): void {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+/**
+ * Split a path into the ustar `prefix` (up to 155 bytes) and `name` (up to 100 bytes) fields
+ */
+function splitPath(name: string): [string, string] {
+  if (Buffer.byteLength(name) <= 100) {
+    return ['', name];
+  }
+
+  for (let slash = name.indexOf('/'); slash !== -1; slash = name.indexOf('/', slash + 1)) {
+    const prefix = name.slice(0, slash);
+    const rest = name.slice(slash + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return [prefix, rest];
+    }
+  }
+
+  throw new Error(`Path too long for a tar archive: ${name}`);
+}
+
+/**
+ * Build the 512-byte header of a file entry
+ */
+function createHeader(name: string, size: number, mode: number, mtime: number): Buffer {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const [prefix, shortName] = splitPath(name);
+
+  header.write(shortName, 0, 100, 'utf-8');
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf-8');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+
+  return header;
+}
+
+/**
+ * Create an uncompressed tar archive of files
+ */
+export function createTar(entries: TarEntry[]): Buffer {
+  const mtime = Math.floor(Date.now() / 1000);
+  const blocks: Buffer[] = [];
+
+  for (const entry of entries) {
+    const content = typeof entry.content === 'string' ? Buffer.from(entry.content, 'utf-8') : entry.content;
+    blocks.push(createHeader(entry.name, content.length, entry.mode ?? 0o644, mtime));
+    blocks.push(content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
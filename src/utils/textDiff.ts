@@ -0,0 +1,176 @@
+/**
+ * Line diff of two texts in the unified format of `diff -u`
+ */
+
+// Lines of context around each change
+const CONTEXT_LINES = 3;
+
+// Beyond this many edits, the texts are shown as entirely replaced instead of searched for a shortest diff
+const MAX_EDIT_DISTANCE = 2000;
+
+// A line kept, removed or added
+interface Edit {
+  type: ' ' | '-' | '+';
+  line: string;
+}
+
+// Marks a last line without a newline, so it differs from the same line with one
+const NO_NEWLINE = '\u0000';
+
+/**
+ * Split a text into lines, marking a last line that has no newline
+ */
+function splitLines(text: string): string[] {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Find a shortest list of edits turning one list of lines into another (Myers' algorithm)
+ */
+function diffLines(a: string[], b: string[]): Edit[] {
+  // Lines shared at the start and end need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const prefix = a.slice(0, start).map((line): Edit => ({ type: ' ', line }));
+  const suffix = a.slice(a.length - end).map((line): Edit => ({ type: ' ', line }));
+  const oldLines = a.slice(start, a.length - end);
+  const newLines = b.slice(start, b.length - end);
+  const n = oldLines.length;
+  const m = newLines.length;
+  const replaced = [
+    ...oldLines.map((line): Edit => ({ type: '-', line })),
+    ...newLines.map((line): Edit => ({ type: '+', line }))
+  ];
+
+  if (n === 0 || m === 0) {
+    return [...prefix, ...replaced, ...suffix];
+  }
+
+  // v[k + offset] is the furthest x reached on diagonal k; trace keeps diagonals -d..d of v before round d
+  const offset = n + m;
+  const v = new Int32Array(2 * offset + 2);
+  const trace: Int32Array[] = [];
+  let found = false;
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE) && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])
+        ? v[k + 1 + offset]
+        : v[k - 1 + offset] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[k + offset] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [...prefix, ...replaced, ...suffix];
+  }
+
+  // Walk back from the end through the rounds, collecting the edits in reverse
+  const edits: Edit[] = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d]) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : previous[previousK + d];
+    const previousY = d === 0 ? 0 : previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push({ type: ' ', line: oldLines[--x] });
+      y--;
+    }
+    if (d > 0) {
+      edits.push(x === previousX ? { type: '+', line: newLines[--y] } : { type: '-', line: oldLines[--x] });
+    }
+  }
+
+  return [...prefix, ...edits.reverse(), ...suffix];
+}
+
+/**
+ * Format the range of a hunk header; empty ranges start at the line before them, as in `diff -u`
+ */
+function formatRange(start: number, length: number): string {
+  if (length === 0) {
+    return `${start},0`;
+  }
+  return length === 1 ? `${start + 1}` : `${start + 1},${length}`;
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param oldText Text before the change
+ * @param newText Text after the change
+ * @param oldLabel Name of the old text in the `---` header
+ * @param newLabel Name of the new text in the `+++` header
+ * @returns The diff, or an empty string when the texts are equal
+ */
+export function createUnifiedDiff(oldText: string, newText: string, oldLabel: string, newLabel: string): string {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const changes = edits.map((edit, index) => edit.type !== ' ' ? index : -1).filter(index => index !== -1);
+  if (changes.length === 0) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+  // Changes closer than twice the context share a hunk
+  let first = 0;
+  while (first < changes.length) {
+    let last = first;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= CONTEXT_LINES * 2 + 1) {
+      last++;
+    }
+
+    const from = Math.max(0, changes[first] - CONTEXT_LINES);
+    const to = Math.min(edits.length, changes[last] + CONTEXT_LINES + 1);
+
+    // Line positions of the hunk in the old and new texts
+    let oldStart = 0;
+    let newStart = 0;
+    for (const edit of edits.slice(0, from)) {
+      if (edit.type !== '+') oldStart++;
+      if (edit.type !== '-') newStart++;
+    }
+
+    const hunk = edits.slice(from, to);
+    const oldLength = hunk.filter(edit => edit.type !== '+').length;
+    const newLength = hunk.filter(edit => edit.type !== '-').length;
+
+    output.push(`@@ -${formatRange(oldStart, oldLength)} +${formatRange(newStart, newLength)} @@`);
+    for (const edit of hunk) {
+      if (edit.line.endsWith(NO_NEWLINE)) {
+        output.push(`${edit.type}${edit.line.slice(0, -1)}`, '\\ No newline at end of file');
+      } else {
+        output.push(`${edit.type}${edit.line}`);
+      }
+    }
+
+    first = last + 1;
+  }
+
+  return `${output.join('\n')}\n`;
+}